@@ -0,0 +1,529 @@
+/**
+ * Vite plugin that loads portfolio content from the content/ directory
+ *
+ * Reads one markdown file per project, role, community entry, and about
+ * section, plus YAML files for the technology registry, tech stack,
+ * résumé variants, and about title, and exposes them, with their
+ * translations, as the `virtual:content` module. Prose
+ * lives in the markdown body so copy can be edited without touching
+ * JavaScript.
+ *
+ * Translations live under content/locales/<locale>/ and mirror the paths of
+ * the files they translate. Each one is laid over its English original:
+ * frontmatter and YAML are deep-merged, so a translation only repeats the
+ * fields that change, and a non-empty markdown body replaces the original
+ * body. Files without a translation stay in English.
+ *
+ * Features YAML frontmatter parsing, project case study sections taken from
+ * `## Problem`, `## Approach`, and `## Architecture` headings, screenshot
+ * and gallery media names resolved to responsive image sets, repository
+ * details from the build-time GitHub snapshot, and hot
+ * updates whenever a content file is added, edited, or removed during
+ * development.
+ *
+ * @author Walter Magill
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import matter from 'gray-matter';
+import * as yaml from 'js-yaml';
+
+// Loader configuration; paths are relative to the Vite root
+const CONTENT_CONFIG = {
+  MODULE_ID: 'virtual:content',
+  DIR: 'content',
+  ASSETS_DIR: 'src/assets',
+  COLLECTIONS: ['projects', 'experience', 'community'],
+  ABOUT_DIR: 'about',
+  ABOUT_FILE: 'about.yaml',
+  TECH_STACK_FILE: 'tech-stack.yaml',
+  TECHNOLOGIES_FILE: 'technologies.yaml',
+  VARIANTS_FILE: 'variants.yaml',
+  LOCALES_DIR: 'locales',
+  EXTENSIONS: ['.md', '.yaml']
+};
+
+const RESOLVED_MODULE_ID = `\0${CONTENT_CONFIG.MODULE_ID}`;
+
+/**
+ * GitHub repository snapshot refreshed by `npm run github`, relative to the Vite root
+ * Committed with the rest of the content, so builds without network keep the last data
+ *
+ * @constant {string} GITHUB_SNAPSHOT_FILE
+ */
+export const GITHUB_SNAPSHOT_FILE = 'content/github.json';
+
+/**
+ * Live preview check refreshed by `npm run previews`, relative to the Vite root
+ * Records which live sites allow this site to embed them
+ *
+ * @constant {string} PREVIEW_SNAPSHOT_FILE
+ */
+export const PREVIEW_SNAPSHOT_FILE = 'content/previews.json';
+
+// Markdown headings in a project body and the case study field each one fills
+const CASE_STUDY_SECTIONS = {
+  problem: 'Problem',
+  approach: 'Approach',
+  architecture: 'Architecture'
+};
+
+/**
+ * Parses YAML with the core schema so dates such as 2025-07-20 stay strings
+ *
+ * @param {string} source - YAML text
+ * @returns {*} Parsed value
+ */
+const parseYaml = (source) => yaml.load(source, { schema: yaml.CORE_SCHEMA });
+
+/**
+ * Prefixes parse errors with the file they came from
+ *
+ * @param {string} file - Path relative to the Vite root
+ * @param {Function} parse - Parser to run
+ * @returns {*} Parser result
+ */
+const withFileContext = (file, parse) => {
+  try {
+    return parse();
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`, { cause: error });
+  }
+};
+
+/**
+ * Converts markdown prose to the plain text the components render
+ * Single line breaks inside a paragraph become spaces, as they would in
+ * rendered markdown; paragraphs stay separated by a blank line
+ *
+ * @param {string} markdown - Markdown paragraphs
+ * @returns {string} Plain text paragraphs joined by "\n\n"
+ */
+const toPlainText = (markdown) => {
+  return markdown
+    .trim()
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim().replace(/\s*\n\s*/g, ' '))
+    .filter(Boolean)
+    .join('\n\n');
+};
+
+/**
+ * Splits a markdown body into its lead text and `##` sections
+ *
+ * @param {string} body - Markdown body
+ * @returns {Object} `{ lead, sections }` with sections keyed by heading text
+ */
+const splitSections = (body) => {
+  const [lead, ...rest] = body.split(/^##[ \t]+(.+)$/m);
+  const sections = {};
+
+  for (let index = 0; index < rest.length; index += 2) {
+    sections[rest[index].trim()] = rest[index + 1];
+  }
+  return { lead, sections };
+};
+
+/**
+ * Reads a markdown list into its item text
+ *
+ * @param {string} markdown - Markdown containing a `-` or `*` list
+ * @returns {Array<string>} List items
+ */
+const toList = (markdown) => {
+  return markdown
+    .split('\n')
+    .map(line => line.match(/^\s*[-*]\s+(.+)$/)?.[1].trim())
+    .filter(Boolean);
+};
+
+/**
+ * Lists content files in a directory in filename order
+ *
+ * @param {string} root - Vite root
+ * @param {string} dir - Directory relative to the content directory
+ * @returns {Array<string>} Paths relative to the Vite root
+ */
+const listFiles = (root, dir) => {
+  const absoluteDir = path.join(root, CONTENT_CONFIG.DIR, dir);
+  if (!fs.existsSync(absoluteDir)) return [];
+
+  return fs.readdirSync(absoluteDir)
+    .filter(name => name.endsWith('.md'))
+    .sort()
+    .map(name => path.posix.join(CONTENT_CONFIG.DIR, dir, name));
+};
+
+/**
+ * Reads a markdown file into its frontmatter and body
+ *
+ * @param {string} root - Vite root
+ * @param {string} file - Path relative to the Vite root
+ * @returns {Object} `{ data, body }`
+ */
+const readMarkdown = (root, file) => {
+  const source = fs.readFileSync(path.join(root, file), 'utf8');
+  const { data, content } = withFileContext(file, () => matter(source, { engines: { yaml: parseYaml } }));
+  return { data, body: content };
+};
+
+/**
+ * Reads a YAML file
+ *
+ * @param {string} root - Vite root
+ * @param {string} file - Path relative to the Vite root
+ * @returns {*} Parsed value
+ */
+const readYaml = (root, file) => {
+  const source = fs.readFileSync(path.join(root, file), 'utf8');
+  return withFileContext(file, () => parseYaml(source));
+};
+
+/**
+ * Merges a translation over its original
+ * Objects merge key by key; lists and scalars in the translation replace the original
+ *
+ * @param {*} base - Original value
+ * @param {*} overlay - Translated value
+ * @returns {*} Merged value
+ */
+const deepMerge = (base, overlay) => {
+  const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(base) || !isObject(overlay)) return overlay === undefined ? base : overlay;
+
+  return Object.fromEntries([...new Set([...Object.keys(base), ...Object.keys(overlay)])]
+    .map(key => [key, deepMerge(base[key], overlay[key])]));
+};
+
+/**
+ * Lists every file under a directory, recursively
+ *
+ * @param {string} root - Vite root
+ * @param {string} dir - Directory relative to the Vite root
+ * @returns {Array<string>} Paths relative to the Vite root
+ */
+const listFilesDeep = (root, dir) => {
+  const absoluteDir = path.join(root, dir);
+  if (!fs.existsSync(absoluteDir)) return [];
+
+  return fs.readdirSync(absoluteDir, { withFileTypes: true })
+    .flatMap(entry => (entry.isDirectory()
+      ? listFilesDeep(root, path.posix.join(dir, entry.name))
+      : [path.posix.join(dir, entry.name)]))
+    .sort();
+};
+
+/**
+ * Lists the locales that have a translation directory
+ *
+ * @param {string} root - Vite root
+ * @returns {Array<string>} Locale codes such as "es"
+ */
+const listLocales = (root) => {
+  const localesDir = path.join(root, CONTENT_CONFIG.DIR, CONTENT_CONFIG.LOCALES_DIR);
+  if (!fs.existsSync(localesDir)) return [];
+
+  return fs.readdirSync(localesDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+};
+
+/**
+ * Maps a content file to the path of its translation
+ *
+ * @param {string} file - Path relative to the Vite root, e.g. "content/projects/echo-echo.md"
+ * @param {string} locale - Locale code
+ * @returns {string} Translation path, e.g. "content/locales/es/projects/echo-echo.md"
+ */
+const getTranslationPath = (file, locale) => {
+  return path.posix.join(CONTENT_CONFIG.DIR, CONTENT_CONFIG.LOCALES_DIR, locale, path.posix.relative(CONTENT_CONFIG.DIR, file));
+};
+
+/**
+ * Creates file readers that lay a locale's translations over the originals
+ * Without a locale the readers return the original files unchanged
+ *
+ * @param {string} root - Vite root
+ * @param {string|null} locale - Locale code, or null for the original content
+ * @returns {Object} `readMarkdown`, `readYaml`, `source` (the file an entry is
+ *   reported against), and `missing` (originals read without a translation)
+ */
+const createReader = (root, locale) => {
+  const missing = [];
+  const translationOf = (file) => {
+    const translated = locale && getTranslationPath(file, locale);
+    return translated && fs.existsSync(path.join(root, translated)) ? translated : null;
+  };
+  const read = (file, parse, merge) => {
+    const original = parse(root, file);
+    const translated = translationOf(file);
+    if (translated) return merge(original, parse(root, translated));
+
+    if (locale) missing.push(file);
+    return original;
+  };
+
+  return {
+    missing,
+    source: (file) => translationOf(file) || file,
+    readMarkdown: (file) => read(file, readMarkdown, (original, { data, body }) => ({
+      data: deepMerge(original.data, data),
+      body: body.trim() ? body : original.body
+    })),
+    readYaml: (file) => read(file, readYaml, deepMerge)
+  };
+};
+
+/**
+ * Builds a project from its markdown file
+ * The body opens with the description, followed by the case study sections
+ *
+ * @param {Object} markdown - Parsed file from readMarkdown
+ * @param {string} file - Path relative to the Vite root, for errors
+ * @returns {Object} Project with `description`, `caseStudy`, `media`, and
+ *   `preview`; a project without a `media` list shows its card image in the
+ *   gallery, and `preview` is null unless the frontmatter overrides the
+ *   live preview check
+ */
+const toProject = ({ data, body }, file) => {
+  const { lead, sections } = splitSections(body);
+  const headings = Object.values(CASE_STUDY_SECTIONS);
+
+  const unknownHeading = Object.keys(sections).find(heading => !headings.includes(heading));
+  if (unknownHeading) {
+    throw new Error(`${file}: unknown section "## ${unknownHeading}", expected one of ${headings.join(', ')}`);
+  }
+
+  const section = (key) => sections[CASE_STUDY_SECTIONS[key]];
+
+  return {
+    ...data,
+    image: data.image ?? null,
+    preview: data.preview ?? null,
+    media: (data.media ?? (data.image ? [{ src: data.image }] : []))
+      .map(({ src, caption = null }) => ({ src, caption })),
+    description: toPlainText(lead),
+    caseStudy: {
+      problem: section('problem') && toPlainText(section('problem')),
+      approach: section('approach') && toPlainText(section('approach')),
+      architecture: section('architecture') && toList(section('architecture'))
+    }
+  };
+};
+
+/**
+ * Builds a role or community entry whose body is its description
+ *
+ * @param {Object} markdown - Parsed file from readMarkdown
+ * @returns {Object} Entry with `description`
+ */
+const toDescribedEntry = ({ data, body }) => ({ ...data, description: toPlainText(body) });
+
+// Markdown file readers for each collection
+const COLLECTION_READERS = {
+  projects: toProject,
+  experience: toDescribedEntry,
+  community: toDescribedEntry
+};
+
+/**
+ * Loads every content file into raw content and the file each entry came from
+ * The technology registry holds proper names and the résumé variants only
+ * feed the English résumé, so neither is translated
+ *
+ * @param {string} root - Vite root
+ * @param {string|null} [locale=null] - Locale whose translations to apply
+ * @returns {Object} `{ content, sources, missing }`; `missing` lists files without a translation
+ */
+export const loadContent = (root, locale = null) => {
+  const reader = createReader(root, locale);
+  const content = {};
+  const sources = {};
+
+  CONTENT_CONFIG.COLLECTIONS.forEach((collection) => {
+    const files = listFiles(root, collection);
+    content[collection] = files.map(file => COLLECTION_READERS[collection](reader.readMarkdown(file), reader.source(file)));
+    sources[collection] = files.map(reader.source);
+  });
+
+  const technologiesFile = path.posix.join(CONTENT_CONFIG.DIR, CONTENT_CONFIG.TECHNOLOGIES_FILE);
+  content.technologies = readYaml(root, technologiesFile);
+  sources.technologies = technologiesFile;
+
+  const variantsFile = path.posix.join(CONTENT_CONFIG.DIR, CONTENT_CONFIG.VARIANTS_FILE);
+  content.variants = readYaml(root, variantsFile);
+  sources.variants = variantsFile;
+
+  const techStackFile = path.posix.join(CONTENT_CONFIG.DIR, CONTENT_CONFIG.TECH_STACK_FILE);
+  content.techStack = reader.readYaml(techStackFile);
+  sources.techStack = reader.source(techStackFile);
+
+  // About sections are ordered by their `order` field, then by filename
+  const aboutFile = path.posix.join(CONTENT_CONFIG.DIR, CONTENT_CONFIG.ABOUT_FILE);
+  const aboutSections = listFiles(root, CONTENT_CONFIG.ABOUT_DIR)
+    .map((file) => {
+      const { data: { order = Number.MAX_SAFE_INTEGER, ...fields }, body } = reader.readMarkdown(file);
+      return { key: path.basename(file, '.md'), order, section: { ...fields, content: toPlainText(body) } };
+    })
+    .sort((a, b) => a.order - b.order);
+
+  content.about = {
+    ...reader.readYaml(aboutFile),
+    sections: Object.fromEntries(aboutSections.map(({ key, section }) => [key, section]))
+  };
+  sources.about = reader.source(aboutFile);
+
+  return { content, sources, missing: reader.missing };
+};
+
+/**
+ * Loads the translated content for every locale with a translation directory
+ * Translations must mirror an original file; strays are usually misspelled paths
+ *
+ * @param {string} root - Vite root
+ * @returns {Object} Output of loadContent keyed by locale code
+ */
+export const loadTranslations = (root) => {
+  return Object.fromEntries(listLocales(root).map((locale) => {
+    const localeDir = path.posix.join(CONTENT_CONFIG.DIR, CONTENT_CONFIG.LOCALES_DIR, locale);
+    listFilesDeep(root, localeDir).forEach((translated) => {
+      const original = path.posix.join(CONTENT_CONFIG.DIR, path.posix.relative(localeDir, translated));
+      if (!fs.existsSync(path.join(root, original))) {
+        throw new Error(`${translated}: translates ${original}, which does not exist`);
+      }
+    });
+    return [locale, loadContent(root, locale)];
+  }));
+};
+
+/**
+ * Reads the entries of a committed snapshot
+ * Without a snapshot, projects have no repository details and no live preview
+ *
+ * @param {string} root - Vite root
+ * @param {string} snapshotFile - Snapshot path relative to the Vite root
+ * @param {string} key - Property that holds the entries, e.g. "repositories"
+ * @returns {Object} Snapshot entries keyed by URL, or an empty object
+ */
+const readSnapshot = (root, snapshotFile, key) => {
+  const file = path.join(root, snapshotFile);
+  if (!fs.existsSync(file)) return {};
+  return withFileContext(snapshotFile, () => JSON.parse(fs.readFileSync(file, 'utf8')))[key];
+};
+
+/**
+ * Generates the virtual module source
+ * Project screenshots and gallery media become `?responsive` imports, so the
+ * image plugin resizes and re-encodes them and the content holds image sets;
+ * each gallery item's file name is replaced by its `image`. Each project's
+ * `repository` is its entry in the GitHub snapshot, or null, and `preview`
+ * is true only when the frontmatter asks for it or the live preview check
+ * found the site embeddable
+ *
+ * @param {string} root - Vite root
+ * @returns {string} JavaScript module source
+ */
+const generateModule = (root) => {
+  const { content, sources } = loadContent(root);
+  const translations = loadTranslations(root);
+  const repositories = readSnapshot(root, GITHUB_SNAPSHOT_FILE, 'repositories');
+  const previews = readSnapshot(root, PREVIEW_SNAPSHOT_FILE, 'sites');
+  const imports = new Map();
+
+  /**
+   * Registers an image import and returns the placeholder serialize swaps for it
+   * Each file is imported once, however many projects and locales show it
+   *
+   * @param {string} name - File name in the assets directory
+   * @param {string} source - Content file that refers to it, for errors
+   * @returns {string} Placeholder for the imported URL
+   */
+  const toImport = (name, source) => {
+    const assetPath = path.posix.join(CONTENT_CONFIG.ASSETS_DIR, name);
+    if (!fs.existsSync(path.join(root, assetPath))) {
+      throw new Error(`${source}: image "${name}" was not found in ${CONTENT_CONFIG.ASSETS_DIR}/`);
+    }
+    if (!imports.has(assetPath)) imports.set(assetPath, imports.size);
+    return `__IMAGE_${imports.get(assetPath)}__`;
+  };
+
+  const withImages = (loaded) => ({
+    ...loaded.content,
+    projects: loaded.content.projects.map((project, index) => {
+      const source = loaded.sources.projects[index];
+      return {
+        ...project,
+        image: project.image && toImport(project.image, source),
+        media: project.media.map(({ src, caption }) => ({ image: src && toImport(src, source), caption })),
+        repository: repositories[project.github] ?? null,
+        preview: project.live ? project.preview ?? previews[project.live]?.embeddable === true : false
+      };
+    })
+  });
+  const serialize = (value) => JSON.stringify(value, null, 2).replace(/"__IMAGE_(\d+)__"/g, 'image$1');
+
+  const data = serialize(withImages({ content, sources }));
+  const translated = serialize(Object.fromEntries(Object.entries(translations).map(([locale, loaded]) => [
+    locale,
+    { content: withImages(loaded), sources: loaded.sources, missing: loaded.missing }
+  ])));
+
+  return [
+    ...[...imports].map(([assetPath, index]) => `import image${index} from ${JSON.stringify(`/${assetPath}?responsive`)};`),
+    `const content = ${data};`,
+    `export const sources = ${JSON.stringify(sources, null, 2)};`,
+    `export const translations = ${translated};`,
+    'export const { technologies, projects, experience, community, techStack, about, variants } = content;',
+    'export default content;'
+  ].join('\n');
+};
+
+/**
+ * Creates the content loader plugin
+ *
+ * @returns {import('vite').Plugin} Vite plugin
+ * @usage plugins: [content(), markdown(), react()]
+ */
+export default function contentPlugin() {
+  let root = process.cwd();
+
+  return {
+    name: 'portfolio-content',
+
+    configResolved(config) {
+      root = config.root;
+    },
+
+    resolveId(id) {
+      return id === CONTENT_CONFIG.MODULE_ID ? RESOLVED_MODULE_ID : null;
+    },
+
+    load(id) {
+      if (id !== RESOLVED_MODULE_ID) return null;
+      return generateModule(root);
+    },
+
+    // Blog posts are imported as modules and update through the markdown
+    // plugin; every other content file feeds the virtual module
+    configureServer(server) {
+      const contentDir = path.join(root, CONTENT_CONFIG.DIR);
+      const blogDir = path.join(contentDir, 'blog');
+
+      const snapshotFiles = [GITHUB_SNAPSHOT_FILE, PREVIEW_SNAPSHOT_FILE].map(file => path.join(root, file));
+
+      const reloadContent = (file) => {
+        const isContentFile = file.startsWith(contentDir + path.sep)
+          && !file.startsWith(blogDir + path.sep)
+          && CONTENT_CONFIG.EXTENSIONS.includes(path.extname(file));
+        if (!isContentFile && !snapshotFiles.includes(file)) return;
+
+        const module = server.moduleGraph.getModuleById(RESOLVED_MODULE_ID);
+        if (module) server.reloadModule(module);
+      };
+
+      ['add', 'change', 'unlink'].forEach(event => server.watcher.on(event, reloadContent));
+    }
+  };
+}
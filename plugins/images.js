@@ -0,0 +1,208 @@
+/**
+ * Vite plugin that turns imported images into responsive image sets
+ *
+ * An image imported with the `?responsive` query, as in
+ * `import headshot from './headshot-4x5.jpg?responsive'`, is resized to
+ * several widths and encoded as AVIF, WebP, and its original format. The
+ * import resolves to a plain object holding a `srcset` for each format,
+ * the intrinsic width and height, and a tiny placeholder image, ready for
+ * the OptimizedImage component.
+ *
+ * Encoding AVIF is slow, so every output is cached under node_modules/.cache
+ * by a hash of the source file and its encoding settings, and later builds
+ * and the development server reuse it. Builds emit the outputs as
+ * fingerprinted assets; the development server serves them from the cache.
+ *
+ * @author Walter Magill
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import sharp from 'sharp';
+
+// Pipeline configuration; the cache directory is relative to the Vite root
+const IMAGE_CONFIG = {
+  QUERY: 'responsive',
+  WIDTHS: [320, 480, 640, 960, 1280],     // Largest width is the upper bound
+  FORMATS: {
+    avif: { quality: 50, effort: 4 },
+    webp: { quality: 75 }
+  },
+  FALLBACK_FORMATS: {
+    '.jpg': { format: 'jpeg', options: { quality: 80, mozjpeg: true } },
+    '.jpeg': { format: 'jpeg', options: { quality: 80, mozjpeg: true } },
+    '.png': { format: 'png', options: { compressionLevel: 9 } }
+  },
+  PLACEHOLDER: { width: 16, format: 'webp', options: { quality: 50 } },
+  CACHE_DIR: 'node_modules/.cache/responsive-images',
+  DEV_PREFIX: '/@responsive-image/'
+};
+
+// Media type of each encoded format
+const MIME_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+/**
+ * Splits a module id into its file path and whether it asks for a responsive image
+ *
+ * @param {string} id - Resolved module id, possibly with a query string
+ * @returns {Object} `{ file, isResponsive }`
+ */
+const parseId = (id) => {
+  const [file, query = ''] = id.split('?');
+  return { file, isResponsive: new URLSearchParams(query).has(IMAGE_CONFIG.QUERY) };
+};
+
+/**
+ * Picks the output widths for an image
+ * Images are never enlarged, and the largest output is the image itself or
+ * the largest configured width, whichever is smaller
+ *
+ * @param {number} width - Intrinsic width of the source image
+ * @returns {Array<number>} Output widths, smallest first
+ */
+const getWidths = (width) => {
+  const largest = Math.min(width, IMAGE_CONFIG.WIDTHS[IMAGE_CONFIG.WIDTHS.length - 1]);
+  return [...IMAGE_CONFIG.WIDTHS.filter(candidate => candidate < largest), largest];
+};
+
+/**
+ * Encodes one output, reading it from the cache when it was encoded before
+ *
+ * @param {Buffer} source - Source image data
+ * @param {string} cacheDir - Absolute cache directory
+ * @param {Object} output - `{ width, format, options }`
+ * @returns {Promise<Object>} `{ fileName, data }`; fileName is unique to the source and settings
+ */
+const encode = async (source, cacheDir, { width, format, options }) => {
+  const hash = crypto.createHash('sha256')
+    .update(source)
+    .update(JSON.stringify({ width, format, options }))
+    .digest('hex')
+    .slice(0, 16);
+  const fileName = `${hash}.${format}`;
+  const cachePath = path.join(cacheDir, fileName);
+
+  try {
+    return { fileName, data: await fs.readFile(cachePath) };
+  } catch {
+    // Not cached yet
+  }
+
+  // rotate() with no angle applies the EXIF orientation
+  const data = await sharp(source).rotate().resize({ width }).toFormat(format, options).toBuffer();
+  await fs.mkdir(cacheDir, { recursive: true });
+  await fs.writeFile(cachePath, data);
+  return { fileName, data };
+};
+
+/**
+ * Creates the responsive image plugin
+ *
+ * @returns {import('vite').Plugin} Vite plugin
+ * @usage plugins: [images(), content(), markdown(), resume(), react()]
+ */
+export default function imagesPlugin() {
+  let cacheDir = path.resolve(IMAGE_CONFIG.CACHE_DIR);
+  let isBuild = false;
+
+  return {
+    name: 'portfolio-images',
+    // Runs before Vite's asset plugin, which would otherwise return a plain URL
+    enforce: 'pre',
+
+    configResolved(config) {
+      cacheDir = path.join(config.root, IMAGE_CONFIG.CACHE_DIR);
+      isBuild = config.command === 'build';
+    },
+
+    async load(id) {
+      const { file, isResponsive } = parseId(id);
+      if (!isResponsive) return null;
+
+      const extension = path.extname(file).toLowerCase();
+      const fallback = IMAGE_CONFIG.FALLBACK_FORMATS[extension];
+      if (!fallback) {
+        throw new Error(`${file}: responsive images must be ${Object.keys(IMAGE_CONFIG.FALLBACK_FORMATS).join(', ')}`);
+      }
+
+      this.addWatchFile(file);
+      const source = await fs.readFile(file);
+      const { autoOrient } = await sharp(source).metadata();
+      const widths = getWidths(autoOrient.width);
+      const name = path.basename(file, path.extname(file));
+
+      /**
+       * Encodes an output and returns the URL it will be served from
+       *
+       * @param {Object} output - `{ width, format, options }`
+       * @returns {Promise<string>} Asset URL, or a placeholder Vite replaces with one
+       */
+      const toUrl = async (output) => {
+        const { fileName, data } = await encode(source, cacheDir, output);
+        if (!isBuild) return `${IMAGE_CONFIG.DEV_PREFIX}${fileName}`;
+
+        const referenceId = this.emitFile({ type: 'asset', name: `${name}-${output.width}.${output.format}`, source: data });
+        return `__VITE_ASSET__${referenceId}__`;
+      };
+
+      /**
+       * Encodes every width of one format in turn
+       *
+       * @param {string} format - Output format
+       * @param {Object} options - Encoder options
+       * @returns {Promise<Array<string>>} URLs in the order of `widths`
+       */
+      const toUrls = async (format, options) => {
+        const urls = [];
+        for (const width of widths) {
+          urls.push(await toUrl({ width, format, options }));
+        }
+        return urls;
+      };
+      const toSrcSet = (urls) => urls.map((url, index) => `${url} ${widths[index]}w`).join(', ');
+
+      const sources = [];
+      for (const [format, options] of Object.entries(IMAGE_CONFIG.FORMATS)) {
+        sources.push({ type: MIME_TYPES[format], srcSet: toSrcSet(await toUrls(format, options)) });
+      }
+      const fallbackUrls = await toUrls(fallback.format, fallback.options);
+      const placeholder = await encode(source, cacheDir, IMAGE_CONFIG.PLACEHOLDER);
+      const largest = widths[widths.length - 1];
+
+      const image = {
+        src: fallbackUrls[fallbackUrls.length - 1],
+        srcSet: toSrcSet(fallbackUrls),
+        sources,
+        width: largest,
+        height: Math.round((autoOrient.height * largest) / autoOrient.width),
+        placeholder: `data:${MIME_TYPES[IMAGE_CONFIG.PLACEHOLDER.format]};base64,${placeholder.data.toString('base64')}`
+      };
+
+      return `export default ${JSON.stringify(image, null, 2)};`;
+    },
+
+    // Serves encoded outputs from the cache during development
+    configureServer(server) {
+      server.middlewares.use(IMAGE_CONFIG.DEV_PREFIX, async (req, res, next) => {
+        const fileName = path.basename(req.url.split('?')[0]);
+        const mimeType = MIME_TYPES[path.extname(fileName).slice(1)];
+        if (!mimeType) return next();
+
+        try {
+          const data = await fs.readFile(path.join(cacheDir, fileName));
+          res.setHeader('Content-Type', mimeType);
+          res.setHeader('Cache-Control', 'max-age=31536000, immutable');
+          res.end(data);
+        } catch {
+          next();
+        }
+      });
+    }
+  };
+}
@@ -0,0 +1,138 @@
+/**
+ * Vite plugin that compiles markdown posts into JavaScript modules
+ * 
+ * Transforms every imported `.md` file at build time into a plain data
+ * object containing parsed frontmatter, syntax-highlighted HTML, a table of
+ * contents, and reading time. Components receive ready-to-render content
+ * and no markdown parser ships in the client bundle.
+ * 
+ * Features gray-matter frontmatter parsing, marked rendering with
+ * highlight.js code blocks, and stable heading anchors for deep linking.
+ * 
+ * @author Walter Magill
+ */
+
+import path from 'node:path';
+import matter from 'gray-matter';
+import hljs from 'highlight.js';
+import { Marked } from 'marked';
+import { markedHighlight } from 'marked-highlight';
+
+// Rendering configuration
+const MARKDOWN_CONFIG = {
+  WORDS_PER_MINUTE: 200,
+  TOC_DEPTHS: [2, 3]
+};
+
+/**
+ * Converts heading text into a URL-safe anchor id
+ * 
+ * @param {string} text - Heading text (may contain inline HTML)
+ * @returns {string} Lowercase, hyphenated slug
+ */
+export const slugify = (text) => {
+  return text
+    .replace(/<[^>]*>/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/&[a-z]+;/g, '')
+    .replace(/[^\w\s-]/g, '')
+    .replace(/[\s_]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+};
+
+/**
+ * Normalizes a frontmatter date into a YYYY-MM-DD string
+ * YAML parses unquoted dates into Date objects, quoted ones stay strings
+ * 
+ * @param {Date|string} value - Frontmatter date value
+ * @returns {string|null} ISO calendar date or null when missing
+ */
+const normalizeDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+/**
+ * Renders a markdown document with frontmatter into post data
+ * 
+ * @param {string} source - Raw markdown file contents
+ * @param {string} filePath - Absolute path used to derive the slug
+ * @returns {Object} Post object with frontmatter fields, html, toc, and readingTime
+ */
+export const renderMarkdown = (source, filePath) => {
+  const { data, content } = matter(source);
+  const toc = [];
+  const usedIds = new Map();
+
+  const marked = new Marked(
+    markedHighlight({
+      emptyLangClass: 'hljs',
+      langPrefix: 'hljs language-',
+      highlight(code, lang) {
+        const language = hljs.getLanguage(lang) ? lang : 'plaintext';
+        return hljs.highlight(code, { language }).value;
+      }
+    })
+  );
+
+  marked.use({
+    renderer: {
+      // Headings get stable, de-duplicated ids and feed the table of contents
+      heading({ tokens, depth }) {
+        const html = this.parser.parseInline(tokens);
+        const baseId = slugify(html) || 'section';
+        const count = usedIds.get(baseId) || 0;
+        const id = count ? `${baseId}-${count}` : baseId;
+        usedIds.set(baseId, count + 1);
+
+        if (MARKDOWN_CONFIG.TOC_DEPTHS.includes(depth)) {
+          toc.push({ id, text: html.replace(/<[^>]*>/g, ''), depth });
+        }
+
+        return `<h${depth} id="${id}">${html}</h${depth}>\n`;
+      }
+    }
+  });
+
+  const html = marked.parse(content);
+  const wordCount = content.split(/\s+/).filter(Boolean).length;
+
+  const date = normalizeDate(data.date);
+
+  return {
+    slug: path.basename(filePath, '.md'),
+    title: data.title || '',
+    date,
+    updated: normalizeDate(data.updated) || date,
+    tags: Array.isArray(data.tags) ? data.tags : [],
+    summary: data.summary || '',
+    draft: Boolean(data.draft),
+    readingTime: Math.max(1, Math.ceil(wordCount / MARKDOWN_CONFIG.WORDS_PER_MINUTE)),
+    toc,
+    html
+  };
+};
+
+/**
+ * Vite plugin factory
+ * 
+ * @returns {import('vite').Plugin} Plugin that turns `.md` imports into post modules
+ */
+export default function markdownPlugin() {
+  return {
+    name: 'portfolio-markdown',
+    enforce: 'pre',
+    transform(source, id) {
+      if (!id.endsWith('.md')) return null;
+
+      const post = renderMarkdown(source, id);
+      return {
+        code: `export default ${JSON.stringify(post)};`,
+        map: null
+      };
+    }
+  };
+}
@@ -0,0 +1,67 @@
+/**
+ * Vite plugin that serves the generated résumé during development
+ *
+ * The résumé PDFs and /resume.json are written by `npm run build`
+ * (scripts/resume-pdf.js and scripts/resume-json.js) and are not in
+ * public/, so without this plugin the résumé buttons would lead nowhere
+ * under `npm run dev`. The development server renders each file on request
+ * instead, from the current content and with the same template as the
+ * build, so content edits show up on the next download.
+ *
+ * @author Walter Magill
+ */
+
+import path from 'node:path';
+
+// Modules loaded through the development server, so content resolves as it does in the app
+const RESUME_MODULES = {
+  CONTENT: '/src/utils/contentStore.js',
+  RESUME: '/src/utils/resume.js',
+  VARIANTS: '/src/utils/variants.js'
+};
+
+/**
+ * Creates the résumé plugin
+ *
+ * @returns {import('vite').Plugin} Vite plugin
+ * @usage plugins: [images(), content(), markdown(), resume(), react()]
+ */
+export default function resumePlugin() {
+  return {
+    name: 'portfolio-resume',
+    apply: 'serve',
+
+    configureServer(server) {
+      server.middlewares.use(async (req, res, next) => {
+        // Résumé files live at the site root, beside no module the app imports
+        const url = req.url.split('?')[0];
+        const isCandidate = path.posix.dirname(url) === '/' && ['.pdf', '.json'].includes(path.posix.extname(url));
+        if (!isCandidate) return next();
+
+        try {
+          const { CONTENT } = await server.ssrLoadModule(RESUME_MODULES.CONTENT);
+          const { RESUME_CONFIG, buildJsonResume, buildResume, getResumeFile, toDisplayUrl } = await server.ssrLoadModule(RESUME_MODULES.RESUME);
+          if (url === RESUME_CONFIG.JSON_PATH) {
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.end(`${JSON.stringify(buildJsonResume(CONTENT), null, 2)}\n`);
+            return;
+          }
+
+          const { VARIANTS, applyVariant } = await server.ssrLoadModule(RESUME_MODULES.VARIANTS);
+          const variant = [null, ...Object.keys(VARIANTS)].find(key => getResumeFile(key).path === url);
+          if (variant === undefined) return next();
+
+          // Loaded on first use so pdfkit stays out of the config load
+          const { renderResumePdf } = await import('../scripts/resume-pdf.js');
+          const pdf = await renderResumePdf(buildResume(applyVariant(CONTENT, variant)), toDisplayUrl);
+          res.setHeader('Content-Type', 'application/pdf');
+          res.setHeader('Cache-Control', 'no-cache');
+          res.end(pdf);
+        } catch (error) {
+          next(error);
+        }
+      });
+    }
+  };
+}
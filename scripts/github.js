@@ -0,0 +1,183 @@
+/**
+ * GitHub repository snapshot refresh
+ *
+ * Looks up the repository behind every project's `github` link and records
+ * its star count, license, language breakdown, and last commit date in
+ * content/github.json. The content plugin attaches each entry to its project
+ * as `repository`, so project cards show repository activity without the
+ * browser ever calling the GitHub API.
+ *
+ * Runs as the first step of the build and on its own with `npm run github`.
+ * The snapshot is committed with the rest of the content, so it is also the
+ * fallback: a repository that cannot be fetched keeps its committed entry,
+ * or is left out, and a network outage never fails the build or throws
+ * away data. Set GITHUB_TOKEN to raise the API rate limit.
+ * The stand-in API responses in scripts/fixtures/github.json back the tests.
+ *
+ * @author Walter Magill
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { GITHUB_SNAPSHOT_FILE, loadContent } from '../plugins/content.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Snapshot configuration
+const GITHUB_CONFIG = {
+  API_URL: 'https://api.github.com',
+  API_VERSION: '2022-11-28',
+  TIMEOUT_MS: 10000,
+  REPOSITORY_PATTERN: /^https:\/\/github\.com\/([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?$/,
+  FIXTURE_FILE: path.join(ROOT_DIR, 'scripts', 'fixtures', 'github.json'),
+  SNAPSHOT_FILE: path.join(ROOT_DIR, GITHUB_SNAPSHOT_FILE)
+};
+
+/**
+ * Reads the owner and name of a repository from its URL
+ *
+ * @param {string} url - Repository URL such as "https://github.com/WallyMagill/TSE"
+ * @returns {string|null} "owner/name", or null for URLs outside github.com
+ */
+const toRepositoryName = (url) => {
+  const match = url.match(GITHUB_CONFIG.REPOSITORY_PATTERN);
+  return match ? `${match[1]}/${match[2]}` : null;
+};
+
+/**
+ * Creates a source that answers from the GitHub REST API
+ *
+ * @returns {Function} Fetches `{ repo, languages, commits }` for "owner/name"
+ */
+const createApiSource = () => {
+  const headers = {
+    Accept: 'application/vnd.github+json',
+    'X-GitHub-Api-Version': GITHUB_CONFIG.API_VERSION,
+    ...(process.env.GITHUB_TOKEN && { Authorization: `Bearer ${process.env.GITHUB_TOKEN}` })
+  };
+
+  const request = async (endpoint) => {
+    const response = await fetch(`${GITHUB_CONFIG.API_URL}${endpoint}`, {
+      headers,
+      signal: AbortSignal.timeout(GITHUB_CONFIG.TIMEOUT_MS)
+    });
+    if (!response.ok) throw new Error(`${endpoint} responded ${response.status} ${response.statusText}`);
+    return response.json();
+  };
+
+  return async (name) => {
+    const [repo, languages, commits] = await Promise.all([
+      request(`/repos/${name}`),
+      request(`/repos/${name}/languages`),
+      request(`/repos/${name}/commits?per_page=1`)
+    ]);
+    return { repo, languages, commits };
+  };
+};
+
+/**
+ * Creates a source that answers from the offline fixture
+ * The fixture holds trimmed API responses keyed by "owner/name"
+ *
+ * @returns {Promise<Function>} Returns `{ repo, languages, commits }` for "owner/name"
+ * @usage const lookup = await createFixtureSource();
+ */
+export const createFixtureSource = async () => {
+  const fixture = JSON.parse(await fs.readFile(GITHUB_CONFIG.FIXTURE_FILE, 'utf8'));
+
+  return async (name) => {
+    if (!Object.hasOwn(fixture, name)) {
+      throw new Error(`not in ${path.relative(ROOT_DIR, GITHUB_CONFIG.FIXTURE_FILE)}`);
+    }
+    return fixture[name];
+  };
+};
+
+/**
+ * Converts API responses to a snapshot entry
+ *
+ * @param {Object} responses - `{ repo, languages, commits }` as returned by the API
+ * @param {string} fetchedAt - Date of the lookup in YYYY-MM-DD format
+ * @returns {Object} `{ stars, license, languages, lastCommit, fetchedAt }`; languages
+ *   are `{ name, bytes }`, largest first, and license is an SPDX id or null
+ */
+export const toEntry = ({ repo, languages, commits }, fetchedAt) => {
+  const license = repo.license?.spdx_id;
+  const lastCommit = commits[0]?.commit.committer.date;
+
+  return {
+    stars: repo.stargazers_count,
+    license: license && license !== 'NOASSERTION' ? license : null,
+    languages: Object.entries(languages)
+      .map(([name, bytes]) => ({ name, bytes }))
+      .sort((a, b) => b.bytes - a.bytes),
+    lastCommit: lastCommit ? lastCommit.slice(0, 10) : null,
+    fetchedAt
+  };
+};
+
+/**
+ * Reads the snapshot written by an earlier run
+ *
+ * @returns {Promise<Object|null>} Previous snapshot, or null when there is none
+ */
+const readPreviousSnapshot = async () => {
+  try {
+    return JSON.parse(await fs.readFile(GITHUB_CONFIG.SNAPSHOT_FILE, 'utf8'));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Looks up every project's repository and builds the snapshot
+ * A repository the lookup fails for keeps its previous entry, or is left out
+ *
+ * @param {Array<Object>} projects - Projects with a `github` link
+ * @param {Function} lookup - Returns `{ repo, languages, commits }` for "owner/name"
+ * @param {Object} [options] - Snapshot options
+ * @param {Object} [options.previous={}] - Entries from the previous snapshot, keyed by repository URL
+ * @param {string} [options.fetchedAt] - Date of the lookup in YYYY-MM-DD format; defaults to today
+ * @returns {Promise<Object>} `{ repositories }` keyed by repository URL
+ * @usage const snapshot = await buildSnapshot(content.projects, createApiSource());
+ */
+export const buildSnapshot = async (projects, lookup, { previous = {}, fetchedAt = new Date().toISOString().slice(0, 10) } = {}) => {
+  const repositories = {};
+
+  for (const project of projects) {
+    const name = toRepositoryName(project.github);
+    if (!name) {
+      console.warn(`⚠ ${project.title}: ${project.github} is not a GitHub repository`);
+      continue;
+    }
+
+    try {
+      repositories[project.github] = toEntry(await lookup(name), fetchedAt);
+      console.log(`  fetched ${name}`);
+    } catch (error) {
+      const kept = previous[project.github];
+      console.warn(`⚠ ${name}: ${error.message}; ${kept ? `keeping data from ${kept.fetchedAt}` : 'leaving it out'}`);
+      if (kept) repositories[project.github] = kept;
+    }
+  }
+
+  return { repositories };
+};
+
+const generate = async () => {
+  const { content } = loadContent(ROOT_DIR);
+  const previous = await readPreviousSnapshot();
+  const snapshot = await buildSnapshot(content.projects, createApiSource(), { previous: previous?.repositories });
+
+  await fs.writeFile(GITHUB_CONFIG.SNAPSHOT_FILE, `${JSON.stringify(snapshot, null, 2)}\n`);
+  console.log(`✓ ${Object.keys(snapshot.repositories).length} of ${content.projects.length} repositories in ${GITHUB_SNAPSHOT_FILE}`);
+};
+
+// Run when invoked directly (`node scripts/github.js`), not when imported
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  generate().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,95 @@
+/**
+ * Tests for the GitHub repository snapshot
+ *
+ * Builds snapshots from the stand-in API responses in
+ * scripts/fixtures/github.json, so the tests never touch the network, and
+ * checks how responses become entries and how failed lookups fall back to
+ * the previous snapshot.
+ *
+ * @author Walter Magill
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { describe, expect, it, vi } from 'vitest';
+import { loadContent } from '../plugins/content.js';
+import { buildSnapshot, createFixtureSource, toEntry } from './github.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FETCHED_AT = '2025-08-01';
+
+// A project on GitHub, one hosted elsewhere, and one the lookups cannot find
+const PROJECTS = [
+  { title: 'Neural Network', github: 'https://github.com/WallyMagill/Build-My-Own-Neural-Network' },
+  { title: 'Elsewhere', github: 'https://gitlab.com/WallyMagill/elsewhere' },
+  { title: 'Missing', github: 'https://github.com/WallyMagill/missing' }
+];
+
+describe('toEntry', () => {
+  const responses = {
+    repo: { stargazers_count: 7, license: { spdx_id: 'MIT' } },
+    languages: { CSS: 120, JavaScript: 4800, HTML: 300 },
+    commits: [{ commit: { committer: { date: '2025-06-10T15:27:03Z' } } }]
+  };
+
+  it('keeps the stars, license, and date of the last commit', () => {
+    expect(toEntry(responses, FETCHED_AT)).toMatchObject({
+      stars: 7,
+      license: 'MIT',
+      lastCommit: '2025-06-10',
+      fetchedAt: FETCHED_AT
+    });
+  });
+
+  it('lists languages largest first', () => {
+    expect(toEntry(responses, FETCHED_AT).languages).toEqual([
+      { name: 'JavaScript', bytes: 4800 },
+      { name: 'HTML', bytes: 300 },
+      { name: 'CSS', bytes: 120 }
+    ]);
+  });
+
+  it('has no license for an unlicensed repository or one GitHub cannot identify', () => {
+    expect(toEntry({ ...responses, repo: { stargazers_count: 0, license: null } }, FETCHED_AT).license).toBeNull();
+    expect(toEntry({ ...responses, repo: { stargazers_count: 0, license: { spdx_id: 'NOASSERTION' } } }, FETCHED_AT).license).toBeNull();
+  });
+
+  it('has no last commit for an empty repository', () => {
+    expect(toEntry({ ...responses, commits: [] }, FETCHED_AT).lastCommit).toBeNull();
+  });
+});
+
+describe('buildSnapshot', () => {
+  it('has an entry for every project', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const { content } = loadContent(ROOT_DIR);
+    const { repositories } = await buildSnapshot(content.projects, await createFixtureSource(), { fetchedAt: FETCHED_AT });
+
+    expect(Object.keys(repositories)).toEqual(content.projects.map(project => project.github));
+    Object.values(repositories).forEach(entry => expect(entry).toMatchObject({
+      stars: expect.any(Number),
+      languages: expect.any(Array),
+      lastCommit: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+      fetchedAt: FETCHED_AT
+    }));
+    vi.restoreAllMocks();
+  });
+
+  it('keeps the previous entry of a repository it cannot fetch, and leaves out the rest', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const previousEntry = { stars: 1, license: null, languages: [], lastCommit: '2024-01-01', fetchedAt: '2024-01-02' };
+    const lookup = async () => {
+      throw new Error('503 Service Unavailable');
+    };
+
+    const { repositories } = await buildSnapshot(PROJECTS, lookup, {
+      previous: { [PROJECTS[0].github]: previousEntry },
+      fetchedAt: FETCHED_AT
+    });
+
+    expect(repositories).toEqual({ [PROJECTS[0].github]: previousEntry });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('keeping data from 2024-01-02'));
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('is not a GitHub repository'));
+    vi.restoreAllMocks();
+  });
+});
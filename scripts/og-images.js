@@ -0,0 +1,240 @@
+/**
+ * Build-time Open Graph social card generation
+ *
+ * Renders a 1200×630 share card for the home page and for every project
+ * in the server bundle's content store, then writes them as PNGs into the client
+ * build where the document head tags point. Cards are laid out with satori
+ * (flexbox layout to SVG) and rasterized with resvg.
+ *
+ * Runs fully offline: fonts come from the bundled @fontsource/inter files
+ * and screenshots are read from the client build's hashed assets.
+ *
+ * @author Walter Magill
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { pathToFileURL } from 'node:url';
+import satori from 'satori';
+import { Resvg } from '@resvg/resvg-js';
+import { BUILD_CONFIG, loadServerEntry } from './prerender.js';
+
+const require = createRequire(import.meta.url);
+
+// Card palette, matching the site's dark theme
+const CARD_THEME = {
+  BACKGROUND: '#111827',   // gray-900
+  SURFACE: '#1f2937',      // gray-800
+  TEXT: '#ffffff',
+  MUTED: '#9ca3af',        // gray-400
+  ACCENT: '#60a5fa',       // blue-400
+  CHIP_BACKGROUND: '#1e3a8a', // blue-900
+  CHIP_TEXT: '#bfdbfe',    // blue-200
+  PADDING: 64,
+  MAX_CHIPS: 5
+};
+
+// Bundled font files; satori reads woff (not woff2)
+const FONT_FILES = [
+  { weight: 400, file: '@fontsource/inter/files/inter-latin-400-normal.woff' },
+  { weight: 700, file: '@fontsource/inter/files/inter-latin-700-normal.woff' }
+];
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+/**
+ * Builds a satori element; satori accepts React-like objects without JSX
+ *
+ * @param {string} type - Element type ("div", "img", "span")
+ * @param {Object} style - Inline styles
+ * @param {*} [children] - Child elements or text
+ * @param {Object} [props] - Additional element props such as src
+ * @returns {Object} Element object
+ */
+const h = (type, style, children, props = {}) => ({
+  type,
+  props: { ...props, style, children }
+});
+
+/**
+ * Loads the bundled Inter font files
+ *
+ * @returns {Promise<Array<Object>>} Font definitions for satori
+ */
+const loadFonts = async () => {
+  return Promise.all(FONT_FILES.map(async ({ weight, file }) => ({
+    name: 'Inter',
+    weight,
+    style: 'normal',
+    data: await fs.readFile(require.resolve(file))
+  })));
+};
+
+/**
+ * Reads a built asset into a data URI so satori never fetches over the network
+ *
+ * @param {string|null} assetUrl - Asset URL from the server bundle
+ * @returns {Promise<string|null>} Data URI, or null when there is no image
+ */
+const loadImage = async (assetUrl) => {
+  if (!assetUrl) return null;
+  // Vite inlines small assets as data URIs already
+  if (assetUrl.startsWith('data:')) return assetUrl;
+
+  const filePath = path.join(BUILD_CONFIG.CLIENT_DIR, assetUrl);
+  const mimeType = MIME_TYPES[path.extname(filePath).toLowerCase()];
+  if (!mimeType) {
+    throw new Error(`Unsupported share card image type: ${assetUrl}`);
+  }
+
+  const data = await fs.readFile(filePath);
+  return `data:${mimeType};base64,${data.toString('base64')}`;
+};
+
+/**
+ * Shared card frame: dark background with an accent bar and site footer
+ *
+ * @param {Object} siteConfig - SITE_CONFIG from the server bundle
+ * @param {Array<Object>} content - Card body elements laid out in a row
+ * @returns {Object} Root card element
+ */
+const cardFrame = (siteConfig, content) => {
+  const host = new URL(siteConfig.url).host;
+
+  return h('div', {
+    width: '100%',
+    height: '100%',
+    display: 'flex',
+    flexDirection: 'column',
+    backgroundColor: CARD_THEME.BACKGROUND,
+    color: CARD_THEME.TEXT,
+    fontFamily: 'Inter',
+    borderTop: `12px solid ${CARD_THEME.ACCENT}`,
+    padding: CARD_THEME.PADDING
+  }, [
+    h('div', { display: 'flex', flex: 1, alignItems: 'center', gap: 56 }, content),
+    h('div', {
+      display: 'flex',
+      justifyContent: 'space-between',
+      marginTop: 32,
+      fontSize: 26,
+      color: CARD_THEME.MUTED
+    }, [
+      h('span', {}, siteConfig.name),
+      h('span', { color: CARD_THEME.ACCENT }, host)
+    ])
+  ]);
+};
+
+/**
+ * Home page card: name, title, summary, and headshot
+ *
+ * @param {Object} siteConfig - SITE_CONFIG from the server bundle
+ * @param {string|null} portrait - Headshot data URI
+ * @returns {Object} Card element
+ */
+const homeCard = (siteConfig, portrait) => {
+  const portraitSize = 300;
+
+  return cardFrame(siteConfig, [
+    h('div', { display: 'flex', flexDirection: 'column', flex: 1 }, [
+      h('div', { fontSize: 84, fontWeight: 700, lineHeight: 1.05 }, siteConfig.name),
+      h('div', { fontSize: 40, color: CARD_THEME.ACCENT, marginTop: 16 }, siteConfig.title),
+      h('div', { fontSize: 28, color: CARD_THEME.MUTED, marginTop: 32, lineHeight: 1.4 }, siteConfig.description)
+    ]),
+    portrait && h('img', {
+      width: portraitSize,
+      height: portraitSize,
+      borderRadius: portraitSize / 2,
+      border: `6px solid ${CARD_THEME.SURFACE}`,
+      objectFit: 'cover'
+    }, undefined, { src: portrait, width: portraitSize, height: portraitSize })
+  ].filter(Boolean));
+};
+
+/**
+ * Project card: project title, technology chips, and screenshot
+ *
+ * @param {Object} siteConfig - SITE_CONFIG from the server bundle
+ * @param {Object} project - Project entry from the content store
+ * @param {string|null} screenshot - Screenshot data URI
+ * @returns {Object} Card element
+ */
+const projectCard = (siteConfig, project, screenshot) => {
+  const shownTechnologies = project.technologies.slice(0, CARD_THEME.MAX_CHIPS).map(tech => tech.name);
+  const hiddenCount = project.technologies.length - shownTechnologies.length;
+  const chips = hiddenCount > 0 ? [...shownTechnologies, `+${hiddenCount}`] : shownTechnologies;
+
+  return cardFrame(siteConfig, [
+    h('div', { display: 'flex', flexDirection: 'column', flex: 1 }, [
+      h('div', { fontSize: 26, color: CARD_THEME.ACCENT, textTransform: 'uppercase', letterSpacing: 2 }, 'Project'),
+      h('div', { fontSize: 56, fontWeight: 700, lineHeight: 1.1, marginTop: 12 }, project.title),
+      h('div', { display: 'flex', flexWrap: 'wrap', gap: 12, marginTop: 32 }, chips.map((tech) =>
+        h('div', {
+          fontSize: 22,
+          padding: '6px 18px',
+          borderRadius: 999,
+          backgroundColor: CARD_THEME.CHIP_BACKGROUND,
+          color: CARD_THEME.CHIP_TEXT
+        }, tech)
+      ))
+    ]),
+    screenshot && h('img', {
+      width: 440,
+      height: 330,
+      borderRadius: 16,
+      border: `6px solid ${CARD_THEME.SURFACE}`,
+      objectFit: 'cover'
+    }, undefined, { src: screenshot, width: 440, height: 330 })
+  ].filter(Boolean));
+};
+
+/**
+ * Renders a card element to PNG
+ *
+ * @param {Object} element - Card element
+ * @param {Object} config - SHARE_IMAGE_CONFIG from the server bundle
+ * @param {Array<Object>} fonts - Loaded fonts
+ * @returns {Promise<Buffer>} PNG image data
+ */
+const renderCard = async (element, config, fonts) => {
+  const svg = await satori(element, { width: config.WIDTH, height: config.HEIGHT, fonts });
+  return new Resvg(svg, { fitTo: { mode: 'width', value: config.WIDTH } }).render().asPng();
+};
+
+const generate = async () => {
+  const { SITE_CONFIG, CONTENT, SHARE_IMAGE_CONFIG, getShareImagePath } = await loadServerEntry();
+  const fonts = await loadFonts();
+
+  const cards = [
+    { key: 'home', element: homeCard(SITE_CONFIG, await loadImage(SHARE_IMAGE_CONFIG.PORTRAIT)) }
+  ];
+  for (const project of CONTENT.projects.all) {
+    cards.push({
+      key: `projects/${project.id}`,
+      element: projectCard(SITE_CONFIG, project, await loadImage(project.image?.src))
+    });
+  }
+
+  for (const { key, element } of cards) {
+    const outputFile = path.join(BUILD_CONFIG.CLIENT_DIR, getShareImagePath(key));
+    await fs.mkdir(path.dirname(outputFile), { recursive: true });
+    await fs.writeFile(outputFile, await renderCard(element, SHARE_IMAGE_CONFIG, fonts));
+    console.log(`  rendered ${getShareImagePath(key)}`);
+  }
+
+  console.log(`✓ ${cards.length} share images generated`);
+};
+
+// Run when invoked directly (`node scripts/og-images.js`), not when imported
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  generate().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
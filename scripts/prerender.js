@@ -0,0 +1,106 @@
+/**
+ * Build-time static prerendering of every route
+ * 
+ * Loads the server bundle produced by `vite build --ssr`, renders each route
+ * from the static route table to HTML, and writes it into the client build
+ * so crawlers and link unfurlers receive real content. The client entry then
+ * hydrates the markup instead of rendering from scratch. Each page's
+ * document head (title, description, canonical and social tags) replaces
+ * the template defaults, and <html lang> is set to the page's locale.
+ * 
+ * Also writes the untouched template as 200.html, the SPA fallback for URLs
+ * that were not prerendered.
+ * 
+ * @author Walter Magill
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Build output locations
+export const BUILD_CONFIG = {
+  CLIENT_DIR: path.join(ROOT_DIR, 'dist'),
+  SERVER_ENTRY: path.join(ROOT_DIR, 'dist-ssr', 'entry-server.js'),
+  ROOT_PLACEHOLDER: '<div id="root"></div>',
+  DEFAULT_HEAD_PATTERN: /\s*<title>[\s\S]*?<\/title>|\s*<meta name="description"[^>]*>/g,
+  HTML_LANG_PATTERN: /<html lang="[^"]*">/,
+  FALLBACK_FILE: '200.html'
+};
+
+/**
+ * Loads the server bundle with render() and the route table
+ * 
+ * @returns {Promise<Object>} Server entry module exports
+ */
+export const loadServerEntry = async () => {
+  try {
+    return await import(pathToFileURL(BUILD_CONFIG.SERVER_ENTRY).href);
+  } catch (error) {
+    throw new Error(
+      `Could not load ${path.relative(ROOT_DIR, BUILD_CONFIG.SERVER_ENTRY)}. ` +
+      `Run "npm run build:server" first.\n${error.message}`
+    );
+  }
+};
+
+/**
+ * Maps a route path to the HTML file that should serve it
+ * 
+ * @param {string} routePath - URL path such as "/" or "/projects/4"
+ * @returns {string} Absolute output file path
+ */
+const getOutputFile = (routePath) => {
+  return path.join(BUILD_CONFIG.CLIENT_DIR, routePath, 'index.html');
+};
+
+/**
+ * Fills the HTML template with a page's markup and head tags
+ * 
+ * @param {string} template - Client build index.html
+ * @param {Object} page - Rendered page ({ html, head, lang })
+ * @returns {string} Complete HTML document
+ */
+const renderDocument = (template, { html, head, lang }) => {
+  return template
+    .replace(BUILD_CONFIG.HTML_LANG_PATTERN, `<html lang="${lang}">`)
+    .replace(BUILD_CONFIG.DEFAULT_HEAD_PATTERN, '')
+    // Function replacers keep "$" sequences in content from being read as patterns
+    .replace('</head>', () => `  ${head}\n  </head>`)
+    .replace(BUILD_CONFIG.ROOT_PLACEHOLDER, () => `<div id="root">${html}</div>`);
+};
+
+const prerender = async () => {
+  const { render, getStaticRoutes } = await loadServerEntry();
+  const templatePath = path.join(BUILD_CONFIG.CLIENT_DIR, 'index.html');
+  const template = await fs.readFile(templatePath, 'utf-8');
+
+  if (!template.includes(BUILD_CONFIG.ROOT_PLACEHOLDER)) {
+    throw new Error(`Template is missing ${BUILD_CONFIG.ROOT_PLACEHOLDER}; was it already prerendered?`);
+  }
+
+  // Keep an unrendered copy for client-side routing of unknown URLs
+  await fs.writeFile(path.join(BUILD_CONFIG.CLIENT_DIR, BUILD_CONFIG.FALLBACK_FILE), template);
+
+  const routes = getStaticRoutes();
+  for (const route of routes) {
+    const html = renderDocument(template, render(route.path));
+
+    const outputFile = getOutputFile(route.path);
+    await fs.mkdir(path.dirname(outputFile), { recursive: true });
+    await fs.writeFile(outputFile, html);
+    console.log(`  prerendered ${route.path}`);
+  }
+
+  console.log(`✓ ${routes.length} routes prerendered`);
+};
+
+// Run when invoked directly (`node scripts/prerender.js`), not when imported
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  prerender().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,172 @@
+/**
+ * Live preview check
+ *
+ * Requests every project's `live` site and records in content/previews.json
+ * whether its response headers let this site embed it. Browsers do not tell
+ * a page when an embedded site refuses to be framed, and the frame still
+ * fires its load event, so the project pages only offer a live preview for
+ * sites this check has found embeddable; the rest show their screenshot and
+ * a link that opens the site in a new tab.
+ *
+ * A site refuses when its Content-Security-Policy has a frame-ancestors
+ * directive that leaves out this site's origin or, without one, when its
+ * X-Frame-Options allows no other origin. The snapshot is committed with
+ * the rest of the content and refreshed on demand with `npm run previews`.
+ * A project's `preview` frontmatter overrides it. A site that cannot be
+ * reached keeps its previous entry, or is left out and gets no preview.
+ *
+ * @author Walter Magill
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { PREVIEW_SNAPSHOT_FILE, loadContent } from '../plugins/content.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Check configuration
+const PREVIEW_CHECK_CONFIG = {
+  SITE_ORIGIN: 'https://waltermagill.dev',  // Mirrors SITE_CONFIG.url in src/utils/constants.js
+  TIMEOUT_MS: 30000,                        // Generous, as free hosts can take a while to wake up
+  HOST_SOURCE_PATTERN: /^(?:([a-z][a-z\d+.-]*):\/\/)?(\*|(?:\*\.)?[^:/*]+)(?::(\d+|\*))?(?:\/.*)?$/i,
+  SNAPSHOT_FILE: path.join(ROOT_DIR, PREVIEW_SNAPSHOT_FILE)
+};
+
+/**
+ * Checks whether one frame-ancestors source allows an origin
+ *
+ * @param {string} source - Source expression such as "'self'", "https:", or "*.example.com"
+ * @param {URL} ancestor - Origin that wants to embed the site
+ * @param {URL} site - Origin of the embedded site, for 'self'
+ * @returns {boolean} True when the source matches the ancestor
+ */
+const matchesSource = (source, ancestor, site) => {
+  const value = source.toLowerCase();
+  if (value === "'self'") return ancestor.origin === site.origin;
+  if (value.startsWith("'")) return false;
+  if (/^[a-z][a-z\d+.-]*:$/.test(value)) return ancestor.protocol === value;
+
+  const match = value.match(PREVIEW_CHECK_CONFIG.HOST_SOURCE_PATTERN);
+  if (!match) return false;
+
+  const [, scheme, host, port] = match;
+  const schemeMatches = scheme ? `${scheme}:` === ancestor.protocol : ['http:', 'https:'].includes(ancestor.protocol);
+  const hostMatches = host === '*'
+    || host === ancestor.hostname
+    || (host.startsWith('*.') && ancestor.hostname.endsWith(host.slice(1)));
+  const portMatches = !port || port === '*' || port === (ancestor.port || (ancestor.protocol === 'https:' ? '443' : '80'));
+  return schemeMatches && hostMatches && portMatches;
+};
+
+/**
+ * Decides from a site's response headers whether this site may embed it
+ * Every policy in Content-Security-Policy must allow the frame, and a
+ * frame-ancestors directive takes precedence over X-Frame-Options, as it
+ * does in browsers
+ *
+ * @param {Headers} headers - Response headers of the live site
+ * @param {string} url - Final URL of the live site, after redirects
+ * @param {string} [origin] - Origin that embeds the site
+ * @returns {{ embeddable: boolean, reason: string|null }} Verdict, and the header behind a refusal
+ * @usage const { embeddable } = checkEmbeddable(response.headers, response.url);
+ */
+export const checkEmbeddable = (headers, url, origin = PREVIEW_CHECK_CONFIG.SITE_ORIGIN) => {
+  const ancestor = new URL(origin);
+  const site = new URL(url);
+
+  const frameAncestors = (headers.get('content-security-policy') ?? '')
+    .split(',')
+    .map(policy => policy.split(';').map(directive => directive.trim().split(/\s+/)))
+    .map(directives => directives.find(([name]) => name.toLowerCase() === 'frame-ancestors'))
+    .filter(Boolean);
+
+  if (frameAncestors.length > 0) {
+    const refusing = frameAncestors.find(([, ...sources]) => !sources.some(source => matchesSource(source, ancestor, site)));
+    return refusing
+      ? { embeddable: false, reason: `Content-Security-Policy: ${refusing.join(' ')}` }
+      : { embeddable: true, reason: null };
+  }
+
+  const frameOptions = headers.get('x-frame-options');
+  const allowsFrame = !frameOptions || (frameOptions.trim().toUpperCase() === 'SAMEORIGIN' && ancestor.origin === site.origin);
+  return allowsFrame
+    ? { embeddable: true, reason: null }
+    : { embeddable: false, reason: `X-Frame-Options: ${frameOptions}` };
+};
+
+/**
+ * Creates a source that requests live sites over the network
+ *
+ * @returns {Function} Fetches `{ headers, url }` of the final response for a URL
+ */
+const createHttpSource = () => async (url) => {
+  const response = await fetch(url, {
+    redirect: 'follow',
+    signal: AbortSignal.timeout(PREVIEW_CHECK_CONFIG.TIMEOUT_MS)
+  });
+  await response.body?.cancel();
+  if (!response.ok) throw new Error(`responded ${response.status} ${response.statusText}`);
+  return { headers: response.headers, url: response.url };
+};
+
+/**
+ * Reads the snapshot written by an earlier run
+ *
+ * @returns {Promise<Object|null>} Previous snapshot, or null when there is none
+ */
+const readPreviousSnapshot = async () => {
+  try {
+    return JSON.parse(await fs.readFile(PREVIEW_CHECK_CONFIG.SNAPSHOT_FILE, 'utf8'));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Checks every project's live site and builds the snapshot
+ * A site the request fails for keeps its previous entry, or is left out
+ *
+ * @param {Array<Object>} projects - Projects, with or without a `live` URL
+ * @param {Function} request - Returns `{ headers, url }` for a live URL
+ * @param {Object} [options] - Snapshot options
+ * @param {Object} [options.previous={}] - Entries from the previous snapshot, keyed by live URL
+ * @param {string} [options.checkedAt] - Date of the check in YYYY-MM-DD format; defaults to today
+ * @returns {Promise<Object>} `{ sites }` keyed by live URL, each `{ embeddable, reason, checkedAt }`
+ * @usage const snapshot = await buildPreviewSnapshot(content.projects, createHttpSource());
+ */
+export const buildPreviewSnapshot = async (projects, request, { previous = {}, checkedAt = new Date().toISOString().slice(0, 10) } = {}) => {
+  const sites = {};
+
+  for (const project of projects.filter(({ live }) => live)) {
+    try {
+      const response = await request(project.live);
+      sites[project.live] = { ...checkEmbeddable(response.headers, response.url), checkedAt };
+      console.log(`  ${project.live}: ${sites[project.live].reason ?? 'embeddable'}`);
+    } catch (error) {
+      const kept = previous[project.live];
+      console.warn(`⚠ ${project.live}: ${error.message}; ${kept ? `keeping the result from ${kept.checkedAt}` : 'leaving it out'}`);
+      if (kept) sites[project.live] = kept;
+    }
+  }
+
+  return { sites };
+};
+
+const generate = async () => {
+  const { content } = loadContent(ROOT_DIR);
+  const previous = await readPreviousSnapshot();
+  const snapshot = await buildPreviewSnapshot(content.projects, createHttpSource(), { previous: previous?.sites });
+
+  await fs.writeFile(PREVIEW_CHECK_CONFIG.SNAPSHOT_FILE, `${JSON.stringify(snapshot, null, 2)}\n`);
+  const embeddable = Object.values(snapshot.sites).filter(site => site.embeddable).length;
+  console.log(`✓ ${embeddable} of ${content.projects.filter(({ live }) => live).length} live sites can be previewed (${PREVIEW_SNAPSHOT_FILE})`);
+};
+
+// Run when invoked directly (`node scripts/previews.js`), not when imported
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  generate().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,91 @@
+/**
+ * Tests for the live preview check
+ *
+ * Feeds the check response headers the way live sites send them, so the
+ * tests never touch the network, and checks which ones allow this site to
+ * embed the page and how failed requests fall back to the previous snapshot.
+ *
+ * @author Walter Magill
+ */
+
+import { describe, expect, it, vi } from 'vitest';
+import { buildPreviewSnapshot, checkEmbeddable } from './previews.js';
+
+const SITE = 'https://example.onrender.com/';
+const ORIGIN = 'https://waltermagill.dev';
+const CHECKED_AT = '2025-08-01';
+
+const check = (headers, url = SITE) => checkEmbeddable(new Headers(headers), url, ORIGIN);
+
+describe('checkEmbeddable', () => {
+  it('allows a site that sends no framing headers', () => {
+    expect(check({})).toEqual({ embeddable: true, reason: null });
+  });
+
+  it.each(['DENY', 'SAMEORIGIN'])('refuses a site that sends X-Frame-Options: %s', (value) => {
+    expect(check({ 'X-Frame-Options': value })).toEqual({ embeddable: false, reason: `X-Frame-Options: ${value}` });
+  });
+
+  it.each([
+    ["frame-ancestors 'none'", false],
+    ["frame-ancestors 'self'", false],
+    ['frame-ancestors *', true],
+    ['frame-ancestors https:', true],
+    ['frame-ancestors https://waltermagill.dev', true],
+    ['frame-ancestors *.waltermagill.dev', false],
+    ['frame-ancestors https://other.dev', false],
+    ["default-src 'self'; frame-ancestors 'self' https://waltermagill.dev", true]
+  ])('reads "%s" as embeddable: %s', (policy, embeddable) => {
+    expect(check({ 'Content-Security-Policy': policy }).embeddable).toBe(embeddable);
+  });
+
+  it('lets frame-ancestors take precedence over X-Frame-Options', () => {
+    expect(check({ 'Content-Security-Policy': 'frame-ancestors *', 'X-Frame-Options': 'DENY' }).embeddable).toBe(true);
+  });
+
+  it('refuses when any of several policies leaves this site out', () => {
+    const result = check({ 'Content-Security-Policy': "frame-ancestors *, frame-ancestors 'none'" });
+    expect(result).toEqual({ embeddable: false, reason: "Content-Security-Policy: frame-ancestors 'none'" });
+  });
+
+  it('allows same-origin framing when this site embeds its own pages', () => {
+    expect(check({ 'X-Frame-Options': 'SAMEORIGIN' }, `${ORIGIN}/`).embeddable).toBe(true);
+    expect(check({ 'Content-Security-Policy': "frame-ancestors 'self'" }, `${ORIGIN}/`).embeddable).toBe(true);
+  });
+});
+
+describe('buildPreviewSnapshot', () => {
+  const projects = [
+    { title: 'Framed', live: SITE },
+    { title: 'Offline', live: 'https://offline.example.com/' },
+    { title: 'No site', live: null }
+  ];
+
+  it('records a verdict for every live site it reaches', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const request = async (url) => {
+      if (url !== SITE) throw new Error('fetch failed');
+      return { headers: new Headers({ 'X-Frame-Options': 'DENY' }), url };
+    };
+
+    const { sites } = await buildPreviewSnapshot(projects, request, { checkedAt: CHECKED_AT });
+
+    expect(sites).toEqual({ [SITE]: { embeddable: false, reason: 'X-Frame-Options: DENY', checkedAt: CHECKED_AT } });
+    vi.restoreAllMocks();
+  });
+
+  it('keeps the previous verdict for a site it cannot reach', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const previousEntry = { embeddable: true, reason: null, checkedAt: '2025-01-01' };
+    const request = async () => {
+      throw new Error('fetch failed');
+    };
+
+    const { sites } = await buildPreviewSnapshot(projects, request, { previous: { [SITE]: previousEntry } });
+
+    expect(sites).toEqual({ [SITE]: previousEntry });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('keeping the result from 2025-01-01'));
+    vi.restoreAllMocks();
+  });
+});
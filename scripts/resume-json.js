@@ -0,0 +1,61 @@
+/**
+ * Build-time JSON Resume export
+ *
+ * Writes the résumé as a JSON Resume document (https://jsonresume.org) to
+ * /resume.json in the client build, generated from the same content store
+ * as the pages and the PDF (see buildJsonResume in src/utils/resume.js).
+ * Applicant tracking systems and JSON Resume themes can read it directly.
+ *
+ * The document is checked against the official schema from
+ * @jsonresume/schema before it is written, and the build fails with a
+ * readable list of problems when it does not conform.
+ *
+ * @author Walter Magill
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import jsonResumeSchema from '@jsonresume/schema';
+import { BUILD_CONFIG, loadServerEntry } from './prerender.js';
+
+/**
+ * Validates a document against the JSON Resume schema
+ *
+ * @param {Object} document - JSON Resume document
+ * @returns {Array<string>} Problems as "property: message"; empty when valid
+ */
+export const validateJsonResume = (document) => {
+  let problems = [];
+  jsonResumeSchema.validate(document, (errors) => {
+    problems = (errors || []).map(error => `${error.property.replace(/^instance\.?/, '') || 'resume'}: ${error.message}`);
+  });
+  return problems;
+};
+
+const generate = async () => {
+  const { RESUME_CONFIG, buildJsonResume } = await loadServerEntry();
+  const document = buildJsonResume();
+
+  const problems = validateJsonResume(document);
+  if (problems.length > 0) {
+    console.error(`\n${RESUME_CONFIG.JSON_PATH} does not match the JSON Resume schema:\n`);
+    problems.forEach(problem => console.error(`  ✗ ${problem}`));
+    console.error('');
+    process.exit(1);
+  }
+
+  const outputFile = path.join(BUILD_CONFIG.CLIENT_DIR, RESUME_CONFIG.JSON_PATH);
+  await fs.mkdir(path.dirname(outputFile), { recursive: true });
+  await fs.writeFile(outputFile, `${JSON.stringify(document, null, 2)}\n`);
+
+  console.log(`✓ JSON Resume written to ${RESUME_CONFIG.JSON_PATH}`);
+};
+
+// Run when invoked directly (`node scripts/resume-json.js`), not when imported
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  generate().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
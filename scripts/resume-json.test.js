@@ -0,0 +1,43 @@
+/**
+ * Tests for the JSON Resume export
+ *
+ * Builds resume.json from the real content and validates it against the
+ * official schema from @jsonresume/schema; any schema error fails the test.
+ *
+ * @author Walter Magill
+ */
+
+import { describe, expect, it } from 'vitest';
+import { CONTENT } from '../src/utils/contentStore';
+import { RESUME_CONFIG, buildJsonResume } from '../src/utils/resume';
+import { validateJsonResume } from './resume-json.js';
+
+describe('buildJsonResume', () => {
+  const document = buildJsonResume();
+
+  it('matches the JSON Resume schema', () => {
+    expect(validateJsonResume(document)).toEqual([]);
+  });
+
+  it('declares the schema version it follows', () => {
+    expect(document.meta.version).toBe(RESUME_CONFIG.JSON_RESUME_VERSION);
+  });
+
+  it('lists every role, community role, and project', () => {
+    expect(document.work).toHaveLength(CONTENT.experience.all.length);
+    expect(document.volunteer).toHaveLength(CONTENT.community.all.length);
+    expect(document.projects).toHaveLength(CONTENT.projects.all.length);
+  });
+});
+
+describe('validateJsonResume', () => {
+  it('reports where a document breaks the schema', () => {
+    const document = buildJsonResume();
+    const broken = { ...document, basics: { ...document.basics, email: 'not an email' }, work: 'none' };
+
+    expect(validateJsonResume(broken)).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^basics\.email: /),
+      expect.stringMatching(/^work: /)
+    ]));
+  });
+});
@@ -0,0 +1,294 @@
+/**
+ * Build-time résumé PDF generation
+ *
+ * Lays out the résumé model from the server bundle (see src/utils/resume.js)
+ * as a one-page US Letter PDF and writes it into the client build at the
+ * path the download buttons point to, so the résumé always matches the
+ * content shown on the site. One more PDF is written per résumé variant in
+ * content/variants.yaml, tailored by applyVariant. Layout and typography
+ * live in RESUME_TEMPLATE.
+ *
+ * Runs fully offline: text is set in the bundled @fontsource/inter files.
+ * Output is byte-for-byte stable for unchanged content because the document
+ * date comes from the content rather than the clock.
+ *
+ * @author Walter Magill
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+import { pathToFileURL } from 'node:url';
+import PDFDocument from 'pdfkit';
+import { BUILD_CONFIG, loadServerEntry } from './prerender.js';
+
+const require = createRequire(import.meta.url);
+
+// Printable template: page geometry, type scale, and colors in PDF points
+const RESUME_TEMPLATE = {
+  PAGE_SIZE: 'LETTER',
+  MARGIN: 40,
+  SIZES: {
+    NAME: 22,
+    LABEL: 11,
+    HEADING: 10,
+    BODY: 8.75,
+    DETAIL: 8
+  },
+  SPACING: {
+    SECTION: 9,
+    ENTRY: 5,
+    HEADING_RULE: 3,
+    ROW_GAP: 12
+  },
+  COLORS: {
+    TEXT: '#111827',    // gray-900
+    MUTED: '#4b5563',   // gray-600
+    ACCENT: '#2563eb',  // blue-600
+    RULE: '#d1d5db'     // gray-300
+  },
+  LINE_GAP: 1,
+  SEPARATOR: '  ·  '
+};
+
+// Bundled font files, registered under the names the layout uses
+const FONT_FILES = {
+  regular: '@fontsource/inter/files/inter-latin-400-normal.woff',
+  semibold: '@fontsource/inter/files/inter-latin-600-normal.woff',
+  bold: '@fontsource/inter/files/inter-latin-700-normal.woff'
+};
+
+/**
+ * Registers the bundled Inter font files with a document
+ *
+ * @param {PDFDocument} doc - Document being laid out
+ */
+const registerFonts = (doc) => {
+  Object.entries(FONT_FILES).forEach(([name, file]) => doc.registerFont(name, require.resolve(file)));
+};
+
+/**
+ * Creates a layout helper bound to a document
+ * Every helper writes at the current cursor and leaves it below what it drew
+ *
+ * @param {PDFDocument} doc - Document being laid out
+ * @returns {Object} Layout helpers
+ */
+const createLayout = (doc) => {
+  const { SIZES, SPACING, COLORS, LINE_GAP } = RESUME_TEMPLATE;
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+  /**
+   * Writes a wrapped paragraph across the full width
+   *
+   * @param {string} text - Paragraph text
+   * @param {Object} [style] - Font name, size, color, and pdfkit text options
+   */
+  const paragraph = (text, { font = 'regular', size = SIZES.BODY, color = COLORS.TEXT, ...options } = {}) => {
+    doc.font(font).fontSize(size).fillColor(color)
+      .text(text, left, doc.y, { width, lineGap: LINE_GAP, ...options });
+  };
+
+  /**
+   * Writes a line with text on the left and a right-aligned detail such as dates
+   *
+   * @param {string} leftText - Main text
+   * @param {string} rightText - Right-aligned detail
+   * @param {Object} [style] - Font name and size of the main text
+   */
+  const row = (leftText, rightText, { font = 'semibold', size = SIZES.BODY } = {}) => {
+    const top = doc.y;
+    doc.font('regular').fontSize(SIZES.DETAIL);
+    const rightWidth = doc.widthOfString(rightText);
+    doc.fillColor(COLORS.MUTED).text(rightText, left, top, { width, align: 'right', lineBreak: false });
+    const rightBottom = top + doc.currentLineHeight(true);
+
+    doc.font(font).fontSize(size).fillColor(COLORS.TEXT)
+      .text(leftText, left, top, { width: width - rightWidth - SPACING.ROW_GAP, lineGap: LINE_GAP });
+    doc.y = Math.max(doc.y, rightBottom);
+  };
+
+  /**
+   * Writes a section heading with a rule underneath
+   *
+   * @param {string} title - Section title
+   */
+  const heading = (title) => {
+    doc.y += SPACING.SECTION;
+    doc.font('bold').fontSize(SIZES.HEADING).fillColor(COLORS.ACCENT)
+      .text(title.toUpperCase(), left, doc.y, { width, characterSpacing: 0.8 });
+    const ruleY = doc.y + 1;
+    doc.moveTo(left, ruleY).lineTo(left + width, ruleY).lineWidth(0.5).strokeColor(COLORS.RULE).stroke();
+    doc.y = ruleY + SPACING.HEADING_RULE;
+  };
+
+  /**
+   * Writes a labelled list such as "Languages: JavaScript, Python"
+   *
+   * @param {string} label - Bold lead-in
+   * @param {Array<string>} items - Listed values
+   * @param {Object} [style] - Font size and color of the list
+   */
+  const labelledList = (label, items, { size = SIZES.BODY, color = COLORS.TEXT } = {}) => {
+    doc.font('semibold').fontSize(size).fillColor(color)
+      .text(`${label}: `, left, doc.y, { width, lineGap: LINE_GAP, continued: true })
+      .font('regular').text(items.join(', '));
+  };
+
+  /**
+   * Adds vertical space below the last line written
+   *
+   * @param {number} [size] - Space in points; defaults to the gap between entries
+   */
+  const gap = (size = SPACING.ENTRY) => {
+    doc.y += size;
+  };
+
+  return { left, width, paragraph, row, heading, labelledList, gap };
+};
+
+/**
+ * Lays out the résumé header: name, title, contact links, and summary
+ *
+ * @param {PDFDocument} doc - Document being laid out
+ * @param {Object} layout - Layout helpers
+ * @param {Object} basics - Résumé `basics`
+ * @param {Function} toDisplayUrl - URL shortener from the server bundle
+ */
+const renderHeader = (doc, layout, basics, toDisplayUrl) => {
+  const { SIZES, COLORS, SEPARATOR } = RESUME_TEMPLATE;
+
+  layout.paragraph(basics.name, { font: 'bold', size: SIZES.NAME });
+  layout.paragraph(basics.label, { font: 'semibold', size: SIZES.LABEL, color: COLORS.ACCENT });
+  layout.gap(3);
+
+  const links = [
+    { text: basics.email, url: `mailto:${basics.email}` },
+    { text: toDisplayUrl(basics.url), url: basics.url },
+    ...basics.profiles.map(profile => ({ text: toDisplayUrl(profile.url), url: profile.url }))
+  ];
+  // Laid out by hand so each link gets its own clickable area on one line
+  const top = doc.y;
+  let x = layout.left;
+  doc.font('regular').fontSize(SIZES.DETAIL).fillColor(COLORS.MUTED);
+  links.forEach(({ text, url }, index) => {
+    const label = index > 0 ? `${SEPARATOR}${text}` : text;
+    const labelWidth = doc.widthOfString(label);
+    doc.text(label, x, top, { lineBreak: false });
+    doc.link(x + labelWidth - doc.widthOfString(text), top, doc.widthOfString(text), doc.currentLineHeight(), url);
+    x += labelWidth;
+  });
+
+  doc.y = top + doc.currentLineHeight(true);
+  layout.gap(4);
+  layout.paragraph(basics.summary, { color: COLORS.MUTED });
+};
+
+/**
+ * Lays out every résumé section on a single page
+ *
+ * @param {PDFDocument} doc - Document being laid out
+ * @param {Object} resume - Résumé model from buildResume
+ * @param {Function} toDisplayUrl - URL shortener from the server bundle
+ */
+const renderResume = (doc, resume, toDisplayUrl) => {
+  const { SIZES, COLORS } = RESUME_TEMPLATE;
+  const layout = createLayout(doc);
+  const { education } = resume;
+
+  renderHeader(doc, layout, resume.basics, toDisplayUrl);
+
+  layout.heading('Education');
+  layout.row(education.institution, education.graduated);
+  layout.paragraph(`${education.degree}, ${education.area}`);
+
+  layout.heading('Experience');
+  resume.experience.forEach((role, index) => {
+    if (index > 0) layout.gap();
+    layout.row(`${role.title}, ${role.company}`, `${role.location}${RESUME_TEMPLATE.SEPARATOR}${role.period}`);
+    layout.paragraph(role.description);
+  });
+
+  layout.heading('Projects');
+  resume.projects.forEach((project, index) => {
+    if (index > 0) layout.gap();
+    layout.row(project.title, toDisplayUrl(project.url));
+    layout.paragraph(project.description);
+    layout.labelledList('Built with', project.technologies, { size: SIZES.DETAIL, color: COLORS.MUTED });
+  });
+
+  layout.heading('Skills');
+  resume.skills.forEach(category => layout.labelledList(category.title, category.items));
+
+  if (resume.leadership.length > 0) {
+    layout.heading('Leadership');
+    resume.leadership.forEach(involvement => layout.row(`${involvement.title}, ${involvement.organization}`, involvement.period));
+  }
+};
+
+/**
+ * Renders a résumé model to PDF
+ * Fails when the content no longer fits on one page, so the résumé is
+ * shortened deliberately instead of spilling onto a second page
+ *
+ * @param {Object} resume - Résumé model from buildResume
+ * @param {Function} toDisplayUrl - URL shortener from the server bundle
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+export const renderResumePdf = (resume, toDisplayUrl) => {
+  const doc = new PDFDocument({
+    size: RESUME_TEMPLATE.PAGE_SIZE,
+    margin: RESUME_TEMPLATE.MARGIN,
+    bufferPages: true,
+    info: {
+      Title: `${resume.basics.name} Résumé`,
+      Author: resume.basics.name,
+      Subject: resume.basics.label,
+      // Fixed by the content so identical content produces an identical file
+      CreationDate: new Date(`${resume.updated}T00:00:00Z`)
+    }
+  });
+  registerFonts(doc);
+
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  renderResume(doc, resume, toDisplayUrl);
+
+  const { count } = doc.bufferedPageRange();
+  if (count > 1) {
+    throw new Error(
+      `The résumé runs to ${count} pages. Shorten the content or lower RESUME_CONFIG limits in src/utils/resume.js.`
+    );
+  }
+
+  doc.end();
+  return finished;
+};
+
+const generate = async () => {
+  const { CONTENT, VARIANTS, applyVariant, buildResume, getResumeFile, toDisplayUrl } = await loadServerEntry();
+
+  // The default résumé, then one per variant
+  for (const variant of [null, ...Object.keys(VARIANTS)]) {
+    const { path: pdfPath } = getResumeFile(variant);
+    const outputFile = path.join(BUILD_CONFIG.CLIENT_DIR, pdfPath);
+    await fs.mkdir(path.dirname(outputFile), { recursive: true });
+    await fs.writeFile(outputFile, await renderResumePdf(buildResume(applyVariant(CONTENT, variant)), toDisplayUrl));
+
+    console.log(`✓ résumé written to ${pdfPath}`);
+  }
+};
+
+// Run when invoked directly (`node scripts/resume-pdf.js`), not when imported
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  generate().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
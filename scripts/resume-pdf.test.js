@@ -0,0 +1,47 @@
+/**
+ * Tests for the résumé PDF generator
+ *
+ * Renders the default résumé and every variant from the real content and
+ * checks that each one fits on a single page and that rendering the same
+ * content twice produces a byte-identical file, so the PDFs can be diffed
+ * between builds.
+ *
+ * @author Walter Magill
+ */
+
+import crypto from 'node:crypto';
+import { describe, expect, it } from 'vitest';
+import { CONTENT } from '../src/utils/contentStore';
+import { buildResume, toDisplayUrl } from '../src/utils/resume';
+import { VARIANTS, applyVariant } from '../src/utils/variants';
+import { renderResumePdf } from './resume-pdf.js';
+
+/**
+ * Reads the page count from the PDF's page tree
+ * pdfkit writes object dictionaries uncompressed, so the count is plain text
+ *
+ * @param {Buffer} pdf - PDF file contents
+ * @returns {number} Number of pages
+ */
+const countPages = (pdf) => Number(pdf.toString('latin1').match(/\/Type \/Pages\s*\/Count (\d+)/)[1]);
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+describe('renderResumePdf', () => {
+  it.each([null, ...Object.keys(VARIANTS)])('renders the %s résumé on one page, identically every time', async (variant) => {
+    const resume = buildResume(applyVariant(CONTENT, variant));
+    const first = await renderResumePdf(resume, toDisplayUrl);
+    const second = await renderResumePdf(buildResume(applyVariant(CONTENT, variant)), toDisplayUrl);
+
+    expect(first.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(countPages(first)).toBe(1);
+    expect(sha256(second)).toBe(sha256(first));
+  });
+
+  it('refuses content that runs onto a second page', () => {
+    const resume = buildResume(CONTENT);
+    const longResume = { ...resume, experience: [...resume.experience, ...resume.experience, ...resume.experience] };
+
+    expect(() => renderResumePdf(longResume, toDisplayUrl)).toThrow(/runs to \d+ pages/);
+  });
+});
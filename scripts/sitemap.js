@@ -0,0 +1,91 @@
+/**
+ * Build-time sitemap.xml and robots.txt generation
+ * 
+ * Walks the canonical route table from the server bundle, which is built
+ * from the content modules, and writes sitemap.xml and robots.txt into the
+ * client build. Adding a project or post is enough for search engines to
+ * discover it; no XML is edited by hand.
+ * 
+ * @author Walter Magill
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { BUILD_CONFIG, loadServerEntry } from './prerender.js';
+
+/**
+ * Escapes text for safe inclusion in XML element content
+ * 
+ * @param {string} value - Raw text
+ * @returns {string} XML-escaped text
+ */
+const escapeXml = (value) => {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+/**
+ * Builds the sitemap document for a set of routes
+ * 
+ * @param {string} origin - Canonical site origin without trailing slash
+ * @param {Array<Object>} routes - Route objects with path and lastmod
+ * @returns {string} sitemap.xml contents
+ */
+export const buildSitemap = (origin, routes) => {
+  const entries = routes.map((route) => {
+    const lines = [`    <loc>${escapeXml(`${origin}${route.path}`)}</loc>`];
+    if (route.lastmod) {
+      lines.push(`    <lastmod>${route.lastmod}</lastmod>`);
+    }
+    return `  <url>\n${lines.join('\n')}\n  </url>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries,
+    '</urlset>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Builds robots.txt pointing crawlers at the sitemap
+ * 
+ * @param {string} origin - Canonical site origin without trailing slash
+ * @returns {string} robots.txt contents
+ */
+export const buildRobots = (origin) => {
+  return [
+    'User-agent: *',
+    'Allow: /',
+    `Disallow: /${BUILD_CONFIG.FALLBACK_FILE}`,
+    '',
+    `Sitemap: ${origin}/sitemap.xml`,
+    ''
+  ].join('\n');
+};
+
+const generate = async () => {
+  const { getCanonicalRoutes, SITE_CONFIG } = await loadServerEntry();
+  const origin = SITE_CONFIG.url.replace(/\/+$/, '');
+  const routes = getCanonicalRoutes();
+
+  await fs.writeFile(path.join(BUILD_CONFIG.CLIENT_DIR, 'sitemap.xml'), buildSitemap(origin, routes));
+  await fs.writeFile(path.join(BUILD_CONFIG.CLIENT_DIR, 'robots.txt'), buildRobots(origin));
+
+  console.log(`✓ sitemap.xml written with ${routes.length} URLs, robots.txt written`);
+};
+
+// Run when invoked directly (`node scripts/sitemap.js`), not when imported
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  generate().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
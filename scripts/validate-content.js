@@ -0,0 +1,52 @@
+/**
+ * Build-time content validation
+ * 
+ * Checks everything in the content/ directory against the schemas in
+ * src/utils/contentSchema.js using the server bundle, and fails the build
+ * with a readable report when anything is missing, malformed, duplicated,
+ * or outside its allowed values. Translated content is checked after it is
+ * merged over the English originals. Runs before the client build so bad
+ * content never reaches a deploy.
+ *
+ * Message catalog keys a locale has not translated are reported as
+ * warnings: the site falls back to English for them, so they never fail
+ * the build.
+ * 
+ * @author Walter Magill
+ */
+
+import { pathToFileURL } from 'node:url';
+import { loadServerEntry } from './prerender.js';
+
+const validate = async () => {
+  const {
+    validateLocalizedContent,
+    formatValidationReport,
+    LOCALES,
+    LOCALE_CONFIG,
+    findMissingTranslations
+  } = await loadServerEntry();
+  const results = validateLocalizedContent();
+
+  if (results.length > 0) {
+    console.error(`\n${formatValidationReport(results)}\n`);
+    process.exit(1);
+  }
+
+  LOCALES.filter(locale => locale !== LOCALE_CONFIG.DEFAULT).forEach((locale) => {
+    const missing = findMissingTranslations(locale);
+    if (missing.length > 0) {
+      console.warn(`⚠ "${locale}" falls back to English for ${missing.length} message(s): ${missing.join(', ')}`);
+    }
+  });
+
+  console.log('✓ content is valid');
+};
+
+// Run when invoked directly (`node scripts/validate-content.js`), not when imported
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  validate().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -2,33 +2,69 @@
  * Main application component that sets up the core structure and providers
  * for the Walter Magill portfolio website.
  * 
- * This component establishes the theme context and layout structure,
- * serving as the single page application's root component.
+ * This component establishes the locale, content, and theme contexts, route table, and layout
+ * structure shared by every page of the application. The router itself is
+ * supplied by the entry point: a browser router on the client and a static
+ * router during build-time prerendering.
  * 
  * @author Walter Magill
  */
 
+import { Routes, Route } from 'react-router-dom';
+import { LocaleProvider } from './context/LocaleProvider';
+import { ContentProvider } from './context/ContentProvider';
 import { ThemeProvider } from './context/ThemeProvider';
 import Layout from './components/layout/Layout';
 import Home from './pages/Home';
+import ProjectDetail from './pages/ProjectDetail';
+import BlogIndex from './pages/BlogIndex';
+import BlogPost from './pages/BlogPost';
+import Print from './pages/Print';
+import NotFound from './pages/NotFound';
+import { SECTION_NAVIGATION } from './utils/constants';
+import { LOCALES, localizePath } from './utils/i18n';
 import './styles/globals.css';
 
 /**
  * Root App component that wraps the entire application
  * 
- * Provides theme context to all child components and establishes
- * the main layout structure. Uses a single-page design with
- * all content rendered through the Home component.
+ * Provides locale, content, and theme context and routes to all child components and
+ * establishes the main layout structure. Routes:
+ * - `/` and every section path in SECTION_NAVIGATION (e.g. `/experience`) render the
+ *   single-page portfolio through the Home component, scrolled to that section
+ * - `/projects/:id` renders the case study for an individual project
+ * - `/blog` and `/blog/:slug` render the markdown writing index and posts
+ * - `/print` renders the portfolio as a compact printable document
+ * - Any other path renders the not-found page
+ * 
+ * Every route also exists under each non-default locale prefix (e.g. `/es/experience`),
+ * which LocaleProvider reads to pick the language.
  * 
  * @returns {JSX.Element} The complete application structure
  */
 function App() {
   return (
-    <ThemeProvider>
-      <Layout>
-        <Home />
-      </Layout>
-    </ThemeProvider>
+    <LocaleProvider>
+      <ContentProvider>
+        <ThemeProvider>
+          <Layout>
+            <Routes>
+              {LOCALES.flatMap((locale) => [
+                ...SECTION_NAVIGATION.map((item) => (
+                  <Route key={`${locale}${item.href}`} path={localizePath(item.href, locale)} element={<Home />} />
+                )),
+                <Route key={`${locale}-project`} path={localizePath('/projects/:id', locale)} element={<ProjectDetail />} />,
+                <Route key={`${locale}-blog`} path={localizePath('/blog', locale)} element={<BlogIndex />} />,
+                <Route key={`${locale}-post`} path={localizePath('/blog/:slug', locale)} element={<BlogPost />} />,
+                <Route key={`${locale}-print`} path={localizePath('/print', locale)} element={<Print />} />
+              ])}
+              {/* LocaleProvider reads the locale from the URL, so one catch-all serves every language */}
+              <Route path="*" element={<NotFound />} />
+            </Routes>
+          </Layout>
+        </ThemeProvider>
+      </ContentProvider>
+    </LocaleProvider>
   );
 }
 
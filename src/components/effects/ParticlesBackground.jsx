@@ -78,6 +78,8 @@ const ParticlesBackground = ({
   /**
    * Main particle system setup and animation loop
    * Handles canvas sizing, particle creation, and frame-by-frame updates
+   * All window and canvas access lives here because effects never run during
+   * server rendering, so the prerendered markup is just an empty canvas
    */
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -86,7 +88,12 @@ const ParticlesBackground = ({
       return;
     }
 
+    // getContext returns null in environments without 2D canvas support
     const ctx = canvas.getContext('2d');
+    if (!ctx) {
+      console.warn('2D canvas context not available for particle system');
+      return;
+    }
     const particles = particlesRef.current;
 
     /**
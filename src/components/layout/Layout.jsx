@@ -2,7 +2,7 @@
  * Main layout component providing site-wide structure and navigation
  * 
  * Implements a responsive header with smooth scroll navigation, theme toggling,
- * and mobile-friendly menu. The header uses different background strategies:
+ * language switching, and mobile-friendly menu. The header uses different background strategies:
  * - Mobile: Always has background to prevent text overlay
  * - Desktop: Transparent until scrolled, then backdrop blur appears
  * 
@@ -10,20 +10,13 @@
  */
 
 import { useTheme } from '../../hooks/useTheme';
-import { Moon, Sun, Menu, X, MapPin } from 'lucide-react';
+import { useLocale } from '../../hooks/useLocale';
+import { Moon, Sun, Menu, X, MapPin, Languages, Printer } from 'lucide-react';
 import { useState, useEffect, useRef } from 'react';
-
-/**
- * Navigation items configuration for consistent routing
- * Centralized to make navigation updates easier
- */
-const NAVIGATION_ITEMS = [
-  { name: 'Home', sectionId: 'hero' },
-  { name: 'About', sectionId: 'about' },
-  { name: 'Projects', sectionId: 'projects' },
-  { name: 'Experience', sectionId: 'experience' },
-  { name: 'Contact', sectionId: 'contact' },
-];
+import { Link } from 'react-router-dom';
+import { useSectionRouting } from '../../hooks/useSectionRouting';
+import { NAVIGATION } from '../../utils/constants';
+import { LOCALES, LOCALE_CONFIG } from '../../utils/i18n';
 
 /**
  * Main layout wrapper component with header, main content, and footer
@@ -32,9 +25,11 @@ const NAVIGATION_ITEMS = [
  * - Responsive navigation with mobile menu
  * - Mobile-first header background to prevent text overlay
  * - Desktop transparent header with scroll-triggered background
- * - Smooth scroll behavior with programmatic section navigation
+ * - Section routes from NAVIGATION with URL/scroll syncing and restoration
  * - Theme toggle with system preference support
- * - Professional footer with location info
+ * - Language switcher that keeps the current page and remembers the choice
+ * - Professional footer with location info and a link to the printable version
+ * - Header and footer hidden when printing
  * 
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Page content to render
@@ -42,24 +37,20 @@ const NAVIGATION_ITEMS = [
  */
 const Layout = ({ children }) => {
   const { isDark, toggleTheme } = useTheme();
+  const { locale, setLocale, t, localizePath } = useLocale();
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [isScrolled, setIsScrolled] = useState(false);
   const scrollTimeout = useRef(null);
 
+  // Keep section routes, scroll position, and history in sync
+  useSectionRouting();
+
   /**
-   * Handles smooth scrolling to page sections
+   * Handles clicks on section links; scrolling itself is driven by the route
+   * change in useSectionRouting
    * Includes mobile menu cleanup and scroll state management
-   * 
-   * @param {string} sectionId - The target section's DOM id
    */
-  const scrollToSection = (sectionId) => {
-    const element = document.getElementById(sectionId);
-    if (!element) {
-      console.warn(`Section with id "${sectionId}" not found`);
-      return;
-    }
-
-    element.scrollIntoView({ behavior: 'smooth' });
+  const handleNavigationClick = () => {
     setIsMobileMenuOpen(false);
 
     // Temporarily hide nav background during scroll for visual consistency
@@ -98,7 +89,7 @@ const Layout = ({ children }) => {
   return (
     <div className="min-h-screen bg-white dark:bg-gray-900 transition-colors duration-300">
       {/* Fixed Header with Responsive Background Strategy */}
-      <header className="fixed top-0 left-0 w-full z-50 transition-all duration-300">
+      <header className="fixed top-0 left-0 w-full z-50 transition-all duration-300 print:hidden">
         {/* 
           Mobile-first background: Always visible on mobile to prevent text overlay
           Desktop: Completely transparent - no background at any time
@@ -111,14 +102,15 @@ const Layout = ({ children }) => {
           
           {/* Site Branding */}
           <div className="flex items-center flex-1 min-w-0">
-            <button
-              onClick={() => scrollToSection('hero')}
+            <Link
+              to={localizePath('/')}
+              onClick={handleNavigationClick}
               className="text-xl font-bold text-gray-900 dark:text-white hover:text-blue-600 dark:hover:text-blue-400 transition-colors cursor-pointer"
               style={{ letterSpacing: '-0.01em' }}
-              aria-label="Return to top of page"
+              aria-label={t('nav.returnToTop')}
             >
               Walter Magill
-            </button>
+            </Link>
           </div>
 
           {/* Desktop Navigation - Only visible when scrolled */}
@@ -129,26 +121,42 @@ const Layout = ({ children }) => {
                 : 'opacity-0 pointer-events-none bg-transparent'
             }`}
             style={{ zIndex: 10 }}
-            aria-label="Main navigation"
+            aria-label={t('nav.main')}
           >
-            {NAVIGATION_ITEMS.map((item) => (
-              <button
-                key={item.name}
-                onClick={() => scrollToSection(item.sectionId)}
+            {NAVIGATION.map((item) => (
+              <Link
+                key={item.href}
+                to={localizePath(item.href)}
+                onClick={handleNavigationClick}
                 className="text-gray-700 dark:text-gray-200 hover:text-blue-600 dark:hover:text-blue-400 font-medium transition-colors cursor-pointer px-3 py-1 rounded-full focus:outline-none focus:ring-2 focus:ring-blue-400"
-                aria-label={`Navigate to ${item.name} section`}
+                aria-label={t(item.sectionId ? 'nav.toSection' : 'nav.toPage', { name: t(item.labelKey) })}
               >
-                {item.name}
-              </button>
+                {t(item.labelKey)}
+              </Link>
             ))}
           </nav>
 
-          {/* Theme Toggle & Mobile Menu Controls */}
+          {/* Language Switcher, Theme Toggle & Mobile Menu Controls */}
           <div className="flex items-center flex-1 justify-end gap-2 min-w-0">
+            <div className="flex items-center gap-1" role="group" aria-label={t('language.label')}>
+              {LOCALES.filter(code => code !== locale).map((code) => (
+                <button
+                  key={code}
+                  onClick={() => setLocale(code)}
+                  className="flex items-center gap-1 px-3 py-2 rounded-full bg-white/70 dark:bg-gray-900/70 border border-gray-200 dark:border-gray-700 backdrop-blur-md text-sm font-medium text-gray-600 dark:text-gray-300 hover:bg-white/80 dark:hover:bg-gray-900/80 transition-colors transition-all"
+                  aria-label={t('language.switchTo', { name: LOCALE_CONFIG.LOCALES[code].name })}
+                  lang={code}
+                >
+                  <Languages className="w-4 h-4" aria-hidden="true" />
+                  {code.toUpperCase()}
+                </button>
+              ))}
+            </div>
+
             <button
               onClick={toggleTheme}
               className="p-2 rounded-full bg-white/70 dark:bg-gray-900/70 border border-gray-200 dark:border-gray-700 backdrop-blur-md text-gray-600 dark:text-gray-300 hover:bg-white/80 dark:hover:bg-gray-900/80 transition-colors transition-all"
-              aria-label={`Switch to ${isDark ? 'light' : 'dark'} theme`}
+              aria-label={t(isDark ? 'theme.toLight' : 'theme.toDark')}
             >
               {isDark ? <Sun className="w-5 h-5" /> : <Moon className="w-5 h-5" />}
             </button>
@@ -157,7 +165,7 @@ const Layout = ({ children }) => {
             <button
               onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
               className="md:hidden p-2 rounded-lg bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors"
-              aria-label={`${isMobileMenuOpen ? 'Close' : 'Open'} mobile menu`}
+              aria-label={t(isMobileMenuOpen ? 'nav.closeMenu' : 'nav.openMenu')}
               aria-expanded={isMobileMenuOpen}
             >
               {isMobileMenuOpen ? <X className="w-5 h-5" /> : <Menu className="w-5 h-5" />}
@@ -169,15 +177,16 @@ const Layout = ({ children }) => {
         {isMobileMenuOpen && (
           <div className="md:hidden border-t border-gray-200 dark:border-gray-700 bg-white/90 dark:bg-gray-900/90 backdrop-blur-md">
             <nav className="py-4 space-y-2 flex flex-col items-center" role="navigation">
-              {NAVIGATION_ITEMS.map((item) => (
-                <button
-                  key={item.name}
-                  onClick={() => scrollToSection(item.sectionId)}
+              {NAVIGATION.map((item) => (
+                <Link
+                  key={item.href}
+                  to={localizePath(item.href)}
+                  onClick={handleNavigationClick}
                   className="block w-full text-center px-4 py-2 text-gray-700 dark:text-gray-200 hover:text-blue-600 dark:hover:text-blue-400 hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors rounded-full"
-                  aria-label={`Navigate to ${item.name} section`}
+                  aria-label={t(item.sectionId ? 'nav.toSection' : 'nav.toPage', { name: t(item.labelKey) })}
                 >
-                  {item.name}
-                </button>
+                  {t(item.labelKey)}
+                </Link>
               ))}
             </nav>
           </div>
@@ -190,19 +199,28 @@ const Layout = ({ children }) => {
       </main>
 
       {/* Site Footer */}
-      <footer className="bg-gray-50 dark:bg-gray-800 border-t border-gray-200 dark:border-gray-700">
+      <footer className="bg-gray-50 dark:bg-gray-800 border-t border-gray-200 dark:border-gray-700 print:hidden">
         <div className="container mx-auto px-4 sm:px-6 lg:px-8 py-8">
           <div className="flex flex-col sm:flex-row justify-between items-center gap-4 text-gray-600 dark:text-gray-400">
             
             {/* Copyright Notice */}
             <div className="text-center sm:text-left">
-              <p>&copy; {new Date().getFullYear()} Walter Magill. All rights reserved.</p>
+              <p>&copy; {new Date().getFullYear()} Walter Magill. {t('footer.rights')}</p>
             </div>
             
-            {/* Location Information */}
-            <div className="flex items-center gap-2 text-center sm:text-right">
-              <MapPin className="w-4 h-4" aria-hidden="true" />
-              <span>Stowe, Vermont</span>
+            {/* Printable Version & Location Information */}
+            <div className="flex flex-col sm:flex-row items-center gap-4 text-center sm:text-right">
+              <Link
+                to={localizePath('/print')}
+                className="flex items-center gap-2 hover:text-blue-600 dark:hover:text-blue-400 transition-colors"
+              >
+                <Printer className="w-4 h-4" aria-hidden="true" />
+                {t('footer.print')}
+              </Link>
+              <span className="flex items-center gap-2">
+                <MapPin className="w-4 h-4" aria-hidden="true" />
+                {t('footer.location')}
+              </span>
             </div>
           </div>
         </div>
@@ -3,8 +3,8 @@
  * 
  * Presents a comprehensive introduction including professional headshot,
  * structured content sections, and resume download functionality.
- * Uses intersection observer for scroll-triggered animations and implements
- * graceful image loading with fallback handling.
+ * Uses intersection observer for scroll-triggered animations and a
+ * responsive headshot with a placeholder when it fails to load.
  * 
  * The component demonstrates responsive layout design, content organization,
  * and professional presentation of personal narrative for portfolio purposes.
@@ -15,11 +15,14 @@
 import { motion, useInView } from 'framer-motion';
 import { useRef } from 'react';
 import { Download } from 'lucide-react';
-import { ABOUT_ME } from '../../utils/aboutData';
+import { useContent } from '../../hooks/useContent';
+import { useLocale } from '../../hooks/useLocale';
+import { getResumeFile } from '../../utils/resume';
+import OptimizedImage from '../ui/OptimizedImage';
 
 // Import professional headshot - using 4x5 aspect ratio for professional look
-import headshotImage from '../../assets/headshot-4x5.jpg';
-// Alternative: import headshotImage from '../../assets/images/headshot-1x1.jpg';
+import headshotImage from '../../assets/headshot-4x5.jpg?responsive';
+// Alternative: import headshotImage from '../../assets/headshot-1x1.jpg?responsive';
 
 /**
  * About section component with animated content reveal
@@ -28,7 +31,7 @@ import headshotImage from '../../assets/headshot-4x5.jpg';
  * - Responsive header layout with professional photo
  * - Structured content sections from centralized data
  * - Scroll-triggered animations with staggered timing
- * - Professional headshot with fallback handling
+ * - Responsive professional headshot with fallback handling
  * - Resume download functionality
  * - Accessible semantic structure
  * 
@@ -39,6 +42,9 @@ import headshotImage from '../../assets/headshot-4x5.jpg';
  * @returns {JSX.Element} Complete about section with animations
  */
 const AboutSection = () => {
+  const { about, variant } = useContent();
+  const resumeFile = getResumeFile(variant?.key);
+  const { t } = useLocale();
   const ref = useRef(null);
   const isInView = useInView(ref, { 
     once: true, 
@@ -48,6 +54,7 @@ const AboutSection = () => {
   /**
    * Handles resume download functionality
    * Creates a temporary download link and triggers the download
+   * Downloads the résumé tailored to the active ?for= variant, if any
    * Provides graceful fallback for missing resume file
    * 
    * @returns {void}
@@ -55,8 +62,8 @@ const AboutSection = () => {
   const handleResumeDownload = () => {
     try {
       const link = document.createElement('a');
-      link.href = '/Walter_Magill_Resume.pdf';
-      link.download = 'Walter_Magill_Resume.pdf';
+      link.href = resumeFile.path;
+      link.download = resumeFile.fileName;
       link.style.display = 'none'; // Hide link element
       
       document.body.appendChild(link);
@@ -65,7 +72,7 @@ const AboutSection = () => {
     } catch (error) {
       console.error('Resume download failed:', error);
       // Fallback: open in new tab if download fails
-      window.open('/resume.pdf', '_blank');
+      window.open(resumeFile.path, '_blank');
     }
   };
 
@@ -73,7 +80,7 @@ const AboutSection = () => {
     <section 
       id="about" 
       className="section-padding bg-gray-50 dark:bg-gray-800"
-      aria-label="About Walter Magill"
+      aria-label={t('about.label')}
     >
       <div className="container">
         <motion.div
@@ -94,7 +101,7 @@ const AboutSection = () => {
               className="flex-1"
             >
               <h2 className="text-4xl md:text-5xl font-bold text-gray-900 dark:text-white">
-                {ABOUT_ME.title}
+                {about.title}
               </h2>
               {/* Decorative accent line */}
               <div className="mt-4 w-24 h-1 bg-gradient-to-r from-blue-600 to-purple-600 rounded-full"></div>
@@ -108,10 +115,21 @@ const AboutSection = () => {
               className="flex justify-center md:justify-end"
             >
               <div className="relative">
-                <motion.img
-                  src={headshotImage}
-                  alt="Walter Magill - Professional headshot of a software developer and recent Dartmouth graduate"
+                <OptimizedImage
+                  as={motion.img}
+                  image={headshotImage}
+                  alt={t('about.photoAlt')}
+                  sizes="(min-width: 768px) 12rem, 10rem"
                   className="w-40 h-50 md:w-48 md:h-60 object-cover rounded-2xl shadow-xl border-4 border-white dark:border-gray-700"
+                  fallback={
+                    <div className="flex items-center justify-center w-40 h-50 md:w-48 md:h-60 bg-gradient-to-br from-blue-100 to-purple-100 dark:from-blue-900 dark:to-purple-900 rounded-2xl border-4 border-white dark:border-gray-700 shadow-xl">
+                      <div className="text-center text-gray-600 dark:text-gray-300">
+                        <div className="text-3xl mb-2" aria-hidden="true">👤</div>
+                        <div className="font-medium text-sm">Walter Magill</div>
+                        <div className="text-xs opacity-75">{t('about.photoFallback')}</div>
+                      </div>
+                    </div>
+                  }
                   initial={{ opacity: 0, y: 20 }}
                   animate={isInView ? { opacity: 1, y: 0 } : { opacity: 0, y: 20 }}
                   transition={{ duration: 1, delay: 0.6, ease: "easeOut" }}
@@ -119,25 +137,7 @@ const AboutSection = () => {
                     scale: 1.05,
                     transition: { duration: 0.3 }
                   }}
-                  onError={(e) => {
-                    // Graceful fallback if image fails to load
-                    console.warn('Professional headshot failed to load');
-                    e.target.style.display = 'none';
-                    const fallbackElement = e.target.nextSibling;
-                    if (fallbackElement) {
-                      fallbackElement.style.display = 'flex';
-                    }
-                  }}
                 />
-                
-                {/* Fallback placeholder for image load failures */}
-                <div className="hidden items-center justify-center w-40 h-50 md:w-48 md:h-60 bg-gradient-to-br from-blue-100 to-purple-100 dark:from-blue-900 dark:to-purple-900 rounded-2xl border-4 border-white dark:border-gray-700 shadow-xl">
-                  <div className="text-center text-gray-600 dark:text-gray-300">
-                    <div className="text-3xl mb-2" aria-hidden="true">👤</div>
-                    <div className="font-medium text-sm">Walter Magill</div>
-                    <div className="text-xs opacity-75">Professional Photo</div>
-                  </div>
-                </div>
 
                 {/* Subtle animated background accent */}
                 <motion.div 
@@ -158,7 +158,7 @@ const AboutSection = () => {
 
           {/* Content Sections - Dynamic rendering from data */}
           <div className="space-y-12">
-            {Object.entries(ABOUT_ME.sections).map(([sectionKey, section], index) => (
+            {Object.entries(about.sections).map(([sectionKey, section], index) => (
               <motion.article
                 key={sectionKey}
                 initial={{ opacity: 0, y: 20 }}
@@ -201,10 +201,10 @@ const AboutSection = () => {
             <button
               onClick={handleResumeDownload}
               className="inline-flex items-center gap-2 px-8 py-4 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all duration-200 font-medium shadow-md hover:shadow-lg transform hover:scale-105 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
-              aria-label="Download Walter Magill's resume as PDF"
+              aria-label={t('resume.downloadLabel')}
             >
               <Download className="w-5 h-5" aria-hidden="true" />
-              Download Resume
+              {t('resume.download')}
             </button>
           </motion.div>
         </motion.div>
@@ -15,7 +15,8 @@
 import { motion, useInView } from 'framer-motion';
 import { useRef } from 'react';
 import { Calendar, MapPin, Building, Heart } from 'lucide-react';
-import { communityData } from '../../utils/communityData';
+import { useContent } from '../../hooks/useContent';
+import { useLocale } from '../../hooks/useLocale';
 
 // Animation configuration for consistent visual hierarchy
 const ANIMATION_CONFIG = {
@@ -44,13 +45,9 @@ const CommunitySection = () => {
   const ref = useRef(null);
   const isInView = useInView(ref, { once: true, margin: "-100px" });
 
-  /**
-   * Sorts community data by ID in descending order to prioritize recent involvement
-   * Recent leadership roles and community engagement show current commitment levels
-   * 
-   * @returns {Array} Sorted array of community involvement objects
-   */
-  const sortedCommunityData = [...communityData].sort((a, b) => b.id - a.id);
+  // Pre-sorted newest first by the content store; recent roles show current commitment
+  const sortedCommunityData = useContent().community.all;
+  const { t, formatPeriodWithDuration } = useLocale();
 
   /**
    * Calculates staggered animation delay for visual hierarchy
@@ -103,22 +100,22 @@ const CommunitySection = () => {
     return (
       <span className={`${CARD_STYLES.THEME_TAG} ${colorClass}`}>
         <Heart className="w-3 h-3" aria-hidden="true" />
-        {theme}
+        {t(`community.themes.${theme}`)}
       </span>
     );
   };
 
   // Error handling for missing community data
-  if (!communityData || communityData.length === 0) {
+  if (sortedCommunityData.length === 0) {
     return (
       <section id="community" className="section-padding bg-gray-50 dark:bg-gray-800">
         <div className="container">
           <div className="text-center">
             <h2 className="text-4xl md:text-5xl font-bold text-gray-900 dark:text-white mb-8">
-              Leadership & Community Involvement
+              {t('community.title')}
             </h2>
             <p className="text-gray-600 dark:text-gray-300">
-              Community involvement information is currently being updated. Please check back soon.
+              {t('community.empty')}
             </p>
           </div>
         </div>
@@ -140,7 +137,7 @@ const CommunitySection = () => {
         >
           {/* Section Header with Professional Messaging */}
           <h2 className="text-4xl md:text-5xl font-bold text-gray-900 dark:text-white mb-12 text-center">
-            Leadership & Community Involvement
+            {t('community.title')}
           </h2>
 
           {/* Community Involvement Timeline */}
@@ -173,7 +170,7 @@ const CommunitySection = () => {
                     <div className={CARD_STYLES.METADATA}>
                       {renderMetadataItem(Building, involvement.organization, true)}
                       {renderMetadataItem(MapPin, involvement.location)}
-                      {renderMetadataItem(Calendar, involvement.period)}
+                      {renderMetadataItem(Calendar, formatPeriodWithDuration(involvement.period))}
                     </div>
                   </div>
 
@@ -205,7 +202,7 @@ const CommunitySection = () => {
             className="text-center mt-12"
           >
             <p className="text-gray-600 dark:text-gray-400 text-sm">
-              Committed to making a positive impact through leadership, mentorship, and community engagement.
+              {t('community.closing')}
             </p>
           </motion.div>
         </motion.div>
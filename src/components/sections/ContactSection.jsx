@@ -3,8 +3,10 @@
  * 
  * Features a fully functional contact form with EmailJS integration,
  * comprehensive error handling, and multiple contact methods.
- * Includes resume download functionality and social media links
- * optimized for recruiter and collaborator outreach.
+ * Includes resume download functionality, social media links, and a
+ * "Save contact" card with a vCard download and a locally generated QR
+ * code, optimized for recruiter and collaborator outreach in person and
+ * online.
  * 
  * Demonstrates advanced form validation, async error handling,
  * and professional messaging tailored for recruitment contexts.
@@ -13,9 +15,15 @@
  */
 
 import { motion, useInView } from 'framer-motion';
-import { useRef, useState } from 'react';
+import { useMemo, useRef, useState } from 'react';
 import { SITE_CONFIG } from '../../utils/constants';
-import { Mail, Github, Linkedin, Send, CheckCircle, AlertCircle, Loader2, Download } from 'lucide-react';
+import { useContent } from '../../hooks/useContent';
+import { useLocale } from '../../hooks/useLocale';
+import { getResumeFile } from '../../utils/resume';
+import { buildVCard, downloadVCard } from '../../utils/vcard';
+import Modal from '../ui/Modal';
+import QRCode from '../ui/QRCode';
+import { Mail, Github, Linkedin, Send, CheckCircle, AlertCircle, Loader2, Download, QrCode } from 'lucide-react';
 import emailjs from '@emailjs/browser';
 
 // Animation configuration for consistent visual hierarchy
@@ -42,6 +50,12 @@ const FORM_STATES = {
   ERROR: 'error'
 };
 
+// What the contact card QR code can encode
+const QR_MODES = {
+  VCARD: 'vcard',
+  URL: 'url'
+};
+
 // Initial form data structure
 const INITIAL_FORM_DATA = {
   name: '',
@@ -50,6 +64,9 @@ const INITIAL_FORM_DATA = {
 };
 
 const ContactSection = () => {
+  const { t } = useLocale();
+  const { variant } = useContent();
+  const resumeFile = getResumeFile(variant?.key);
   const ref = useRef(null);
   const isInView = useInView(ref, { once: true, margin: "-100px" });
   
@@ -57,10 +74,12 @@ const ContactSection = () => {
   const [formData, setFormData] = useState(INITIAL_FORM_DATA);
   const [formStatus, setFormStatus] = useState(FORM_STATES.IDLE);
   const [errors, setErrors] = useState({});
+  const [isContactCardOpen, setIsContactCardOpen] = useState(false);
 
   /**
    * Handles resume download functionality
    * Creates a temporary download link and triggers the download
+   * Downloads the résumé tailored to the active ?for= variant, if any
    * Provides graceful fallback for missing resume file
    * 
    * @returns {void}
@@ -68,8 +87,8 @@ const ContactSection = () => {
   const handleResumeDownload = () => {
     try {
       const link = document.createElement('a');
-      link.href = '/Walter_Magill_Resume.pdf';
-      link.download = 'Walter_Magill_Resume.pdf';
+      link.href = resumeFile.path;
+      link.download = resumeFile.fileName;
       link.style.display = 'none'; // Hide link element
       
       document.body.appendChild(link);
@@ -78,7 +97,7 @@ const ContactSection = () => {
     } catch (error) {
       console.error('Resume download failed:', error);
       // Fallback: open in new tab if download fails
-      window.open('/resume.pdf', '_blank');
+      window.open(resumeFile.path, '_blank');
     }
   };
 
@@ -120,21 +139,21 @@ const ContactSection = () => {
     
     // Name validation
     if (!formData.name.trim()) {
-      newErrors.name = 'Name is required';
+      newErrors.name = t('contact.errors.nameRequired');
     }
     
     // Email validation with regex pattern matching
     if (!formData.email.trim()) {
-      newErrors.email = 'Email is required';
+      newErrors.email = t('contact.errors.emailRequired');
     } else if (!VALIDATION_CONFIG.EMAIL_REGEX.test(formData.email)) {
-      newErrors.email = 'Please enter a valid email address';
+      newErrors.email = t('contact.errors.emailInvalid');
     }
     
     // Message validation with minimum length requirement
     if (!formData.message.trim()) {
-      newErrors.message = 'Message is required';
+      newErrors.message = t('contact.errors.messageRequired');
     } else if (formData.message.trim().length < VALIDATION_CONFIG.MIN_MESSAGE_LENGTH) {
-      newErrors.message = `Message must be at least ${VALIDATION_CONFIG.MIN_MESSAGE_LENGTH} characters long`;
+      newErrors.message = t('contact.errors.messageTooShort', { min: VALIDATION_CONFIG.MIN_MESSAGE_LENGTH });
     }
     
     setErrors(newErrors);
@@ -217,7 +236,7 @@ const ContactSection = () => {
         rel: "noopener noreferrer"
       })}
       className="flex items-center gap-3 text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white transition-colors"
-      aria-label={`Contact via ${text}`}
+      aria-label={t('contact.via', { method: text })}
     >
       <IconComponent className="w-5 h-5" aria-hidden="true" />
       <span>{text}</span>
@@ -243,8 +262,8 @@ const ContactSection = () => {
         >
           <CheckCircle className="w-5 h-5 text-green-600 dark:text-green-400 flex-shrink-0" aria-hidden="true" />
           <div className="text-green-700 dark:text-green-300">
-            <p className="font-medium">Message sent successfully!</p>
-            <p className="text-sm">I'll get back to you soon.</p>
+            <p className="font-medium">{t('contact.successTitle')}</p>
+            <p className="text-sm">{t('contact.successBody')}</p>
           </div>
         </motion.div>
       );
@@ -261,8 +280,8 @@ const ContactSection = () => {
         >
           <AlertCircle className="w-5 h-5 text-red-600 dark:text-red-400 flex-shrink-0" aria-hidden="true" />
           <div className="text-red-700 dark:text-red-300">
-            <p className="font-medium">Failed to send message</p>
-            <p className="text-sm">Please try again or email me directly.</p>
+            <p className="font-medium">{t('contact.errorTitle')}</p>
+            <p className="text-sm">{t('contact.errorBody')}</p>
           </div>
         </motion.div>
       );
@@ -283,7 +302,7 @@ const ContactSection = () => {
         >
           {/* Section Header */}
           <h2 className="text-4xl md:text-5xl font-bold text-gray-900 dark:text-white mb-12 text-center">
-            Get In Touch
+            {t('contact.title')}
           </h2>
 
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-12">
@@ -297,15 +316,12 @@ const ContactSection = () => {
               }}
             >
               <h3 className="text-2xl font-semibold text-gray-900 dark:text-white mb-6">
-                Let's Connect
+                {t('contact.subtitle')}
               </h3>
               
               {/* Professional messaging for recruiters */}
               <p className="text-gray-600 dark:text-gray-300 mb-8">
-                I'm actively seeking software engineering opportunities and would love to connect! 
-                Whether you're a recruiter, hiring manager, potential collaborator, or simply curious 
-                about my work — don't hesitate to reach out. I respond quickly and I'm always excited 
-                to discuss how I can contribute to your team.
+                {t('contact.intro')}
               </p>
 
               {/* Contact Methods */}
@@ -324,19 +340,31 @@ const ContactSection = () => {
                   delay: ANIMATION_CONFIG.FORM_DELAY 
                 }}
               >
-                <button
-                  onClick={handleResumeDownload}
-                  className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all duration-200 font-medium shadow-md hover:shadow-lg transform hover:scale-105 text-sm"
-                  aria-label="Download Walter Magill's resume as PDF"
-                >
-                  <Download className="w-4 h-4" aria-hidden="true" />
-                  Download Resume
-                </button>
+                <div className="flex flex-wrap gap-3">
+                  <button
+                    onClick={handleResumeDownload}
+                    className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-all duration-200 font-medium shadow-md hover:shadow-lg transform hover:scale-105 text-sm"
+                    aria-label={t('resume.downloadLabel')}
+                  >
+                    <Download className="w-4 h-4" aria-hidden="true" />
+                    {t('resume.download')}
+                  </button>
+                  <button
+                    onClick={() => setIsContactCardOpen(true)}
+                    className="inline-flex items-center gap-2 px-4 py-2 bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-700 transition-all duration-200 font-medium shadow-md hover:shadow-lg transform hover:scale-105 text-sm"
+                    aria-label={t('contactCard.openLabel')}
+                    aria-haspopup="dialog"
+                  >
+                    <QrCode className="w-4 h-4" aria-hidden="true" />
+                    {t('contactCard.open')}
+                  </button>
+                </div>
               </motion.div>
             </motion.div>
 
-            {/* Contact Form Panel */}
+            {/* Contact Form Panel - not printed */}
             <motion.div
+              className="print:hidden"
               initial={{ opacity: 0, x: 20 }}
               animate={isInView ? { opacity: 1, x: 0 } : { opacity: 0, x: 20 }}
               transition={{ 
@@ -352,7 +380,7 @@ const ContactSection = () => {
                 {/* Name Field */}
                 <div>
                   <label htmlFor="name" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                    Name *
+                    {t('contact.name')}
                   </label>
                   <input
                     type="text"
@@ -365,7 +393,7 @@ const ContactSection = () => {
                         ? 'border-red-300 dark:border-red-600' 
                         : 'border-gray-300 dark:border-gray-600'
                     }`}
-                    placeholder="Your name"
+                    placeholder={t('contact.namePlaceholder')}
                     disabled={formStatus === FORM_STATES.LOADING}
                     aria-invalid={!!errors.name}
                     aria-describedby={errors.name ? "name-error" : undefined}
@@ -381,7 +409,7 @@ const ContactSection = () => {
                 {/* Email Field */}
                 <div>
                   <label htmlFor="email" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                    Email *
+                    {t('contact.email')}
                   </label>
                   <input
                     type="email"
@@ -394,7 +422,7 @@ const ContactSection = () => {
                         ? 'border-red-300 dark:border-red-600' 
                         : 'border-gray-300 dark:border-gray-600'
                     }`}
-                    placeholder="your.email@example.com"
+                    placeholder={t('contact.emailPlaceholder')}
                     disabled={formStatus === FORM_STATES.LOADING}
                     aria-invalid={!!errors.email}
                     aria-describedby={errors.email ? "email-error" : undefined}
@@ -410,7 +438,7 @@ const ContactSection = () => {
                 {/* Message Field */}
                 <div>
                   <label htmlFor="message" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                    Message *
+                    {t('contact.message')}
                   </label>
                   <textarea
                     id="message"
@@ -423,7 +451,7 @@ const ContactSection = () => {
                         ? 'border-red-300 dark:border-red-600' 
                         : 'border-gray-300 dark:border-gray-600'
                     }`}
-                    placeholder="Your message..."
+                    placeholder={t('contact.messagePlaceholder')}
                     disabled={formStatus === FORM_STATES.LOADING}
                     aria-invalid={!!errors.message}
                     aria-describedby={errors.message ? "message-error" : undefined}
@@ -446,12 +474,12 @@ const ContactSection = () => {
                   {formStatus === FORM_STATES.LOADING ? (
                     <>
                       <Loader2 className="w-4 h-4 animate-spin" aria-hidden="true" />
-                      <span id="submit-status">Sending...</span>
+                      <span id="submit-status">{t('contact.sending')}</span>
                     </>
                   ) : (
                     <>
                       <Send className="w-4 h-4" aria-hidden="true" />
-                      <span id="submit-status">Send Message</span>
+                      <span id="submit-status">{t('contact.send')}</span>
                     </>
                   )}
                 </button>
@@ -460,8 +488,83 @@ const ContactSection = () => {
           </div>
         </motion.div>
       </div>
+
+      <ContactCardModal isOpen={isContactCardOpen} onClose={() => setIsContactCardOpen(false)} />
     </section>
   );
 };
 
+/**
+ * Contact card dialog for sharing details in person
+ *
+ * Shows a QR code that a phone camera turns into a new contact (vCard) or
+ * a link to the site, with a switch between the two, and a button to
+ * download the same vCard as a .vcf file. The code is generated locally;
+ * nothing is sent to a QR service.
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the dialog is shown
+ * @param {Function} props.onClose - Closes the dialog
+ * @returns {JSX.Element} Contact card modal
+ */
+const ContactCardModal = ({ isOpen, onClose }) => {
+  const { t } = useLocale();
+  const [mode, setMode] = useState(QR_MODES.VCARD);
+  const vcard = useMemo(() => buildVCard(), []);
+  const qrValue = mode === QR_MODES.VCARD ? vcard : SITE_CONFIG.url;
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={t('contactCard.title')}>
+      <p className="text-sm text-gray-600 dark:text-gray-300 mb-4">
+        {t('contactCard.intro')}
+      </p>
+
+      {/* QR Content Switch */}
+      <div className="flex justify-center gap-2 mb-4" role="group" aria-label={t('contactCard.modesLabel')}>
+        {Object.values(QR_MODES).map((option) => (
+          <button
+            key={option}
+            type="button"
+            onClick={() => setMode(option)}
+            aria-pressed={mode === option}
+            className={`px-3 py-1 rounded-full text-sm font-medium transition-colors focus:outline-none focus:ring-2 focus:ring-blue-400 ${
+              mode === option
+                ? 'bg-blue-600 text-white'
+                : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+            }`}
+          >
+            {t(`contactCard.${option}`)}
+          </button>
+        ))}
+      </div>
+
+      {/* QR Code - white card so it scans in dark mode too */}
+      <div className="flex justify-center mb-4">
+        <div className="p-3 bg-white rounded-lg shadow-inner">
+          <QRCode
+            value={qrValue}
+            label={t('contactCard.qrLabel', { target: mode === QR_MODES.VCARD ? SITE_CONFIG.name : SITE_CONFIG.url })}
+            size={240}
+            className="max-w-full h-auto"
+          />
+        </div>
+      </div>
+
+      <p className="text-center font-semibold text-gray-900 dark:text-white">{SITE_CONFIG.name}</p>
+      <p className="text-center text-sm text-gray-600 dark:text-gray-400 mb-6">
+        {SITE_CONFIG.title} · {SITE_CONFIG.email}
+      </p>
+
+      <button
+        type="button"
+        onClick={() => downloadVCard(vcard)}
+        className="w-full inline-flex items-center justify-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium focus:outline-none focus:ring-2 focus:ring-blue-400"
+      >
+        <Download className="w-4 h-4" aria-hidden="true" />
+        {t('contactCard.download')}
+      </button>
+    </Modal>
+  );
+};
+
 export default ContactSection;
@@ -15,7 +15,8 @@
 import { motion, useInView } from 'framer-motion';
 import { useRef } from 'react';
 import { Calendar, MapPin, Building } from 'lucide-react';
-import { experienceData } from '../../utils/experienceData';
+import { useContent } from '../../hooks/useContent';
+import { useLocale } from '../../hooks/useLocale';
 
 // Animation configuration for consistent timing and visual hierarchy
 const ANIMATION_CONFIG = {
@@ -36,13 +37,9 @@ const ExperienceSection = () => {
   const ref = useRef(null);
   const isInView = useInView(ref, { once: true, margin: "-100px" });
 
-  /**
-   * Sorts experience data by ID in descending order to show most recent first
-   * This ordering is crucial for recruiter review and career progression demonstration
-   * 
-   * @returns {Array} Sorted array of experience objects
-   */
-  const sortedExperiences = [...experienceData].sort((a, b) => b.id - a.id);
+  // Pre-sorted newest first by the content store; recent roles lead for recruiter review
+  const sortedExperiences = useContent().experience.all;
+  const { t, formatPeriodWithDuration } = useLocale();
 
   /**
    * Calculates staggered animation delay for visual hierarchy
@@ -86,33 +83,33 @@ const ExperienceSection = () => {
    * Renders technology badges with consistent styling
    * Creates visual technology stack representation for each experience
    * 
-   * @param {Array} technologies - Array of technology strings
+   * @param {Array} technologies - Technology references with `id` and `name`
    * @returns {JSX.Element} Collection of styled technology badges
    */
   const renderTechnologyBadges = (technologies) => (
     <div className="flex flex-wrap gap-2">
       {technologies.map((tech) => (
         <span
-          key={tech}
+          key={tech.id}
           className={CARD_STYLES.TECH_BADGE}
         >
-          {tech}
+          {tech.name}
         </span>
       ))}
     </div>
   );
 
   // Error handling for missing experience data
-  if (!experienceData || experienceData.length === 0) {
+  if (sortedExperiences.length === 0) {
     return (
       <section id="experience" className="section-padding bg-gray-50 dark:bg-gray-800">
         <div className="container">
           <div className="text-center">
             <h2 className="text-4xl md:text-5xl font-bold text-gray-900 dark:text-white mb-8">
-              Experience
+              {t('experience.title')}
             </h2>
             <p className="text-gray-600 dark:text-gray-300">
-              Experience information is currently being updated. Please check back soon.
+              {t('experience.empty')}
             </p>
           </div>
         </div>
@@ -134,7 +131,7 @@ const ExperienceSection = () => {
         >
           {/* Section Header */}
           <h2 className="text-4xl md:text-5xl font-bold text-gray-900 dark:text-white mb-12 text-center">
-            Experience
+            {t('experience.title')}
           </h2>
 
           {/* Experience Timeline */}
@@ -167,7 +164,7 @@ const ExperienceSection = () => {
                     <div className={CARD_STYLES.METADATA}>
                       {renderMetadataItem(Building, experience.company, true)}
                       {renderMetadataItem(MapPin, experience.location)}
-                      {renderMetadataItem(Calendar, experience.period)}
+                      {renderMetadataItem(Calendar, formatPeriodWithDuration(experience.period))}
                     </div>
                   </div>
                 </header>
@@ -183,7 +180,7 @@ const ExperienceSection = () => {
                 {experience.technologies && experience.technologies.length > 0 && (
                   <div>
                     <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                      Technologies & Tools:
+                      {t('experience.technologies')}
                     </h4>
                     {renderTechnologyBadges(experience.technologies)}
                   </div>
@@ -204,7 +201,7 @@ const ExperienceSection = () => {
             className="text-center mt-12"
           >
             <p className="text-gray-600 dark:text-gray-400 text-sm">
-              Ready to bring my experience to your team. Let's build something great together.
+              {t('experience.closing')}
             </p>
           </motion.div>
         </motion.div>
@@ -13,8 +13,10 @@
  */
 
 import { motion } from 'framer-motion';
+import { useNavigate } from 'react-router-dom';
 import { Github, Linkedin, Mail, ArrowRight, ChevronDown } from 'lucide-react';
-import { SITE_CONFIG, TYPEWRITER_WORDS } from '../../utils/constants';
+import { SITE_CONFIG } from '../../utils/constants';
+import { useLocale } from '../../hooks/useLocale';
 import ParticlesBackground from '../effects/ParticlesBackground';
 import TypewriterEffect from '../effects/TypewriterEffect';
 
@@ -27,7 +29,7 @@ import TypewriterEffect from '../effects/TypewriterEffect';
  * - Animated typewriter effect showcasing roles/skills
  * - Responsive grid layout (single column on mobile, two columns on desktop)
  * - Social media links with hover animations
- * - Call-to-action buttons with smooth scroll navigation
+ * - Call-to-action buttons that navigate to section routes
  * - Animated scroll indicator for user guidance
  * 
  * The component uses progressive enhancement with graceful animation
@@ -36,30 +38,14 @@ import TypewriterEffect from '../effects/TypewriterEffect';
  * @returns {JSX.Element} Complete hero section with animations and interactions
  */
 const HeroSection = () => {
-  /**
-   * Handles smooth scrolling to specific page sections
-   * Uses native scrollIntoView API for consistent cross-browser behavior
-   * 
-   * @param {string} sectionId - Target section's DOM ID attribute
-   */
-  const scrollToSection = (sectionId) => {
-    const element = document.getElementById(sectionId);
-    if (!element) {
-      console.warn(`Navigation target "${sectionId}" not found`);
-      return;
-    }
-    
-    element.scrollIntoView({ 
-      behavior: 'smooth',
-      block: 'start' // Align to top of viewport
-    });
-  };
+  const navigate = useNavigate();
+  const { t, localizePath } = useLocale();
 
   return (
     <section 
       id="hero" 
       className="relative min-h-screen flex items-center justify-center overflow-hidden"
-      aria-label="Welcome and introduction"
+      aria-label={t('hero.label')}
     >
       {/* Background Particle Animation */}
       <ParticlesBackground />
@@ -82,7 +68,7 @@ const HeroSection = () => {
               transition={{ duration: 0.8, delay: 0.2 }}
               className="text-4xl md:text-6xl lg:text-7xl font-bold text-gray-900 dark:text-white mb-6"
             >
-              Hi, I'm{' '}
+              {t('hero.greeting')}{' '}
               <span className="gradient-text">
                 {SITE_CONFIG.name}
               </span>
@@ -95,7 +81,7 @@ const HeroSection = () => {
               transition={{ duration: 0.8, delay: 0.4 }}
               className="text-lg md:text-xl text-gray-600 dark:text-gray-300 mb-8 max-w-2xl"
             >
-              Recent graduate with a Bachelor's of Arts in Computer Science, modified with Economics from Dartmouth College.
+              {t('site.description')}
             </motion.p>
 
             {/* Call-to-Action Buttons */}
@@ -107,59 +93,64 @@ const HeroSection = () => {
             >
               {/* Primary CTA - View Work */}
               <button
-                onClick={() => scrollToSection('projects')}
+                onClick={() => navigate(localizePath('/projects'))}
                 className="inline-flex items-center px-8 py-4 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors shadow-lg hover:shadow-xl transform hover:scale-105 font-medium"
-                aria-label="Navigate to projects section"
+                aria-label={t('hero.viewWorkLabel')}
               >
-                View My Work
+                {t('hero.viewWork')}
                 <ArrowRight className="ml-2 w-5 h-5" aria-hidden="true" />
               </button>
               
               {/* Secondary CTA - Contact */}
               <button
-                onClick={() => scrollToSection('contact')}
+                onClick={() => navigate(localizePath('/contact'))}
                 className="inline-flex items-center px-8 py-4 border-2 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-800 transition-colors font-medium"
-                aria-label="Navigate to contact section"
+                aria-label={t('hero.getInTouchLabel')}
               >
-                Get In Touch
+                {t('hero.getInTouch')}
               </button>
             </motion.div>
 
             {/* Social Media Links */}
-            <motion.div 
+            <motion.ul
               initial={{ opacity: 0, y: 30 }}
               animate={{ opacity: 1, y: 0 }}
               transition={{ duration: 0.8, delay: 0.8 }}
               className="flex gap-6"
-              role="list"
-              aria-label="Social media profiles"
+              aria-label={t('hero.socialLabel')}
             >
-              <a
-                href={SITE_CONFIG.github}
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white transition-colors p-3 hover:bg-gray-100 dark:hover:bg-gray-800 rounded-full transform hover:scale-110"
-                aria-label="View GitHub profile (opens in new tab)"
-              >
-                <Github className="w-6 h-6" />
-              </a>
-              <a
-                href={SITE_CONFIG.linkedin}
-                target="_blank"
-                rel="noopener noreferrer"
-                className="text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white transition-colors p-3 hover:bg-gray-100 dark:hover:bg-gray-800 rounded-full transform hover:scale-110"
-                aria-label="View LinkedIn profile (opens in new tab)"
-              >
-                <Linkedin className="w-6 h-6" />
-              </a>
-              <a
-                href={`mailto:${SITE_CONFIG.email}`}
-                className="text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white transition-colors p-3 hover:bg-gray-100 dark:hover:bg-gray-800 rounded-full transform hover:scale-110"
-                aria-label="Send email"
-              >
-                <Mail className="w-6 h-6" />
-              </a>
-            </motion.div>
+              <li>
+                <a
+                  href={SITE_CONFIG.github}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="block text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white transition-colors p-3 hover:bg-gray-100 dark:hover:bg-gray-800 rounded-full transform hover:scale-110"
+                  aria-label={t('hero.githubLabel')}
+                >
+                  <Github className="w-6 h-6" />
+                </a>
+              </li>
+              <li>
+                <a
+                  href={SITE_CONFIG.linkedin}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="block text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white transition-colors p-3 hover:bg-gray-100 dark:hover:bg-gray-800 rounded-full transform hover:scale-110"
+                  aria-label={t('hero.linkedinLabel')}
+                >
+                  <Linkedin className="w-6 h-6" />
+                </a>
+              </li>
+              <li>
+                <a
+                  href={`mailto:${SITE_CONFIG.email}`}
+                  className="block text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white transition-colors p-3 hover:bg-gray-100 dark:hover:bg-gray-800 rounded-full transform hover:scale-110"
+                  aria-label={t('hero.emailLabel')}
+                >
+                  <Mail className="w-6 h-6" />
+                </a>
+              </li>
+            </motion.ul>
           </motion.div>
 
           {/* Right Column - Terminal-Style Typewriter Animation */}
@@ -175,14 +166,14 @@ const HeroSection = () => {
                 <div className="w-3 h-3 bg-red-500 rounded-full" aria-hidden="true"></div>
                 <div className="w-3 h-3 bg-yellow-500 rounded-full" aria-hidden="true"></div>
                 <div className="w-3 h-3 bg-green-500 rounded-full" aria-hidden="true"></div>
-                <span className="text-sm text-gray-500 dark:text-gray-400 ml-2">terminal</span>
+                <span className="text-sm text-gray-500 dark:text-gray-400 ml-2">{t('hero.terminal')}</span>
               </div>
               
               {/* Terminal Content with Typewriter Effect */}
               <div className="font-mono text-lg">
-                <span className="text-gray-600 dark:text-gray-300">I am </span>
+                <span className="text-gray-600 dark:text-gray-300">{t('hero.typewriterPrefix')}</span>
                 <TypewriterEffect 
-                  words={TYPEWRITER_WORDS}
+                  words={t('hero.typewriter')}
                   className="font-semibold"
                 />
               </div>
@@ -199,7 +190,7 @@ const HeroSection = () => {
         className="absolute bottom-8 left-1/2 transform -translate-x-1/2 z-10"
       >
         <motion.button
-          onClick={() => scrollToSection('about')}
+          onClick={() => navigate(localizePath('/about'))}
           animate={{ y: [0, 10, 0] }}
           transition={{ 
             duration: 2, 
@@ -207,7 +198,7 @@ const HeroSection = () => {
             ease: "easeInOut" 
           }}
           className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200 transition-colors p-2 rounded-full hover:bg-gray-100 dark:hover:bg-gray-800"
-          aria-label="Scroll to about section"
+          aria-label={t('hero.scrollLabel')}
         >
           <ChevronDown className="w-6 h-6" />
         </motion.button>
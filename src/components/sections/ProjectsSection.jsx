@@ -3,8 +3,16 @@
  * 
  * Displays featured projects in a responsive grid layout with detailed
  * information including technologies, roles, team members, and live demos.
- * Implements scroll-triggered animations and graceful image loading
- * with fallback handling for optimal user experience.
+ * A filter bar narrows the grid by technology, live demo, and free-text
+ * search and changes the sort order, and facets for category, year, team
+ * size, and origin combine any number of values with a count beside each.
+ * Filters live in the query string (/?tech=React&category=web,game#projects),
+ * so a filtered view can be shared as a link.
+ * Implements scroll-triggered animations and responsive images with
+ * fallback handling for optimal user experience. A card's image
+ * opens the project's screenshots and diagrams in a fullscreen lightbox.
+ * Cards also show each repository's languages, stars, license, and last
+ * commit, read from the committed GitHub snapshot.
  * 
  * The component demonstrates portfolio presentation best practices,
  * responsive design patterns, and professional project documentation.
@@ -13,9 +21,121 @@
  */
 
 import { motion, useInView } from 'framer-motion';
-import { useRef } from 'react';
-import { ExternalLink, Github, Users } from 'lucide-react';
-import { PROJECTS } from '../../utils/projectData';
+import { useEffect, useRef, useState } from 'react';
+import { Link, useLocation, useNavigate, useSearchParams } from 'react-router-dom';
+import { ArrowRight, ExternalLink, Github, Images, Users, Scale, Search, SearchX, Star, X } from 'lucide-react';
+import { useContent } from '../../hooks/useContent';
+import { useLocale } from '../../hooks/useLocale';
+import {
+  PROJECT_FACETS,
+  PROJECT_SORTS,
+  selectFilteredProjects,
+  selectProjectFacets,
+  selectProjectTechnologies
+} from '../../utils/contentSelectors';
+import { LOCALE_CONFIG } from '../../utils/i18n';
+import { VARIANT_CONFIG } from '../../utils/variants';
+import Lightbox from '../ui/Lightbox';
+import OptimizedImage from '../ui/OptimizedImage';
+
+// Project filter configuration; each facet uses its field name as its parameter
+const FILTER_CONFIG = {
+  PARAMS: {
+    TECH: 'tech',
+    LIVE: 'live',
+    QUERY: 'q',
+    SORT: 'sort'
+  },
+  DEFAULT_SORT: 'newest',
+  MAX_TECH_CHIPS: 12,     // Most used technologies offered as chips
+  VALUE_SEPARATOR: ','    // Joins the selected values of a facet, as in ?year=2024,2025
+};
+
+// Filters before the query string is read; matches the prerendered markup
+const DEFAULT_FILTERS = {
+  tech: null,
+  live: false,
+  query: '',
+  facets: Object.fromEntries(PROJECT_FACETS.map(key => [key, []])),
+  sort: FILTER_CONFIG.DEFAULT_SORT
+};
+
+// Repository language bar; colors follow GitHub's, and languages past
+// MAX_LANGUAGES are grouped as "Other"
+const REPOSITORY_CONFIG = {
+  MAX_LANGUAGES: 3,
+  OTHER_COLOR: '#9ca3af',   // gray-400
+  LANGUAGE_COLORS: {
+    C: '#555555',
+    'C#': '#178600',
+    CSS: '#663399',
+    HLSL: '#aace60',
+    HTML: '#e34c26',
+    JavaScript: '#f1e05a',
+    'Jupyter Notebook': '#da5b0b',
+    Makefile: '#427819',
+    Python: '#3572a5',
+    ShaderLab: '#222c37',
+    Shell: '#89e051',
+    TypeScript: '#3178c6'
+  }
+};
+
+// Chip styling shared by the technology filters and the live demo toggle
+const CHIP_STYLES = {
+  BASE: "inline-flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium transition-colors focus:outline-none focus:ring-2 focus:ring-blue-400",
+  IDLE: "bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700",
+  ACTIVE: "bg-blue-600 text-white"
+};
+
+/**
+ * Reads the project filters from the query string
+ *
+ * @param {URLSearchParams} searchParams - Current query parameters
+ * @returns {Object} Filters in the shape selectFilteredProjects accepts
+ */
+const readFilters = (searchParams) => {
+  const { PARAMS } = FILTER_CONFIG;
+  const sort = searchParams.get(PARAMS.SORT);
+
+  return {
+    tech: searchParams.get(PARAMS.TECH) || null,
+    live: searchParams.get(PARAMS.LIVE) === '1',
+    query: searchParams.get(PARAMS.QUERY) || '',
+    facets: Object.fromEntries(PROJECT_FACETS.map(key => [
+      key,
+      (searchParams.get(key) || '').split(FILTER_CONFIG.VALUE_SEPARATOR).filter(Boolean)
+    ])),
+    sort: Object.hasOwn(PROJECT_SORTS, sort) ? sort : FILTER_CONFIG.DEFAULT_SORT
+  };
+};
+
+/**
+ * Escapes text for literal use inside a regular expression
+ *
+ * @param {string} text - Raw text
+ * @returns {string} Text with regular expression syntax escaped
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Text with every case-insensitive occurrence of the search term marked
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.text - Text to render
+ * @param {string} props.query - Search term; nothing is marked when empty
+ * @returns {React.ReactNode} Text with <mark> around matches
+ */
+const Highlight = ({ text, query }) => {
+  const term = query.trim();
+  if (!term) return text;
+
+  // Splitting on a capturing group puts the matches at the odd indexes
+  return text.split(new RegExp(`(${escapeRegExp(term)})`, 'gi')).map((part, index) => (index % 2 === 1
+    ? <mark key={index} className="bg-yellow-200 dark:bg-yellow-500/40 text-inherit rounded-sm">{part}</mark>
+    : part
+  ));
+};
 
 /**
  * Featured projects section with animated grid layout
@@ -23,29 +143,90 @@ import { PROJECTS } from '../../utils/projectData';
  * Features:
  * - Responsive CSS Grid (1-3 columns based on screen size)
  * - Project cards with hover animations and transitions
- * - Image loading with graceful fallback handling
+ * - Responsive images with blur-up placeholders and fallback handling
  * - Technology stack visualization with tags
  * - Team member attribution when applicable
- * - Direct links to live demos and source code
+ * - Direct links to case studies, live demos, and source code
  * - Scroll-triggered staggered animations
+ * - Technology, live demo, search, and sort filters synced to the URL,
+ *   with matches highlighted and an empty state when nothing matches
+ * - Multi-select facets for category, year, team size, and origin
  * 
- * Projects are automatically sorted by ID in descending order
- * to showcase the most recent work first.
+ * Projects come pre-sorted from the content store, newest first,
+ * to showcase the most recent work first. When a résumé variant is active
+ * (?for=fintech) the store lists only the relevant projects, so a note
+ * says so and links back to the full list.
  * 
  * @returns {JSX.Element} Complete projects showcase section
  */
 const ProjectsSection = () => {
+  const content = useContent();
+  const { variant } = content;
+  const { t } = useLocale();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const ref = useRef(null);
   const isInView = useInView(ref, { 
     once: true, 
     margin: "-100px" // Start animation before element fully enters viewport
   });
 
+  // Prerendered pages have no query string, so filters from the URL are
+  // applied after mount to keep the first client render identical
+  const [isHydrated, setIsHydrated] = useState(false);
+  useEffect(() => {
+    setIsHydrated(true);
+  }, []);
+
+  const filters = isHydrated ? readFilters(searchParams) : DEFAULT_FILTERS;
+  const visibleProjects = selectFilteredProjects(content, filters);
+  const activeTech = filters.tech ? content.technologies.resolve(filters.tech) : null;
+  const isFiltered = Boolean(activeTech || filters.live || filters.query.trim()) ||
+    PROJECT_FACETS.some(key => filters.facets[key].length > 0);
+
+  /**
+   * Writes filter changes to the query string
+   * Replaces the history entry and keeps the scroll position, so typing a
+   * search does not add back-button entries or jump the page
+   *
+   * @param {Object} changes - Parameters to set; empty values remove the parameter
+   */
+  const updateFilters = (changes) => {
+    const params = new URLSearchParams(location.search);
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) {
+        params.set(key, value);
+      } else {
+        params.delete(key);
+      }
+    });
+
+    const search = params.toString();
+    navigate(
+      { pathname: location.pathname, search: search ? `?${search}` : '', hash: location.hash },
+      { replace: true, state: { preserveScroll: true } }
+    );
+  };
+
+  // "Show all" drops only the variant, keeping the filters and the section hash
+  const showAllParams = new URLSearchParams(location.search);
+  showAllParams.delete(VARIANT_CONFIG.QUERY_PARAM);
+  const showAllSearch = showAllParams.toString();
+
+  const { PARAMS } = FILTER_CONFIG;
+  const clearFilters = () => updateFilters({
+    [PARAMS.TECH]: null,
+    [PARAMS.LIVE]: null,
+    [PARAMS.QUERY]: null,
+    ...Object.fromEntries(PROJECT_FACETS.map(key => [key, null]))
+  });
+
   return (
     <section 
       id="projects" 
       className="section-padding"
-      aria-label="Featured projects and portfolio work"
+      aria-label={t('projects.label')}
     >
       <div className="container">
         <motion.div
@@ -55,23 +236,67 @@ const ProjectsSection = () => {
           transition={{ duration: 0.6 }}
         >
           {/* Section Header */}
-          <h2 className="text-4xl md:text-5xl font-bold text-gray-900 dark:text-white mb-12 text-center">
-            Featured Projects
+          <h2 className={`text-4xl md:text-5xl font-bold text-gray-900 dark:text-white text-center ${variant ? 'mb-4' : 'mb-12'}`}>
+            {t('projects.title')}
           </h2>
 
+          {/* Variant note - only while a ?for= variant is active */}
+          {variant && (
+            <p className="text-center text-sm text-gray-600 dark:text-gray-400 mb-12">
+              {t('projects.variantNote', { label: variant.label })}{' '}
+              <Link
+                to={{ pathname: location.pathname, search: showAllSearch ? `?${showAllSearch}` : '', hash: location.hash }}
+                state={{ clearVariant: true, preserveScroll: true }}
+                className="font-medium text-blue-600 dark:text-blue-400 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-400 rounded"
+              >
+                {t('projects.showAll')}
+              </Link>
+            </p>
+          )}
+
+          <ProjectFilters
+            filters={filters}
+            activeTech={activeTech}
+            technologies={selectProjectTechnologies(content)}
+            facets={selectProjectFacets(content, filters)}
+            onChange={updateFilters}
+          />
+
+          {/* Result count for screen readers */}
+          <p className="sr-only" aria-live="polite">
+            {t('projects.filters.results', { count: visibleProjects.length })}
+          </p>
+
           {/* Projects Grid - Responsive layout */}
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8 justify-items-center">
-            {PROJECTS
-              .sort((a, b) => b.id - a.id) // Sort newest projects first
-              .map((project, index) => (
+          {visibleProjects.length > 0 ? (
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-8 justify-items-center">
+              {visibleProjects.map((project, index) => (
                 <ProjectCard 
                   key={project.id}
                   project={project}
                   index={index}
                   isInView={isInView}
+                  query={filters.query}
+                  activeTechId={activeTech?.id}
                 />
               ))}
-          </div>
+            </div>
+          ) : (
+            <div className="text-center py-12 text-gray-600 dark:text-gray-300">
+              <SearchX className="w-10 h-10 mx-auto mb-4 text-gray-400" aria-hidden="true" />
+              <p className="mb-4">{t('projects.filters.empty')}</p>
+              {isFiltered && (
+                <button
+                  type="button"
+                  onClick={clearFilters}
+                  className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium text-sm focus:outline-none focus:ring-2 focus:ring-blue-400"
+                >
+                  <X className="w-4 h-4" aria-hidden="true" />
+                  {t('projects.filters.clear')}
+                </button>
+              )}
+            </div>
+          )}
 
           {/* GitHub Profile Link */}
           <motion.div
@@ -85,10 +310,10 @@ const ProjectsSection = () => {
               target="_blank"
               rel="noopener noreferrer"
               className="inline-flex items-center gap-2 px-6 py-3 bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors font-medium focus:outline-none focus:ring-2 focus:ring-gray-400"
-              aria-label="View all projects on GitHub (opens in new tab)"
+              aria-label={t('projects.viewGithubLabel')}
             >
               <Github className="w-5 h-5" aria-hidden="true" />
-              View My GitHub
+              {t('projects.viewGithub')}
             </a>
           </motion.div>
         </motion.div>
@@ -97,34 +322,266 @@ const ProjectsSection = () => {
   );
 };
 
+/**
+ * Filter bar for the project grid
+ *
+ * Search box, sort order, live demo toggle, and chips for the most used
+ * technologies. The active technology always gets a chip, even when it is
+ * not among the most used, so a shared link shows what it filters by.
+ * Below them, each facet offers its values as toggles: values of one facet
+ * widen the results, values of different facets narrow them. Each count
+ * is the number of matching projects the value covers, and values that
+ * would leave nothing to show are disabled.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - Active filters from the query string
+ * @param {Object|null} props.activeTech - Technology matching the `tech` filter
+ * @param {Array<Object>} props.technologies - Project technologies, most used first
+ * @param {Array<Object>} props.facets - Facets with counts from selectProjectFacets
+ * @param {Function} props.onChange - Receives query parameter changes
+ * @returns {JSX.Element} Filter controls
+ */
+const ProjectFilters = ({ filters, activeTech, technologies, facets, onChange }) => {
+  const { t } = useLocale();
+  const { PARAMS } = FILTER_CONFIG;
+  const chips = technologies.slice(0, FILTER_CONFIG.MAX_TECH_CHIPS);
+  if (activeTech && !chips.some(tech => tech.id === activeTech.id)) {
+    chips.push(activeTech);
+  }
+
+  /**
+   * Adds a facet value to the selection or removes it
+   *
+   * @param {string} key - Facet field
+   * @param {string} value - Facet value
+   */
+  const toggleFacet = (key, value) => {
+    const selected = filters.facets[key];
+    const next = selected.includes(value)
+      ? selected.filter(item => item !== value)
+      : [...selected, value];
+    onChange({ [key]: next.join(FILTER_CONFIG.VALUE_SEPARATOR) });
+  };
+
+  return (
+    <div className="mb-10 space-y-4 print:hidden" role="search" aria-label={t('projects.filters.label')}>
+      <div className="flex flex-col sm:flex-row gap-3">
+        {/* Free-text Search */}
+        <label className="relative flex-1">
+          <span className="sr-only">{t('projects.filters.search')}</span>
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" aria-hidden="true" />
+          <input
+            type="search"
+            value={filters.query}
+            onChange={(e) => onChange({ [PARAMS.QUERY]: e.target.value })}
+            placeholder={t('projects.filters.searchPlaceholder')}
+            className="w-full pl-9 pr-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white placeholder-gray-500 dark:placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-blue-400"
+          />
+        </label>
+
+        {/* Sort Order */}
+        <label className="sm:w-48">
+          <span className="sr-only">{t('projects.filters.sortLabel')}</span>
+          <select
+            value={filters.sort}
+            onChange={(e) => onChange({ [PARAMS.SORT]: e.target.value === FILTER_CONFIG.DEFAULT_SORT ? null : e.target.value })}
+            className="w-full px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:outline-none focus:ring-2 focus:ring-blue-400"
+          >
+            {Object.keys(PROJECT_SORTS).map((sort) => (
+              <option key={sort} value={sort}>{t(`projects.filters.sorts.${sort}`)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {/* Live Demo Toggle */}
+        <button
+          type="button"
+          onClick={() => onChange({ [PARAMS.LIVE]: filters.live ? null : '1' })}
+          aria-pressed={filters.live}
+          className={`${CHIP_STYLES.BASE} ${filters.live ? CHIP_STYLES.ACTIVE : CHIP_STYLES.IDLE}`}
+        >
+          <ExternalLink className="w-3 h-3" aria-hidden="true" />
+          {t('projects.filters.live')}
+        </button>
+
+        <span className="w-px h-5 bg-gray-300 dark:bg-gray-600 mx-1" aria-hidden="true" />
+
+        {/* Technology Chips */}
+        <div className="flex flex-wrap gap-2" role="group" aria-label={t('projects.filters.technologies')}>
+          {chips.map((tech) => {
+            const isActive = tech.id === activeTech?.id;
+            return (
+              <button
+                key={tech.id}
+                type="button"
+                onClick={() => onChange({ [PARAMS.TECH]: isActive ? null : tech.name })}
+                aria-pressed={isActive}
+                className={`${CHIP_STYLES.BASE} ${isActive ? CHIP_STYLES.ACTIVE : CHIP_STYLES.IDLE}`}
+              >
+                {tech.name}
+                {isActive && <X className="w-3 h-3" aria-hidden="true" />}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Facets */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        {facets.map(({ key, values }) => (
+          <div key={key} role="group" aria-labelledby={`project-facet-${key}`}>
+            <p id={`project-facet-${key}`} className="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">
+              {t(`projects.facets.${key}`)}
+            </p>
+            <div className="flex flex-wrap gap-2">
+              {values.map(({ value, count, selected }) => (
+                <button
+                  key={value}
+                  type="button"
+                  onClick={() => toggleFacet(key, value)}
+                  aria-pressed={selected}
+                  disabled={count === 0 && !selected}
+                  className={`${CHIP_STYLES.BASE} ${selected ? CHIP_STYLES.ACTIVE : CHIP_STYLES.IDLE} disabled:opacity-50 disabled:cursor-not-allowed`}
+                >
+                  {key === 'year' ? value : t(`projects.facets.values.${value}`)}
+                  <span className={selected ? 'text-blue-100' : 'text-gray-500 dark:text-gray-400'}>{count}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Helper function to split a repository's code into the shares the language bar shows
+ *
+ * @param {Array<Object>} languages - Languages as `{ name, bytes }`, largest first
+ * @param {string} otherLabel - Name for the languages grouped past MAX_LANGUAGES
+ * @returns {Array<Object>} Shares as `{ name, share, color }`, where share is between 0 and 1
+ * @usage const shares = getLanguageShares(repository.languages, t('projects.repository.otherLanguages'));
+ */
+const getLanguageShares = (languages, otherLabel) => {
+  const total = languages.reduce((sum, { bytes }) => sum + bytes, 0);
+  if (total === 0) return [];
+
+  const shares = languages.slice(0, REPOSITORY_CONFIG.MAX_LANGUAGES).map(({ name, bytes }) => ({
+    name,
+    share: bytes / total,
+    color: REPOSITORY_CONFIG.LANGUAGE_COLORS[name] || REPOSITORY_CONFIG.OTHER_COLOR
+  }));
+  const rest = languages.slice(REPOSITORY_CONFIG.MAX_LANGUAGES).reduce((sum, { bytes }) => sum + bytes, 0);
+  return rest > 0
+    ? [...shares, { name: otherLabel, share: rest / total, color: REPOSITORY_CONFIG.OTHER_COLOR }]
+    : shares;
+};
+
+/**
+ * Repository activity from the GitHub snapshot
+ *
+ * Shows the repository's language breakdown as a bar with a legend, its
+ * star count and license, and how long ago its last commit was. Prerendered
+ * pages count from the day the snapshot was taken; once mounted, the card
+ * counts from today.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.repository - Snapshot entry with `stars`, `license`, `languages`,
+ *   `lastCommit`, and `fetchedAt`
+ * @returns {JSX.Element} Repository details
+ */
+const RepositoryStats = ({ repository }) => {
+  const { locale, t, formatRelativeDate } = useLocale();
+  const [isHydrated, setIsHydrated] = useState(false);
+  useEffect(() => {
+    setIsHydrated(true);
+  }, []);
+
+  const shares = getLanguageShares(repository.languages, t('projects.repository.otherLanguages'));
+  const percent = new Intl.NumberFormat(LOCALE_CONFIG.LOCALES[locale].intl, { style: 'percent', maximumFractionDigits: 0 });
+
+  return (
+    <div className="mb-6 text-xs text-gray-600 dark:text-gray-400" aria-label={t('projects.repository.label')} role="group">
+      {shares.length > 0 && (
+        <>
+          {/* Language Bar - the legend below carries the same breakdown for screen readers */}
+          <div className="flex h-2 mb-2 rounded-full overflow-hidden bg-gray-200 dark:bg-gray-700" aria-hidden="true">
+            {shares.map(({ name, share, color }) => (
+              <span key={name} style={{ width: `${share * 100}%`, backgroundColor: color }} />
+            ))}
+          </div>
+          <ul className="flex flex-wrap gap-x-3 gap-y-1 mb-2" aria-label={t('projects.repository.languages')}>
+            {shares.map(({ name, share, color }) => (
+              <li key={name} className="inline-flex items-center gap-1">
+                <span className="w-2 h-2 rounded-full" style={{ backgroundColor: color }} aria-hidden="true" />
+                <span className="font-medium text-gray-700 dark:text-gray-300">{name}</span> {percent.format(share)}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {/* Stars, License, and Last Commit */}
+      <div className="flex flex-wrap items-center gap-x-3 gap-y-1">
+        <span className="inline-flex items-center gap-1">
+          <Star className="w-3 h-3" aria-hidden="true" />
+          {t('projects.repository.stars', { count: repository.stars })}
+        </span>
+        {repository.license && (
+          <span className="inline-flex items-center gap-1">
+            <Scale className="w-3 h-3" aria-hidden="true" />
+            {t('projects.repository.license', { license: repository.license })}
+          </span>
+        )}
+        {repository.lastCommit && (
+          <time dateTime={repository.lastCommit}>
+            {t('projects.repository.updated', {
+              time: formatRelativeDate(repository.lastCommit, isHydrated ? new Date() : repository.fetchedAt)
+            })}
+          </time>
+        )}
+      </div>
+    </div>
+  );
+};
+
 /**
  * Individual project card component
  * 
  * Renders a single project with image, description, technologies,
- * team information, and action links. Includes hover animations
- * and graceful image loading with fallback.
+ * team information, repository activity, and action links. The title
+ * links to the project's case study page, and the image opens the
+ * project's media in the lightbox. Includes hover animations and a responsive image
+ * with a placeholder when it is missing or fails to load.
  * 
  * @param {Object} props - Component props
  * @param {Object} props.project - Project data object
  * @param {number} props.index - Card index for staggered animations
  * @param {boolean} props.isInView - Whether parent section is in viewport
+ * @param {string} [props.query] - Search term to highlight in the title and description
+ * @param {string} [props.activeTechId] - Technology the grid is filtered by, highlighted in the tags
  * @returns {JSX.Element} Animated project card
  */
-const ProjectCard = ({ project, index, isInView }) => {
-  /**
-   * Handles project image loading errors
-   * Shows fallback placeholder when image fails to load
-   * 
-   * @param {Event} e - Image error event
-   */
-  const handleImageError = (e) => {
-    console.warn(`Project image failed to load for: ${project.title}`);
-    e.target.style.display = 'none';
-    const fallbackElement = e.target.nextSibling;
-    if (fallbackElement) {
-      fallbackElement.style.display = 'flex';
-    }
-  };
+const ProjectCard = ({ project, index, isInView, query = '', activeTechId }) => {
+  const { t, localizePath } = useLocale();
+  const [galleryIndex, setGalleryIndex] = useState(null);
+
+  // Placeholder for projects without an image, or whose image fails to load
+  const imagePlaceholder = (
+    <div
+      className="flex items-center justify-center h-full text-gray-500 dark:text-gray-400 text-sm text-center px-4"
+      aria-label={t('projects.screenshotPlaceholderLabel')}
+    >
+      <div>
+        <div className="mb-2 text-2xl" aria-hidden="true">📸</div>
+        <div className="font-medium">{project.title}</div>
+        <div className="text-xs opacity-75">{t('projects.screenshotPlaceholder')}</div>
+      </div>
+    </div>
+  );
 
   return (
     <motion.article
@@ -132,50 +589,73 @@ const ProjectCard = ({ project, index, isInView }) => {
       animate={isInView ? { opacity: 1, y: 0 } : { opacity: 0, y: 20 }}
       transition={{ duration: 0.6, delay: index * 0.1 }}
       className="bg-white dark:bg-gray-800 rounded-lg shadow-lg overflow-hidden hover:shadow-xl transition-shadow group max-w-sm w-full"
-      aria-label={`Project: ${project.title}`}
+      aria-label={t('projects.cardLabel', { title: project.title })}
     >
       {/* Project Image Section */}
       <div className="h-48 bg-gray-200 dark:bg-gray-700 overflow-hidden relative">
-        {project.image && (
-          <img 
-            src={project.image} 
-            alt={`${project.title} project screenshot showing main interface`}
-            className="w-full h-full object-cover object-center group-hover:scale-105 transition-transform duration-300"
-            loading="lazy"
-            onError={handleImageError}
-          />
-        )}
-        
-        {/* Fallback placeholder for missing/failed images */}
-        <div 
-          className={`${project.image ? 'hidden' : 'flex'} items-center justify-center h-full text-gray-500 dark:text-gray-400 text-sm text-center px-4`}
-          aria-label="Project screenshot placeholder"
-        >
-          <div>
-            <div className="mb-2 text-2xl" aria-hidden="true">📸</div>
-            <div className="font-medium">{project.title}</div>
-            <div className="text-xs opacity-75">Project Screenshot</div>
-          </div>
-        </div>
+        {project.image ? (
+          <button
+            type="button"
+            onClick={() => setGalleryIndex(0)}
+            className="print-media block w-full h-full cursor-zoom-in focus:outline-none focus:ring-2 focus:ring-inset focus:ring-blue-400"
+            aria-label={t('projects.openGallery', { title: project.title, count: project.media.length })}
+          >
+            <OptimizedImage
+              image={project.image}
+              alt=""
+              sizes="(min-width: 24rem) 24rem, 100vw"
+              fallback={imagePlaceholder}
+              className="w-full h-full object-cover object-center group-hover:scale-105 transition-transform duration-300"
+            />
+            {/* Media count - only when there is more than the card shows */}
+            {project.media.length > 1 && (
+              <span className="absolute bottom-3 right-3 inline-flex items-center gap-1 px-2 py-1 rounded-full bg-black/60 text-white text-xs font-medium print:hidden" aria-hidden="true">
+                <Images className="w-3 h-3" />
+                {project.media.length}
+              </span>
+            )}
+          </button>
+        ) : imagePlaceholder}
       </div>
+
+      <Lightbox
+        items={project.media.map(item => ({
+          ...item,
+          alt: item.caption || t('projects.screenshotAlt', { title: project.title })
+        }))}
+        index={galleryIndex}
+        onIndexChange={setGalleryIndex}
+        onClose={() => setGalleryIndex(null)}
+        label={t('lightbox.label', { title: project.title })}
+      />
       
       {/* Project Content */}
       <div className="p-6">
+        {/* Category and Year */}
+        <p className="text-xs font-medium uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-1">
+          {t(`projects.facets.values.${project.category}`)} · {project.year}
+        </p>
+
         {/* Project Title */}
         <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-3">
-          {project.title}
+          <Link
+            to={localizePath(`/projects/${project.id}`)}
+            className="hover:text-blue-600 dark:hover:text-blue-400 transition-colors focus:outline-none focus:ring-2 focus:ring-blue-400 rounded"
+          >
+            <Highlight text={project.title} query={query} />
+          </Link>
         </h3>
         
         {/* Project Description */}
         <p className="text-gray-600 dark:text-gray-300 mb-4 text-sm leading-relaxed">
-          {project.description}
+          <Highlight text={project.description} query={query} />
         </p>
 
         {/* Role Information (when provided) */}
         {project.role && (
           <div className="mb-3">
             <p className="text-xs font-medium text-blue-600 dark:text-blue-400">
-              <span className="font-semibold">Role:</span> {project.role}
+              <span className="font-semibold">{t('projects.role')}</span> {project.role}
             </p>
           </div>
         )}
@@ -186,7 +666,7 @@ const ProjectCard = ({ project, index, isInView }) => {
             <div className="flex items-center gap-2 mb-2">
               <Users className="w-4 h-4 text-gray-500 dark:text-gray-400" aria-hidden="true" />
               <span className="text-xs font-medium text-gray-700 dark:text-gray-300">
-                Team:
+                {t('projects.team')}
               </span>
             </div>
             <div className="text-xs text-gray-600 dark:text-gray-400">
@@ -198,46 +678,69 @@ const ProjectCard = ({ project, index, isInView }) => {
         )}
         
         {/* Technology Stack Tags */}
-        <div className="flex flex-wrap gap-2 mb-6" role="list" aria-label="Technologies used">
+        <div className={`flex flex-wrap gap-2 ${project.repository ? 'mb-4' : 'mb-6'}`} role="list" aria-label={t('projects.technologiesLabel')}>
           {project.technologies.map((tech) => (
             <span
-              key={tech}
-              className="px-3 py-1 bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 text-xs rounded-full font-medium"
+              key={tech.id}
+              className={`px-3 py-1 text-xs rounded-full font-medium ${
+                tech.id === activeTechId
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200'
+              }`}
               role="listitem"
             >
-              {tech}
+              {tech.name}
             </span>
           ))}
         </div>
+
+        {/* Repository Activity (when in the GitHub snapshot) */}
+        {project.repository && <RepositoryStats repository={project.repository} />}
         
         {/* Action Links */}
-        <div className="flex gap-4" role="list" aria-label="Project links">
+        <ul className="flex gap-4" aria-label={t('projects.linksLabel')}>
+          {/* Case Study Link */}
+          <li>
+            <Link
+              to={localizePath(`/projects/${project.id}`)}
+              className="flex items-center gap-2 text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 transition-colors text-sm font-medium focus:outline-none focus:ring-2 focus:ring-blue-400 rounded"
+              aria-label={t('projects.detailsLabel', { title: project.title })}
+            >
+              {t('projects.details')}
+              <ArrowRight className="w-4 h-4" aria-hidden="true" />
+            </Link>
+          </li>
+
           {/* GitHub Repository Link */}
-          <a
-            href={project.github}
-            target="_blank"
-            rel="noopener noreferrer"
-            className="flex items-center gap-2 text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white transition-colors text-sm font-medium focus:outline-none focus:ring-2 focus:ring-gray-400 rounded"
-            aria-label={`View ${project.title} source code on GitHub (opens in new tab)`}
-          >
-            <Github className="w-4 h-4" aria-hidden="true" />
-            Code
-          </a>
-          
-          {/* Live Demo Link (when available) */}
-          {project.live && (
+          <li>
             <a
-              href={project.live}
+              href={project.github}
               target="_blank"
               rel="noopener noreferrer"
               className="flex items-center gap-2 text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white transition-colors text-sm font-medium focus:outline-none focus:ring-2 focus:ring-gray-400 rounded"
-              aria-label={`View ${project.title} live demo (opens in new tab)`}
+              aria-label={t('projects.codeLabel', { title: project.title })}
             >
-              <ExternalLink className="w-4 h-4" aria-hidden="true" />
-              Live Demo
+              <Github className="w-4 h-4" aria-hidden="true" />
+              {t('projects.code')}
             </a>
+          </li>
+          
+          {/* Live Demo Link (when available) */}
+          {project.live && (
+            <li>
+              <a
+                href={project.live}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center gap-2 text-gray-600 dark:text-gray-300 hover:text-gray-900 dark:hover:text-white transition-colors text-sm font-medium focus:outline-none focus:ring-2 focus:ring-gray-400 rounded"
+                aria-label={t('projects.liveDemoLabel', { title: project.title })}
+              >
+                <ExternalLink className="w-4 h-4" aria-hidden="true" />
+                {t('projects.liveDemo')}
+              </a>
+            </li>
           )}
-        </div>
+        </ul>
       </div>
     </motion.article>
   );
@@ -3,7 +3,9 @@
  * 
  * Displays technical skills through expandable cards in a responsive grid layout.
  * Features hover animations, smooth transitions, and detailed technology descriptions
- * with usage examples for comprehensive skill demonstration.
+ * with usage examples for comprehensive skill demonstration. Expanded cards
+ * link to the projects and roles that used each technology, taken from the
+ * technology graph in the content store.
  * 
  * Demonstrates advanced React patterns including dynamic state management,
  * conditional rendering, and accessibility-compliant keyboard navigation.
@@ -13,6 +15,7 @@
 
 import { motion, AnimatePresence, useInView } from 'framer-motion';
 import { useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
 import { 
   Code2, 
   Monitor, 
@@ -23,7 +26,8 @@ import {
   ChevronRight,
   ChevronDown
 } from 'lucide-react';
-import { TECH_STACK } from '../../utils/techStackData';
+import { useContent } from '../../hooks/useContent';
+import { useLocale } from '../../hooks/useLocale';
 
 // Animation configuration constants for consistent timing
 const ANIMATION_CONFIG = {
@@ -42,11 +46,13 @@ const GRID_CONFIG = {
 };
 
 const TechStackSection = () => {
+  const { techStack, technologies } = useContent();
+  const { t, localizePath } = useLocale();
   const ref = useRef(null);
   const isInView = useInView(ref, { once: true, margin: "-100px" });
   
   // State management for expandable technology cards
-  // Format: "categoryKey-techName" for unique identification across categories
+  // Format: "categoryKey-techKey" for unique identification across categories
   const [expandedTech, setExpandedTech] = useState(null);
 
   /**
@@ -94,16 +100,14 @@ const TechStackSection = () => {
   };
 
   /**
-   * Combines technology data from constants with styling configuration
+   * Combines technology categories from the content store with styling configuration
    * Creates enriched category objects for rendering
    * 
    * @returns {Array} Array of category objects with merged data and styling
    */
-  const techCategories = Object.entries(TECH_STACK).map(([key, data]) => ({
-    key,
-    title: data.title,
-    technologies: data.technologies,
-    ...categoryConfig[key]
+  const techCategories = techStack.categories.map((category) => ({
+    ...category,
+    ...categoryConfig[category.key]
   }));
 
   /**
@@ -112,10 +116,10 @@ const TechStackSection = () => {
    * Implements accordion-like behavior where only one item can be expanded
    * 
    * @param {string} categoryKey - The category identifier (e.g., 'languages', 'frontend')
-   * @param {string} techName - The specific technology name within the category
+   * @param {string} techKey - The technology's registry id (e.g., 'react')
    */
-  const handleTechClick = (categoryKey, techName) => {
-    const techId = `${categoryKey}-${techName}`;
+  const handleTechClick = (categoryKey, techKey) => {
+    const techId = `${categoryKey}-${techKey}`;
     // Toggle behavior: close if already open, open if closed
     setExpandedTech(expandedTech === techId ? null : techId);
   };
@@ -133,6 +137,43 @@ const TechStackSection = () => {
            (techIndex * ANIMATION_CONFIG.TECH_DELAY_MULTIPLIER);
   };
 
+  /**
+   * Renders the projects and roles that used a technology
+   * Projects link to their case study pages
+   * 
+   * @param {string} techKey - The technology's registry id
+   * @returns {JSX.Element|null} Cross-links, or null when nothing used the technology
+   */
+  const renderUsedIn = (techKey) => {
+    const technology = technologies.getById(techKey);
+    if (!technology || technology.projects.length + technology.experience.length === 0) return null;
+
+    return (
+      <div className="mt-3 pt-3 border-t border-gray-200 dark:border-gray-600">
+        <p className="text-xs font-semibold text-gray-700 dark:text-gray-300 mb-1">
+          {t('techStack.usedIn')}
+        </p>
+        <ul className="flex flex-wrap gap-x-3 gap-y-1 text-xs text-gray-600 dark:text-gray-400">
+          {technology.projects.map((project) => (
+            <li key={`project-${project.id}`}>
+              <Link
+                to={localizePath(`/projects/${project.id}`)}
+                className="text-blue-600 dark:text-blue-400 hover:underline focus:outline-none focus:ring-2 focus:ring-blue-400 rounded"
+              >
+                {project.title}
+              </Link>
+            </li>
+          ))}
+          {technology.experience.map((experience) => (
+            <li key={`experience-${experience.id}`}>
+              {experience.title}, {experience.company}
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  };
+
   return (
     <section className="section-padding bg-gray-50 dark:bg-gray-800">
       <div className="container">
@@ -145,10 +186,10 @@ const TechStackSection = () => {
         >
           {/* Section Header with Professional Messaging */}
           <h2 className="text-4xl md:text-5xl font-bold text-gray-900 dark:text-white mb-4">
-            Technologies I Work With
+            {t('techStack.title')}
           </h2>
           <p className="text-lg text-gray-600 dark:text-gray-300 mb-16 max-w-2xl mx-auto">
-            A versatile foundation for solving complex problems in evolving technical environments.
+            {t('techStack.subtitle')}
           </p>
 
           {/* Technology Grid - Responsive 2x3 Layout */}
@@ -192,12 +233,12 @@ const TechStackSection = () => {
 
                   {/* Interactive Technologies List */}
                   <div className="space-y-3 flex-grow">
-                    {Object.entries(category.technologies).map(([techName, techData], techIndex) => {
-                      const techId = `${category.key}-${techName}`;
+                    {category.technologies.map(({ id: techKey, name: techName, ...techData }, techIndex) => {
+                      const techId = `${category.key}-${techKey}`;
                       const isExpanded = expandedTech === techId;
                       
                       return (
-                        <div key={techName} className="space-y-2">
+                        <div key={techKey} className="space-y-2">
                           {/* Clickable Technology Item */}
                           <motion.button
                             initial={{ opacity: 0, x: -10 }}
@@ -206,7 +247,7 @@ const TechStackSection = () => {
                               duration: 0.4, 
                               delay: calculateAnimationDelay(categoryIndex, techIndex)
                             }}
-                            onClick={() => handleTechClick(category.key, techName)}
+                            onClick={() => handleTechClick(category.key, techKey)}
                             className={`
                               w-full flex items-center justify-between gap-3 p-3 
                               bg-white dark:bg-gray-700/50 rounded-lg shadow-sm 
@@ -253,7 +294,7 @@ const TechStackSection = () => {
                                 }}
                                 className="overflow-hidden"
                                 role="region"
-                                aria-label={`Details for ${techName}`}
+                                aria-label={t('techStack.detailsFor', { name: techName })}
                               >
                                 <div className="ml-7 p-4 bg-white dark:bg-gray-800/80 rounded-lg border border-gray-200 dark:border-gray-600 shadow-sm">
                                   <p className="text-sm text-gray-700 dark:text-gray-300 mb-2 font-medium">
@@ -262,6 +303,7 @@ const TechStackSection = () => {
                                   <p className="text-sm text-gray-600 dark:text-gray-400 italic">
                                     {techData.usage}
                                   </p>
+                                  {renderUsedIn(techKey)}
                                 </div>
                               </motion.div>
                             )}
@@ -293,7 +335,7 @@ const TechStackSection = () => {
             className="mt-16 text-center"
           >
             <p className="text-gray-600 dark:text-gray-400 text-sm">
-              Always learning and exploring new technologies to deliver better solutions.
+              {t('techStack.closing')}
             </p>
           </motion.div>
         </motion.div>
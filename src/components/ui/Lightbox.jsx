@@ -0,0 +1,274 @@
+/**
+ * Fullscreen image lightbox
+ *
+ * Shows one image of a gallery at a time above the page, with its caption
+ * and position. Visitors move through the gallery with the previous and
+ * next buttons, the arrow keys, or a swipe on touch screens, and zoom into
+ * dense diagrams with the zoom buttons, the + and - keys, the mouse wheel,
+ * or a double click. A zoomed image pans by dragging.
+ *
+ * Keyboard and focus handling come from useDialog: Escape closes the
+ * lightbox and focus returns to the thumbnail that opened it. Renders
+ * nothing while closed, so it is safe in prerendered pages.
+ *
+ * @author Walter Magill
+ */
+
+import { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { AnimatePresence, animate, motion, useMotionValue } from 'framer-motion';
+import { ChevronLeft, ChevronRight, X, ZoomIn, ZoomOut } from 'lucide-react';
+import { useDialog } from '../../hooks/useDialog';
+import { useLocale } from '../../hooks/useLocale';
+import OptimizedImage from './OptimizedImage';
+
+// Zoom and gesture configuration
+const LIGHTBOX_CONFIG = {
+  MIN_ZOOM: 1,
+  MAX_ZOOM: 4,
+  ZOOM_STEP: 0.5,
+  DOUBLE_CLICK_ZOOM: 2,
+  SWIPE_DISTANCE: 60,     // Pixels dragged before a swipe changes image
+  SWIPE_VELOCITY: 500     // Or pixels per second for a quick flick
+};
+
+// Control button styling on the dark backdrop
+const CONTROL_CLASSES = "p-2 rounded-full text-white bg-white/10 hover:bg-white/20 disabled:opacity-40 disabled:cursor-not-allowed transition-colors focus:outline-none focus:ring-2 focus:ring-blue-400";
+
+/**
+ * Helper function to keep a value within a range
+ *
+ * @param {number} value - Value to limit
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Value within [min, max]
+ */
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.items - Images as `{ image, alt, caption }`, where image is a
+ *   responsive image set and caption may be null
+ * @param {number|null} props.index - Index of the image shown; null while closed
+ * @param {Function} props.onIndexChange - Receives the index of the image to show
+ * @param {Function} props.onClose - Called when the visitor dismisses the lightbox
+ * @param {string} props.label - Accessible name of the gallery
+ * @returns {JSX.Element|null} Lightbox portal, or null while closed
+ * @usage <Lightbox items={media} index={openIndex} onIndexChange={setOpenIndex} onClose={() => setOpenIndex(null)} label="Gallery" />
+ */
+const Lightbox = ({ items, index, onIndexChange, onClose, label }) => {
+  const { t } = useLocale();
+  const isOpen = index !== null && items.length > 0;
+  const [zoom, setZoom] = useState(LIGHTBOX_CONFIG.MIN_ZOOM);
+  const [panLimits, setPanLimits] = useState({ x: 0, y: 0 });
+  const [imageElement, setImageElement] = useState(null);
+  const x = useMotionValue(0);
+  const y = useMotionValue(0);
+
+  const isZoomed = zoom > LIGHTBOX_CONFIG.MIN_ZOOM;
+  const hasSeveral = items.length > 1;
+
+  /**
+   * Sets the zoom level and pulls the image back inside the area it may pan over
+   * The zoomed image may move by half of the size it gained on each side
+   *
+   * @param {number} level - Requested zoom level
+   */
+  const applyZoom = (level) => {
+    const next = clamp(level, LIGHTBOX_CONFIG.MIN_ZOOM, LIGHTBOX_CONFIG.MAX_ZOOM);
+    const limits = imageElement
+      ? { x: (imageElement.offsetWidth * (next - 1)) / 2, y: (imageElement.offsetHeight * (next - 1)) / 2 }
+      : { x: 0, y: 0 };
+
+    setZoom(next);
+    setPanLimits(limits);
+    animate(x, clamp(x.get(), -limits.x, limits.x));
+    animate(y, clamp(y.get(), -limits.y, limits.y));
+  };
+
+  // Returns to the unzoomed, centered view at once, for the next image shown
+  const resetView = () => {
+    setZoom(LIGHTBOX_CONFIG.MIN_ZOOM);
+    setPanLimits({ x: 0, y: 0 });
+    x.jump(0);
+    y.jump(0);
+  };
+
+  /**
+   * Shows another image, wrapping around at either end, with the zoom reset
+   *
+   * @param {number} step - -1 for the previous image, 1 for the next
+   */
+  const showImage = (step) => {
+    resetView();
+    onIndexChange((index + step + items.length) % items.length);
+  };
+
+  const handleClose = () => {
+    resetView();
+    onClose();
+  };
+
+  const panelRef = useDialog(isOpen, handleClose);
+
+  /**
+   * Handles the gallery keys; Escape and Tab are handled by useDialog
+   *
+   * @param {React.KeyboardEvent} event - Keydown event
+   */
+  const handleKeyDown = (event) => {
+    const actions = {
+      ArrowLeft: () => hasSeveral && showImage(-1),
+      ArrowRight: () => hasSeveral && showImage(1),
+      '+': () => applyZoom(zoom + LIGHTBOX_CONFIG.ZOOM_STEP),
+      '=': () => applyZoom(zoom + LIGHTBOX_CONFIG.ZOOM_STEP),
+      '-': () => applyZoom(zoom - LIGHTBOX_CONFIG.ZOOM_STEP),
+      '0': () => applyZoom(LIGHTBOX_CONFIG.MIN_ZOOM)
+    };
+    if (!Object.hasOwn(actions, event.key)) return;
+
+    event.preventDefault();
+    actions[event.key]();
+  };
+
+  /**
+   * Changes image after a horizontal swipe on an image that is not zoomed
+   *
+   * @param {PointerEvent} event - Pointer event that ended the drag
+   * @param {Object} info - Drag offset and velocity from framer-motion
+   */
+  const handleDragEnd = (event, { offset, velocity }) => {
+    if (isZoomed || !hasSeveral) return;
+
+    if (offset.x < -LIGHTBOX_CONFIG.SWIPE_DISTANCE || velocity.x < -LIGHTBOX_CONFIG.SWIPE_VELOCITY) {
+      showImage(1);
+    } else if (offset.x > LIGHTBOX_CONFIG.SWIPE_DISTANCE || velocity.x > LIGHTBOX_CONFIG.SWIPE_VELOCITY) {
+      showImage(-1);
+    }
+  };
+
+  if (typeof document === 'undefined') return null;
+
+  const item = isOpen ? items[index] : null;
+
+  return createPortal(
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          ref={panelRef}
+          role="dialog"
+          aria-modal="true"
+          aria-label={label}
+          tabIndex={-1}
+          onKeyDown={handleKeyDown}
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          transition={{ duration: 0.2 }}
+          className="fixed inset-0 z-[100] flex flex-col bg-black/90 text-white focus:outline-none print:hidden"
+        >
+          {/* Toolbar */}
+          <div className="flex items-center justify-between gap-4 p-4">
+            <p className="text-sm text-gray-300" aria-live="polite">
+              {t('lightbox.position', { current: index + 1, total: items.length })}
+            </p>
+            <div className="flex items-center gap-2">
+              <button
+                type="button"
+                onClick={() => applyZoom(zoom - LIGHTBOX_CONFIG.ZOOM_STEP)}
+                disabled={!isZoomed}
+                className={CONTROL_CLASSES}
+                aria-label={t('lightbox.zoomOut')}
+              >
+                <ZoomOut className="w-5 h-5" aria-hidden="true" />
+              </button>
+              <button
+                type="button"
+                onClick={() => applyZoom(zoom + LIGHTBOX_CONFIG.ZOOM_STEP)}
+                disabled={zoom >= LIGHTBOX_CONFIG.MAX_ZOOM}
+                className={CONTROL_CLASSES}
+                aria-label={t('lightbox.zoomIn')}
+              >
+                <ZoomIn className="w-5 h-5" aria-hidden="true" />
+              </button>
+              <button
+                type="button"
+                onClick={handleClose}
+                className={CONTROL_CLASSES}
+                aria-label={t('modal.close')}
+              >
+                <X className="w-5 h-5" aria-hidden="true" />
+              </button>
+            </div>
+          </div>
+
+          {/* Stage - a click beside the image closes the lightbox */}
+          <div className="relative flex-1 min-h-0 flex items-center justify-center gap-2 px-2 sm:px-4">
+            {hasSeveral && (
+              <button
+                type="button"
+                onClick={() => showImage(-1)}
+                className={`${CONTROL_CLASSES} shrink-0 z-10`}
+                aria-label={t('lightbox.previous')}
+              >
+                <ChevronLeft className="w-6 h-6" aria-hidden="true" />
+              </button>
+            )}
+
+            <div
+              className="flex-1 h-full min-w-0 flex items-center justify-center overflow-hidden"
+              onClick={(event) => event.target === event.currentTarget && handleClose()}
+              onWheel={(event) => applyZoom(zoom + (event.deltaY < 0 ? LIGHTBOX_CONFIG.ZOOM_STEP : -LIGHTBOX_CONFIG.ZOOM_STEP))}
+            >
+              <OptimizedImage
+                key={index}
+                as={motion.img}
+                image={item.image}
+                alt={item.alt}
+                sizes="100vw"
+                loading="eager"
+                onLoad={(event) => setImageElement(event.currentTarget)}
+                draggable={false}
+                drag={isZoomed ? true : hasSeveral && 'x'}
+                dragConstraints={isZoomed
+                  ? { left: -panLimits.x, right: panLimits.x, top: -panLimits.y, bottom: panLimits.y }
+                  : { left: 0, right: 0, top: 0, bottom: 0 }}
+                dragElastic={isZoomed ? 0.1 : 0.6}
+                dragMomentum={false}
+                onDragEnd={handleDragEnd}
+                onDoubleClick={() => applyZoom(isZoomed ? LIGHTBOX_CONFIG.MIN_ZOOM : LIGHTBOX_CONFIG.DOUBLE_CLICK_ZOOM)}
+                style={{ x, y }}
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1, scale: zoom }}
+                transition={{ duration: 0.2 }}
+                className={`max-w-full max-h-full object-contain select-none touch-none ${isZoomed ? 'cursor-grab active:cursor-grabbing' : ''}`}
+              />
+            </div>
+
+            {hasSeveral && (
+              <button
+                type="button"
+                onClick={() => showImage(1)}
+                className={`${CONTROL_CLASSES} shrink-0 z-10`}
+                aria-label={t('lightbox.next')}
+              >
+                <ChevronRight className="w-6 h-6" aria-hidden="true" />
+              </button>
+            )}
+          </div>
+
+          {/* Caption */}
+          <div className="p-4 text-center">
+            {item.caption && <p className="text-sm text-gray-200 max-w-3xl mx-auto">{item.caption}</p>}
+            <p className="mt-1 text-xs text-gray-400">
+              {t(hasSeveral ? 'lightbox.hint' : 'lightbox.zoomHint')}
+            </p>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>,
+    document.body
+  );
+};
+
+export default Lightbox;
@@ -0,0 +1,208 @@
+/**
+ * Live demo preview inside a device frame
+ *
+ * Embeds a project's live site in a sandboxed iframe, framed as a desktop
+ * browser window, a tablet, or a phone. The iframe keeps the device's real
+ * viewport width, so the site lays out as it would on that device, and is
+ * scaled down to fit the page. Switching devices resizes the frame without
+ * reloading the site.
+ *
+ * Nothing is loaded until the visitor asks for the preview, so the page
+ * stays light and prerenders the same markup it hydrates. Browsers do not
+ * tell a page when an embedded site refuses to be framed, and the frame
+ * still fires its load event, so only sites the live preview check
+ * (scripts/previews.js) found embeddable are framed; the rest, and any site
+ * that does not load in time, show the screenshot and a link that opens
+ * the site in a new tab instead.
+ *
+ * @author Walter Magill
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { ExternalLink, Loader2, Monitor, Play, Smartphone, Tablet } from 'lucide-react';
+import { useLocale } from '../../hooks/useLocale';
+import OptimizedImage from './OptimizedImage';
+
+// Preview configuration
+const PREVIEW_CONFIG = {
+  DEFAULT_DEVICE: 'desktop',
+  MAX_HEIGHT: 720,          // Tallest the scaled viewport may be, in pixels
+  LOAD_TIMEOUT_MS: 20000,   // Generous, as free hosts can take a while to wake up
+  // Permissions for the embedded site; same-origin access is granted only to
+  // other origins, where it cannot reach this page
+  SANDBOX: ['allow-scripts', 'allow-forms', 'allow-popups', 'allow-popups-to-escape-sandbox']
+};
+
+// Device viewports in CSS pixels; the bezel is the frame's border width
+const DEVICES = {
+  desktop: { icon: Monitor, width: 1280, height: 800, bezel: 1, frame: 'rounded-lg border-gray-300 dark:border-gray-600' },
+  tablet: { icon: Tablet, width: 768, height: 1024, bezel: 14, frame: 'rounded-[2rem] border-gray-900 dark:border-black' },
+  phone: { icon: Smartphone, width: 390, height: 844, bezel: 12, frame: 'rounded-[2.5rem] border-gray-900 dark:border-black' }
+};
+
+/**
+ * Helper function to build the sandbox permissions for an embedded URL
+ * A same-origin frame with scripts could remove its own sandbox, so same-origin
+ * access is only granted to sites on another origin
+ *
+ * @param {string} url - Embedded URL
+ * @returns {string} Value for the iframe sandbox attribute
+ * @usage <iframe sandbox={getSandbox(url)} />
+ */
+const getSandbox = (url) => {
+  const isCrossOrigin = new URL(url).origin !== window.location.origin;
+  return [...PREVIEW_CONFIG.SANDBOX, ...(isCrossOrigin ? ['allow-same-origin'] : [])].join(' ');
+};
+
+/**
+ * @param {Object} props - Component props
+ * @param {string} props.url - Live site to embed
+ * @param {string} props.title - Project title, for the frame's accessible name
+ * @param {Object|null} props.image - Screenshot shown before loading and as the fallback
+ * @param {boolean} [props.isEmbeddable=false] - True only for sites known to allow framing
+ * @returns {JSX.Element} Preview with device toggles, or the fallback
+ * @usage <LivePreview url={project.live} title={project.title} image={project.image} isEmbeddable={project.preview} />
+ */
+const LivePreview = ({ url, title, image, isEmbeddable = false }) => {
+  const { t } = useLocale();
+  const [status, setStatus] = useState(isEmbeddable ? 'idle' : 'failed');
+  const [device, setDevice] = useState(PREVIEW_CONFIG.DEFAULT_DEVICE);
+  const [availableWidth, setAvailableWidth] = useState(null);
+  const stageRef = useRef(null);
+  const host = new URL(url).host;
+  const isActive = status === 'loading' || status === 'loaded';
+
+  // Falls back when the site has not loaded in time
+  useEffect(() => {
+    if (status !== 'loading') return undefined;
+
+    const timer = setTimeout(() => setStatus('failed'), PREVIEW_CONFIG.LOAD_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [status]);
+
+  // Tracks the width the device frame may fill
+  useEffect(() => {
+    if (!isActive || !stageRef.current) return undefined;
+
+    const observer = new ResizeObserver(([entry]) => setAvailableWidth(entry.contentRect.width));
+    observer.observe(stageRef.current);
+    return () => observer.disconnect();
+  }, [isActive]);
+
+  const openLink = (
+    <a
+      href={url}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium shadow-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+      aria-label={t('projects.liveDemoLabel', { title })}
+    >
+      <ExternalLink className="w-4 h-4" aria-hidden="true" />
+      {t('preview.open')}
+    </a>
+  );
+
+  if (!isActive) {
+    return (
+      <div className="relative rounded-lg overflow-hidden shadow-lg bg-gray-200 dark:bg-gray-700 aspect-video print:hidden">
+        {image && (
+          <OptimizedImage
+            image={image}
+            alt=""
+            sizes="(min-width: 56rem) 56rem, 100vw"
+            className="w-full h-full object-cover object-top"
+          />
+        )}
+        <div className="absolute inset-0 flex flex-col items-center justify-center gap-3 p-6 bg-gray-900/60 text-center text-white">
+          {status === 'idle' ? (
+            <>
+              <button
+                type="button"
+                onClick={() => setStatus('loading')}
+                className="inline-flex items-center gap-2 px-5 py-3 bg-white text-gray-900 rounded-lg hover:bg-gray-100 transition-colors font-medium shadow-md focus:outline-none focus:ring-2 focus:ring-blue-400 focus:ring-offset-2"
+              >
+                <Play className="w-5 h-5" aria-hidden="true" />
+                {t('preview.load')}
+              </button>
+              <p className="text-sm text-gray-200">{t('preview.loadNote', { host })}</p>
+            </>
+          ) : (
+            <>
+              <p className="text-sm text-gray-100" role="status">{t('preview.unavailable', { host })}</p>
+              {openLink}
+            </>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const { width, height, bezel, frame } = DEVICES[device];
+  const scale = availableWidth
+    ? Math.min(1, (availableWidth - bezel * 2) / width, PREVIEW_CONFIG.MAX_HEIGHT / height)
+    : 1;
+
+  return (
+    <div className="print:hidden">
+      {/* Device Toggles and Link Out */}
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className="inline-flex rounded-lg bg-gray-100 dark:bg-gray-800 p-1" role="group" aria-label={t('preview.devices.label')}>
+          {Object.entries(DEVICES).map(([key, option]) => {
+            const IconComponent = option.icon;
+            return (
+              <button
+                key={key}
+                type="button"
+                onClick={() => setDevice(key)}
+                aria-pressed={device === key}
+                className={`inline-flex items-center gap-1 px-3 py-1.5 rounded-md text-sm font-medium transition-colors focus:outline-none focus:ring-2 focus:ring-blue-400 ${
+                  device === key
+                    ? 'bg-white dark:bg-gray-700 text-gray-900 dark:text-white shadow'
+                    : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
+                }`}
+              >
+                <IconComponent className="w-4 h-4" aria-hidden="true" />
+                {t(`preview.devices.${key}`)}
+              </button>
+            );
+          })}
+        </div>
+        {openLink}
+      </div>
+
+      {/* Device Frame */}
+      <div ref={stageRef} className="flex justify-center">
+        <div className={`overflow-hidden bg-white shadow-xl ${frame}`} style={{ borderWidth: bezel }}>
+          {device === 'desktop' && (
+            <div className="flex items-center gap-2 px-3 h-8 bg-gray-100 dark:bg-gray-800 border-b border-gray-300 dark:border-gray-600" aria-hidden="true">
+              <span className="w-2.5 h-2.5 rounded-full bg-red-400" />
+              <span className="w-2.5 h-2.5 rounded-full bg-yellow-400" />
+              <span className="w-2.5 h-2.5 rounded-full bg-green-400" />
+              <span className="flex-1 mx-2 px-3 py-0.5 rounded bg-white dark:bg-gray-700 text-xs text-gray-500 dark:text-gray-400 truncate">
+                {host}
+              </span>
+            </div>
+          )}
+          <div className="relative overflow-hidden" style={{ width: width * scale, height: height * scale }}>
+            <iframe
+              src={url}
+              title={t('preview.frameTitle', { title })}
+              sandbox={getSandbox(url)}
+              onLoad={() => setStatus('loaded')}
+              className="absolute top-0 left-0 border-0 origin-top-left"
+              style={{ width, height, transform: `scale(${scale})` }}
+            />
+            {status === 'loading' && (
+              <div className="absolute inset-0 flex items-center justify-center gap-2 bg-white dark:bg-gray-900 text-sm text-gray-600 dark:text-gray-300" role="status">
+                <Loader2 className="w-5 h-5 animate-spin" aria-hidden="true" />
+                {t('preview.loading', { host })}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LivePreview;
@@ -0,0 +1,84 @@
+// @vitest-environment jsdom
+/**
+ * Tests for the live demo preview
+ *
+ * Renders the preview for the real projects in a browser-like environment
+ * and checks that embeddable sites reach the sandboxed frame once the
+ * visitor asks for it, while the rest only offer the screenshot and a link.
+ *
+ * @author Walter Magill
+ */
+
+import { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import { MemoryRouter } from 'react-router-dom';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { LocaleProvider } from '../../context/LocaleProvider';
+import { CONTENT } from '../../utils/contentStore';
+import LivePreview from './LivePreview';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const liveProjects = CONTENT.projects.all.filter(project => project.live);
+const previewProjects = liveProjects.filter(project => project.preview);
+const roots = [];
+
+/**
+ * Renders the preview for a project
+ *
+ * @param {Object} project - Project with a live URL
+ * @returns {Promise<HTMLElement>} Container holding the rendered preview
+ */
+const renderPreview = async (project) => {
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+  const root = createRoot(container);
+  roots.push(root);
+  await act(async () => root.render(
+    <MemoryRouter>
+      <LocaleProvider>
+        <LivePreview url={project.live} title={project.title} image={project.image} isEmbeddable={project.preview} />
+      </LocaleProvider>
+    </MemoryRouter>
+  ));
+  return container;
+};
+
+describe('LivePreview', () => {
+  beforeEach(() => {
+    vi.stubGlobal('ResizeObserver', class {
+      observe() {}
+      disconnect() {}
+    });
+  });
+
+  afterEach(() => {
+    act(() => roots.splice(0).forEach(root => root.unmount()));
+    vi.unstubAllGlobals();
+    document.body.innerHTML = '';
+  });
+
+  it('is offered for at least one project', () => {
+    expect(previewProjects.length).toBeGreaterThan(0);
+  });
+
+  it.each(previewProjects.map(project => [project.title, project]))('embeds %s in a sandboxed frame on request', async (title, project) => {
+    const container = await renderPreview(project);
+    expect(container.querySelector('iframe')).toBeNull();
+
+    await act(async () => container.querySelector('button').click());
+
+    const frame = container.querySelector('iframe');
+    expect(frame.getAttribute('src')).toBe(project.live);
+    expect(frame.getAttribute('sandbox')).toContain('allow-scripts');
+    expect(container.querySelectorAll('[aria-pressed]')).toHaveLength(3);
+  });
+
+  it('shows only the screenshot and a link for sites not known to allow framing', async () => {
+    const container = await renderPreview({ ...liveProjects[0], preview: false });
+
+    expect(container.querySelector('iframe')).toBeNull();
+    expect(container.querySelector('button')).toBeNull();
+    expect(container.querySelector(`a[href="${liveProjects[0].live}"]`)).not.toBeNull();
+  });
+});
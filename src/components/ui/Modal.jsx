@@ -0,0 +1,83 @@
+/**
+ * Accessible modal dialog
+ *
+ * Renders its content above the page in a portal with a dimmed backdrop.
+ * Follows the WAI-ARIA dialog pattern through useDialog: the dialog is
+ * labelled by its title, focus stays inside it while open, Escape or a
+ * click on the backdrop closes it, and focus returns to the element that
+ * opened it.
+ *
+ * Renders nothing while closed, so it is safe in prerendered pages.
+ *
+ * @author Walter Magill
+ */
+
+import { useId } from 'react';
+import { createPortal } from 'react-dom';
+import { AnimatePresence, motion } from 'framer-motion';
+import { X } from 'lucide-react';
+import { useDialog } from '../../hooks/useDialog';
+import { useLocale } from '../../hooks/useLocale';
+
+/**
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the dialog is shown
+ * @param {Function} props.onClose - Called when the visitor dismisses the dialog
+ * @param {string} props.title - Dialog heading, also its accessible name
+ * @param {string} [props.className] - Additional classes for the dialog panel
+ * @param {React.ReactNode} props.children - Dialog content
+ * @returns {JSX.Element|null} Dialog portal, or null while closed
+ */
+const Modal = ({ isOpen, onClose, title, className = '', children }) => {
+  const { t } = useLocale();
+  const titleId = useId();
+  const panelRef = useDialog(isOpen, onClose);
+
+  if (typeof document === 'undefined') return null;
+
+  return createPortal(
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          transition={{ duration: 0.2 }}
+          className="fixed inset-0 z-[100] flex items-center justify-center p-4 bg-black/60 backdrop-blur-sm print:hidden"
+          onClick={(event) => event.target === event.currentTarget && onClose()}
+        >
+          <motion.div
+            ref={panelRef}
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby={titleId}
+            tabIndex={-1}
+            initial={{ opacity: 0, scale: 0.95 }}
+            animate={{ opacity: 1, scale: 1 }}
+            exit={{ opacity: 0, scale: 0.95 }}
+            transition={{ duration: 0.2 }}
+            className={`relative w-full max-w-md max-h-full overflow-y-auto bg-white dark:bg-gray-800 rounded-lg shadow-xl p-6 focus:outline-none ${className}`}
+          >
+            <div className="flex items-start justify-between gap-4 mb-4">
+              <h2 id={titleId} className="text-xl font-semibold text-gray-900 dark:text-white">
+                {title}
+              </h2>
+              <button
+                type="button"
+                onClick={onClose}
+                className="p-1 rounded-full text-gray-500 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-blue-400"
+                aria-label={t('modal.close')}
+              >
+                <X className="w-5 h-5" aria-hidden="true" />
+              </button>
+            </div>
+            {children}
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>,
+    document.body
+  );
+};
+
+export default Modal;
@@ -0,0 +1,109 @@
+/**
+ * Responsive image with modern formats and a blurred placeholder
+ *
+ * Renders an image set from the responsive image pipeline (plugins/images.js)
+ * as a <picture>: browsers take AVIF or WebP when they support it, and the
+ * smallest width that fills the slot described by `sizes`. The intrinsic
+ * width and height reserve the image's space before it loads, and a
+ * blurred copy of its tiny placeholder fills that space in the meantime.
+ * When the image fails to load, the `fallback` element takes its place.
+ *
+ * The <picture> uses `display: contents`, so the image lays out exactly as
+ * a bare <img> would and keeps sizing classes such as `h-full`.
+ *
+ * @author Walter Magill
+ */
+
+import { useEffect, useRef, useState } from 'react';
+
+// Blur applied to the placeholder, in pixels of the full-size image
+const PLACEHOLDER_BLUR = 20;
+
+/**
+ * Builds a CSS background that shows the placeholder blurred
+ * The blur runs inside an SVG so it stays within the image's edges
+ *
+ * @param {Object} image - Image set from the pipeline
+ * @returns {string} CSS background-image value
+ */
+const getPlaceholderBackground = ({ width, height, placeholder }) => {
+  const svg = `<svg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 ${width} ${height}'>`
+    + `<filter id='b' color-interpolation-filters='sRGB'><feGaussianBlur stdDeviation='${PLACEHOLDER_BLUR}'/>`
+    + `<feComponentTransfer><feFuncA type='discrete' tableValues='1 1'/></feComponentTransfer></filter>`
+    + `<image width='100%' height='100%' preserveAspectRatio='none' filter='url(#b)' href='${placeholder}'/></svg>`;
+  return `url("data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}")`;
+};
+
+/**
+ * @param {Object} props - Component props
+ * @param {Object} props.image - Image set imported with `?responsive`
+ * @param {string} props.alt - Alternative text; empty for decorative images
+ * @param {string} [props.sizes='100vw'] - Rendered width at each viewport, as in the `sizes` attribute
+ * @param {React.ElementType} [props.as='img'] - Element rendered for the image, such as motion.img
+ * @param {string} [props.loading='lazy'] - "lazy", or "eager" for images visible on load
+ * @param {React.ReactNode} [props.fallback] - Shown instead when the image fails to load
+ * @param {string} [props.className] - Classes for the image element
+ * @param {Object} [props.style] - Inline styles for the image element
+ * @param {Function} [props.onLoad] - Called with the load event once the image has loaded
+ * @returns {JSX.Element} Responsive picture, or the fallback after an error
+ * @usage <OptimizedImage image={headshot} alt="Portrait" sizes="12rem" className="w-48 h-60 object-cover" />
+ */
+const OptimizedImage = ({
+  image,
+  alt,
+  sizes = '100vw',
+  as = 'img',
+  loading = 'lazy',
+  fallback = null,
+  className = '',
+  style,
+  onLoad,
+  ...props
+}) => {
+  const ImageElement = as;
+  const imageRef = useRef(null);
+  const [status, setStatus] = useState('loading');
+
+  // A prerendered image can finish loading before hydration, when React
+  // is not yet listening for its load event
+  useEffect(() => {
+    const element = imageRef.current;
+    if (element?.complete && element.naturalWidth > 0) setStatus('loaded');
+  }, []);
+
+  if (status === 'error' && fallback) return fallback;
+
+  return (
+    <picture className="contents">
+      {image.sources.map(source => (
+        <source key={source.type} type={source.type} srcSet={source.srcSet} sizes={sizes} />
+      ))}
+      <ImageElement
+        {...props}
+        ref={imageRef}
+        src={image.src}
+        srcSet={image.srcSet}
+        sizes={sizes}
+        width={image.width}
+        height={image.height}
+        alt={alt}
+        loading={loading}
+        decoding="async"
+        onLoad={(event) => {
+          setStatus('loaded');
+          onLoad?.(event);
+        }}
+        onError={() => {
+          console.warn(`Image failed to load: ${image.src}`);
+          setStatus('error');
+        }}
+        className={className}
+        style={status === 'loaded'
+          ? style
+          : { ...style, backgroundImage: getPlaceholderBackground(image), backgroundSize: 'cover', backgroundPosition: 'center' }}
+      />
+    </picture>
+  );
+};
+
+export default OptimizedImage;
@@ -0,0 +1,14 @@
+/**
+ * Content context definition for portfolio data access
+ * 
+ * Creates a React context that carries the content store (projects,
+ * experience, community, tech stack, about) to every section and page.
+ * Reading content through context rather than module imports keeps the
+ * content source swappable in one place.
+ * 
+ * @author Walter Magill
+ */
+
+import { createContext } from 'react';
+
+export const ContentContext = createContext();
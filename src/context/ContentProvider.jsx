@@ -0,0 +1,62 @@
+/**
+ * Content provider supplying the content store to the component tree
+ *
+ * Defaults to the store built from the content/ directory in the active
+ * locale, so every section renders translated copy on localized routes.
+ * Passing a different store (for example one built by createContentStore
+ * from another source) changes the content every section renders without
+ * touching the components.
+ *
+ * A ?for= query parameter such as /?for=fintech tailors the store to a
+ * résumé variant (see src/utils/variants.js). The variant stays active
+ * while visitors move around the site, until a link sets ?for= again or
+ * navigates with `state: { clearVariant: true }`; an empty or unknown value
+ * returns to the full content.
+ *
+ * @author Walter Magill
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { ContentContext } from './ContentContext';
+import { getContent } from '../utils/contentStore';
+import { VARIANT_CONFIG, applyVariant, isVariant } from '../utils/variants';
+import { useLocale } from '../hooks/useLocale';
+
+/**
+ * @param {Object} props - Component props
+ * @param {Object} [props.content] - Content store; defaults to the store for the active locale
+ * @param {React.ReactNode} props.children - Application tree; must render inside a router
+ * @returns {JSX.Element} Content context provider
+ */
+export const ContentProvider = ({ content, children }) => {
+  const { locale } = useLocale();
+  const { search, state } = useLocation();
+
+  // Prerendered pages never carry a query string, so every render path starts
+  // without a variant and the one in the URL is applied after mount
+  const [variant, setVariant] = useState(null);
+
+  useEffect(() => {
+    const params = new URLSearchParams(search);
+    if (state?.clearVariant) {
+      setVariant(null);
+      return;
+    }
+    if (!params.has(VARIANT_CONFIG.QUERY_PARAM)) return;
+
+    const key = params.get(VARIANT_CONFIG.QUERY_PARAM);
+    if (import.meta.env.DEV && key && !isVariant(key)) {
+      console.warn(`[variants] Unknown variant "${key}"; showing all content`);
+    }
+    setVariant(isVariant(key) ? key : null);
+  }, [search, state]);
+
+  const value = useMemo(() => applyVariant(content || getContent(locale), variant), [content, locale, variant]);
+
+  return (
+    <ContentContext.Provider value={value}>
+      {children}
+    </ContentContext.Provider>
+  );
+};
@@ -0,0 +1,14 @@
+/**
+ * Document head context definition for per-route metadata
+ * 
+ * Creates a React context through which pages describe their document head
+ * (title, description, canonical URL, social tags). On the server the
+ * provider collects the active page's head for the prerender step; in the
+ * browser pages apply their head directly to the document.
+ * 
+ * @author Walter Magill
+ */
+
+import { createContext } from 'react';
+
+export const HeadContext = createContext();
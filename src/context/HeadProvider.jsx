@@ -0,0 +1,27 @@
+/**
+ * Document head provider for client and server rendering
+ * 
+ * Supplies the head context consumed by the useDocumentHead hook. During
+ * build-time prerendering a collector object is passed in, and the page
+ * rendered for the current route records its head on it so the prerender
+ * step can serialize the tags into static HTML. In the browser no collector
+ * is needed; the hook updates document.head itself.
+ * 
+ * @author Walter Magill
+ */
+
+import { HeadContext } from './HeadContext';
+
+/**
+ * @param {Object} props - Component props
+ * @param {Object} [props.collector] - Server-only object that receives `head` for the rendered page
+ * @param {React.ReactNode} props.children - Application tree
+ * @returns {JSX.Element} Head context provider
+ */
+export const HeadProvider = ({ collector = null, children }) => {
+  return (
+    <HeadContext.Provider value={{ collector }}>
+      {children}
+    </HeadContext.Provider>
+  );
+};
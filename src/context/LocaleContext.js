@@ -0,0 +1,14 @@
+/**
+ * Locale context definition for language-aware rendering
+ * 
+ * Creates a React context that carries the active locale, its translation
+ * function, and locale-aware path and date helpers to every component.
+ * The locale itself comes from the URL prefix, so links and prerendered
+ * pages always agree on the language being shown.
+ * 
+ * @author Walter Magill
+ */
+
+import { createContext } from 'react';
+
+export const LocaleContext = createContext();
@@ -0,0 +1,99 @@
+/**
+ * Locale provider component with URL-driven language selection
+ *
+ * Derives the active locale from the URL prefix (/es/... for Spanish,
+ * unprefixed for English) and supplies translations and locale-aware
+ * helpers to the component tree. Switching languages navigates to the same
+ * page in the other locale and remembers the choice in localStorage, which
+ * the inline script in index.html reads to send returning visitors to
+ * their language before first paint.
+ *
+ * Features message catalogs with English fallback, Intl-based period,
+ * date, and relative date formatting, a synchronized <html lang> attribute,
+ * and server-rendering safety for the build-time prerender step.
+ *
+ * @author Walter Magill
+ */
+
+import { useCallback, useEffect, useMemo } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { LocaleContext } from './LocaleContext';
+import {
+  LOCALE_CONFIG,
+  createTranslator,
+  getLocaleFromPath,
+  isSupportedLocale,
+  localizePath,
+  stripLocalePrefix
+} from '../utils/i18n';
+import { formatPeriod, formatPeriodWithDuration, formatRelativeDate } from '../utils/dates';
+import { formatPostDate } from '../utils/blogData';
+
+/**
+ * Builds the translation and formatting helpers for a locale
+ *
+ * @param {string} locale - Locale code
+ * @returns {Object} Helpers shared by every component rendering in that locale
+ */
+const createLocaleHelpers = (locale) => {
+  const t = createTranslator(locale);
+  const dateOptions = {
+    locale: LOCALE_CONFIG.LOCALES[locale].intl,
+    presentLabel: t('dates.present'),
+    units: t('dates.units')
+  };
+
+  return {
+    t,
+    localizePath: (path) => localizePath(path, locale),
+    formatPeriod: (period) => formatPeriod(period, dateOptions),
+    formatPeriodWithDuration: (period) => formatPeriodWithDuration(period, dateOptions),
+    formatDate: (date) => formatPostDate(date, dateOptions.locale),
+    formatRelativeDate: (date, now) => formatRelativeDate(date, { locale: dateOptions.locale, now })
+  };
+};
+
+/**
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Application tree; must render inside a router
+ * @returns {JSX.Element} Locale context provider
+ */
+export const LocaleProvider = ({ children }) => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const locale = getLocaleFromPath(location.pathname);
+
+  const helpers = useMemo(() => createLocaleHelpers(locale), [locale]);
+
+  // Keep <html lang> in step for screen readers and hyphenation; the
+  // prerender step writes the same value into each static page
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  /**
+   * Switches to another locale on the current page and remembers the choice
+   *
+   * @param {string} nextLocale - Locale code to switch to
+   */
+  const setLocale = useCallback((nextLocale) => {
+    if (!isSupportedLocale(nextLocale)) return;
+
+    try {
+      localStorage.setItem(LOCALE_CONFIG.STORAGE_KEY, nextLocale);
+    } catch {
+      // Storage may be unavailable (private mode); the URL still carries the locale
+    }
+
+    const path = localizePath(stripLocalePrefix(location.pathname), nextLocale);
+    navigate(`${path}${location.search}${location.hash}`);
+  }, [location.pathname, location.search, location.hash, navigate]);
+
+  const value = useMemo(() => ({ locale, setLocale, ...helpers }), [locale, setLocale, helpers]);
+
+  return (
+    <LocaleContext.Provider value={value}>
+      {children}
+    </LocaleContext.Provider>
+  );
+};
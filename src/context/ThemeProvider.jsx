@@ -7,7 +7,8 @@
  * and CSS class manipulation for modern web applications.
  * 
  * Features automatic OS-level dark mode detection, cross-session persistence,
- * and dynamic CSS class management for optimal user experience.
+ * dynamic CSS class management, and server-rendering safety for the
+ * build-time prerender step.
  * 
  * @author Walter Magill
  */
@@ -15,28 +16,52 @@
 import { useEffect, useState } from 'react';
 import { ThemeContext } from './ThemeContext';
 
+/**
+ * Reads the stored theme, falling back to the operating system preference
+ * Mirrors the inline script in index.html that applies the class before first paint
+ * 
+ * @returns {boolean} True when the dark theme should be active
+ */
+const getPreferredTheme = () => {
+  let saved = null;
+  try {
+    saved = localStorage.getItem('theme');
+  } catch {
+    // Storage may be unavailable (private mode, sandboxed frames); use the system preference
+  }
+  return saved
+    ? saved === 'dark'
+    : window.matchMedia('(prefers-color-scheme: dark)').matches;
+};
+
 export const ThemeProvider = ({ children }) => {
-  // Lazy initialization with system preference detection and localStorage fallback
-  // This pattern prevents hydration mismatches in SSR environments
-  const [isDark, setIsDark] = useState(() => {
-    const saved = localStorage.getItem('theme');
-    return saved
-      ? saved === 'dark'
-      : window.matchMedia('(prefers-color-scheme: dark)').matches;
-  });
+  // Start from the light theme on every render path so prerendered markup and the
+  // first client render agree; the real preference is resolved after mount.
+  // The inline script in index.html has already applied the class, so there is no flash.
+  const [isDark, setIsDark] = useState(false);
+  const [isResolved, setIsResolved] = useState(false);
+
+  // Resolve the stored or system preference once the browser APIs are available
+  useEffect(() => {
+    setIsDark(getPreferredTheme());
+    setIsResolved(true);
+  }, []);
 
   // Effect hook for DOM manipulation and localStorage synchronization
   // Manages global CSS classes and persistent storage for theme preference
+  // Skipped until resolved so the placeholder state never overwrites the saved theme
   useEffect(() => {
+    if (!isResolved) return;
+
     const root = window.document.documentElement;
-    if (isDark) {
-      root.classList.add('dark');
-      localStorage.setItem('theme', 'dark');
-    } else {
-      root.classList.remove('dark');
-      localStorage.setItem('theme', 'light');
+    root.classList.toggle('dark', isDark);
+
+    try {
+      localStorage.setItem('theme', isDark ? 'dark' : 'light');
+    } catch {
+      // Storage may be unavailable (private mode, sandboxed frames); the theme lasts for this visit
     }
-  }, [isDark]);
+  }, [isDark, isResolved]);
 
   // Theme toggle function with immediate state update
   // Provides controlled interface for theme switching from any component
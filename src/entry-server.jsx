@@ -0,0 +1,51 @@
+/**
+ * Server rendering entry point used by the build-time prerender step
+ * 
+ * Renders the application for a single URL to an HTML string using React's
+ * server renderer and a static router. Bundled by `vite build --ssr` so
+ * asset imports resolve exactly as they do in the client build.
+ * 
+ * @author Walter Magill
+ */
+
+import { StrictMode } from 'react';
+import { renderToString } from 'react-dom/server';
+import { StaticRouter } from 'react-router-dom';
+import App from './App.jsx';
+import { HeadProvider } from './context/HeadProvider';
+import { buildHead, renderHeadToString } from './utils/head';
+import { getLocaleFromPath } from './utils/i18n';
+
+// Route table, site configuration, and content for the build scripts in scripts/
+export { getStaticRoutes, getCanonicalRoutes } from './utils/routes';
+export { SITE_CONFIG } from './utils/constants';
+export { CONTENT } from './utils/contentStore';
+export { SHARE_IMAGE_CONFIG, getShareImagePath } from './utils/head';
+export { validateLocalizedContent, formatValidationReport } from './utils/contentSchema';
+export { LOCALES, LOCALE_CONFIG, findMissingTranslations } from './utils/i18n';
+export { RESUME_CONFIG, buildResume, buildJsonResume, getResumeFile, toDisplayUrl } from './utils/resume';
+export { VARIANTS, applyVariant } from './utils/variants';
+
+/**
+ * Renders the application markup and document head for a URL
+ * 
+ * @param {string} url - Absolute URL path to render, e.g. "/projects/4" or "/es/projects/4"
+ * @returns {Object} `html` for the #root container, `head` tags for <head>, and the page `lang`
+ */
+export const render = (url) => {
+  // Receives the head declared by the rendered page through useDocumentHead
+  const collector = {};
+
+  const html = renderToString(
+    <StrictMode>
+      <HeadProvider collector={collector}>
+        <StaticRouter location={url}>
+          <App />
+        </StaticRouter>
+      </HeadProvider>
+    </StrictMode>
+  );
+
+  const head = collector.head || buildHead({ canonicalPath: url });
+  return { html, head: renderHeadToString(head), lang: getLocaleFromPath(url) };
+};
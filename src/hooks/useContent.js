@@ -0,0 +1,27 @@
+/**
+ * Custom hook for reading the content store
+ * 
+ * Returns the immutable, pre-sorted content collections from the nearest
+ * ContentProvider. Pair with the memoized selectors in contentSelectors.js
+ * for derived views such as featured projects or totals.
+ * 
+ * @author Walter Magill
+ */
+
+import { useContext } from 'react';
+import { ContentContext } from '../context/ContentContext';
+
+/**
+ * @returns {Object} Content store with `projects`, `experience`, `community`, `techStack`, and `about`
+ * @usage const { projects } = useContent(); const project = projects.getById(id);
+ */
+export const useContent = () => {
+  const context = useContext(ContentContext);
+
+  // Context validation with descriptive error for debugging
+  if (!context) {
+    throw new Error('useContent must be used within a ContentProvider');
+  }
+
+  return context;
+};
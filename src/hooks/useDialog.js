@@ -0,0 +1,80 @@
+/**
+ * Custom hook for modal dialog behavior
+ *
+ * Gives any overlay the keyboard and focus handling of the WAI-ARIA dialog
+ * pattern: focus moves into the panel on open, Tab and Shift+Tab stay
+ * inside it, Escape closes it, and focus returns to the element that
+ * opened it. The page behind it does not scroll while open.
+ *
+ * Shared by Modal and Lightbox so both behave the same way.
+ *
+ * @author Walter Magill
+ */
+
+import { useEffect, useRef } from 'react';
+
+// Elements that can receive keyboard focus inside the dialog
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * @param {boolean} isOpen - Whether the dialog is shown
+ * @param {Function} onClose - Called when the visitor presses Escape
+ * @returns {React.RefObject} Ref to attach to the dialog panel
+ * @usage const panelRef = useDialog(isOpen, onClose);
+ */
+export const useDialog = (isOpen, onClose) => {
+  const panelRef = useRef(null);
+  const onCloseRef = useRef(onClose);
+
+  // Keep the latest handler without re-running the open/close effect
+  useEffect(() => {
+    onCloseRef.current = onClose;
+  }, [onClose]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const opener = document.activeElement;
+    const { overflow } = document.body.style;
+    document.body.style.overflow = 'hidden';
+    panelRef.current?.focus();
+
+    /**
+     * Closes on Escape and keeps Tab focus cycling inside the dialog
+     *
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        onCloseRef.current();
+        return;
+      }
+      if (event.key !== 'Tab' || !panelRef.current) return;
+
+      const focusable = [...panelRef.current.querySelectorAll(FOCUSABLE_SELECTOR)];
+      if (focusable.length === 0) {
+        event.preventDefault();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (event.shiftKey && (document.activeElement === first || document.activeElement === panelRef.current)) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      document.body.style.overflow = overflow;
+      opener?.focus?.();
+    };
+  }, [isOpen]);
+
+  return panelRef;
+};
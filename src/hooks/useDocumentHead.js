@@ -0,0 +1,127 @@
+/**
+ * Custom hook for per-route document head management
+ * 
+ * Lets any page declare its title, description, canonical URL, share image,
+ * and related social tags. Paths are given without a locale prefix; the
+ * hook points the canonical URL at the active locale's version of the page
+ * and links every translation with hreflang alternates. In the browser the tags are written to
+ * document.head whenever the page or its options change; during server
+ * rendering they are recorded on the HeadProvider collector for the
+ * prerender step, since effects never run on the server.
+ * 
+ * @author Walter Magill
+ */
+
+import { useContext, useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
+import { HeadContext } from '../context/HeadContext';
+import { buildHead } from '../utils/head';
+import { LOCALES, LOCALE_CONFIG, localizePath, stripLocalePrefix } from '../utils/i18n';
+import { useLocale } from './useLocale';
+
+/**
+ * Builds a CSS selector that identifies an equivalent existing tag
+ * 
+ * @param {Object} tag - Tag descriptor ({ tag, attrs })
+ * @returns {string} Selector matching the tag by name/property/rel/type, hreflang, and media
+ */
+const getTagSelector = ({ tag, attrs }) => {
+  const identity = attrs.rel
+    ? `[rel="${attrs.rel}"]${attrs.hreflang ? `[hreflang="${attrs.hreflang}"]` : ''}`
+    : attrs.property
+      ? `[property="${attrs.property}"]`
+      : attrs.name
+        ? `[name="${attrs.name}"]`
+        : `[type="${attrs.type}"]`;
+  const media = attrs.media ? `[media="${attrs.media}"]` : ':not([media])';
+  return `${tag}${identity}${media}`;
+};
+
+/**
+ * Applies a head object to the live document
+ * Updates matching tags in place, creates missing ones, and removes managed
+ * tags the new page no longer declares (e.g. noindex after leaving a 404)
+ * 
+ * @param {Object} head - Head object from buildHead
+ */
+const applyHead = (head) => {
+  document.title = head.title;
+  const activeElements = new Set();
+
+  head.tags.forEach((descriptor) => {
+    let element = document.head.querySelector(getTagSelector(descriptor));
+    if (!element) {
+      element = document.createElement(descriptor.tag);
+      document.head.appendChild(element);
+    }
+
+    Object.entries(descriptor.attrs).forEach(([name, value]) => {
+      element.setAttribute(name, value);
+    });
+    if (descriptor.content !== undefined && element.textContent !== descriptor.content) {
+      element.textContent = descriptor.content;
+    }
+    element.setAttribute('data-head', '');
+    activeElements.add(element);
+  });
+
+  document.head.querySelectorAll('[data-head]').forEach((element) => {
+    if (!activeElements.has(element)) {
+      element.remove();
+    }
+  });
+};
+
+/**
+ * Builds hreflang alternates for every locale, plus x-default for the default locale
+ * 
+ * @param {string} path - Unprefixed page path
+ * @returns {Array<Object>} Alternates as `{ hreflang, path }`
+ */
+const getAlternates = (path) => [
+  ...LOCALES.map(locale => ({ hreflang: locale, path: localizePath(path, locale) })),
+  { hreflang: 'x-default', path: localizePath(path, LOCALE_CONFIG.DEFAULT) }
+];
+
+/**
+ * Declares the document head for the current page
+ * 
+ * @param {Object} options - Head options accepted by buildHead; `canonicalPath` is
+ *   unprefixed and defaults to the current URL path, and `description` defaults to
+ *   the translated site description
+ * @param {boolean} [options.localized=true] - Whether the page content is translated;
+ *   untranslated pages (blog posts) are canonical in the default locale and list no alternates
+ * @usage useDocumentHead({ title: project.title, description: project.description, image: project.image });
+ */
+export const useDocumentHead = ({ localized = true, ...options }) => {
+  const context = useContext(HeadContext);
+  const location = useLocation();
+  const { locale, t } = useLocale();
+
+  // Context validation with descriptive error for debugging
+  if (!context) {
+    throw new Error('useDocumentHead must be used within a HeadProvider');
+  }
+
+  const path = options.canonicalPath || stripLocalePrefix(location.pathname);
+  const contentLocale = localized ? locale : LOCALE_CONFIG.DEFAULT;
+  const head = buildHead({
+    description: t('site.description'),
+    ...options,
+    canonicalPath: localizePath(path, contentLocale),
+    alternates: localized ? getAlternates(path) : [],
+    ogLocale: LOCALE_CONFIG.LOCALES[contentLocale].ogLocale
+  });
+
+  // Server rendering: record synchronously, the last page-level call wins
+  if (context.collector) {
+    context.collector.head = head;
+  }
+
+  // Serialized so the effect only re-runs when the resulting tags change
+  const headKey = JSON.stringify(head);
+
+  useEffect(() => {
+    applyHead(JSON.parse(headKey));
+  }, [headKey]);
+};
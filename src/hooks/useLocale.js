@@ -0,0 +1,29 @@
+/**
+ * Custom hook for reading the active locale and translations
+ * 
+ * Returns the locale from the nearest LocaleProvider together with the
+ * `t` translation function, `localizePath` for building links that stay
+ * in the current language, date formatters for periods, durations, and
+ * relative dates, and `setLocale` for switching languages.
+ * 
+ * @author Walter Magill
+ */
+
+import { useContext } from 'react';
+import { LocaleContext } from '../context/LocaleContext';
+
+/**
+ * @returns {Object} Locale context with `locale`, `t`, `localizePath`, `formatPeriod`,
+ *   `formatPeriodWithDuration`, `formatDate`, `formatRelativeDate`, and `setLocale`
+ * @usage const { t, localizePath } = useLocale(); <Link to={localizePath('/blog')}>{t('nav.blog')}</Link>
+ */
+export const useLocale = () => {
+  const context = useContext(LocaleContext);
+
+  // Context validation with descriptive error for debugging
+  if (!context) {
+    throw new Error('useLocale must be used within a LocaleProvider');
+  }
+
+  return context;
+};
@@ -0,0 +1,206 @@
+/**
+ * Section-aware routing hook that keeps the URL and scroll position in sync
+ *
+ * Bridges the single-page layout with real URLs driven by the NAVIGATION
+ * configuration. Visiting a section path such as /experience scrolls to that
+ * section, scrolling through the page updates the URL to the section in view,
+ * and browser back/forward restores the scroll position of each history entry.
+ * Section URLs keep the active locale prefix and query string, so
+ * /es/about?for=data scrolls on to /es/projects?for=data rather than /projects.
+ *
+ * Demonstrates coordination between React Router navigation state,
+ * scroll events, and sessionStorage-backed scroll restoration.
+ *
+ * @author Walter Magill
+ */
+
+import { useCallback, useEffect, useRef } from 'react';
+import { useLocation, useNavigate, useNavigationType } from 'react-router-dom';
+import { SECTION_NAVIGATION, getSectionByPath } from '../utils/constants';
+import { useLocale } from './useLocale';
+
+// Scroll syncing configuration
+const SCROLL_CONFIG = {
+  STORAGE_KEY: 'scroll-positions',
+  ACTIVE_OFFSET: 120,     // px below the viewport top where a section counts as active
+  SETTLE_DELAY: 150       // ms without scroll events before programmatic scrolling is done
+};
+
+/**
+ * Reads saved scroll positions from sessionStorage
+ *
+ * @returns {Object} Map of history entry keys to vertical scroll offsets
+ */
+const loadScrollPositions = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(SCROLL_CONFIG.STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Determines which navigation section currently sits at the top of the viewport
+ *
+ * @returns {Object|null} Navigation item of the active section
+ */
+const findActiveSection = () => {
+  let activeItem = null;
+
+  SECTION_NAVIGATION.forEach((item) => {
+    const element = document.getElementById(item.sectionId);
+    if (element && element.getBoundingClientRect().top <= SCROLL_CONFIG.ACTIVE_OFFSET) {
+      activeItem = item;
+    }
+  });
+
+  return activeItem;
+};
+
+/**
+ * Keeps section routes, scroll position, and browser history in sync
+ *
+ * Behaviour by navigation type:
+ * - PUSH/REPLACE to a section path: smooth scrolls to that section
+ * - Any navigation with a URL hash: jumps to the element with that id
+ * - PUSH/REPLACE to any other path: scrolls to the top of the page
+ * - POP (back/forward or reload): restores the saved scroll position
+ * - Initial load of a section path: jumps straight to the section
+ *
+ * URL updates caused by scrolling use history replacement so reading the
+ * page top to bottom does not flood the back button with entries.
+ * Navigations that only change page state, such as the project filters
+ * writing their query parameters, pass `state: { preserveScroll: true }`
+ * to leave the scroll position alone.
+ */
+export const useSectionRouting = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const navigationType = useNavigationType();
+  const { localizePath } = useLocale();
+  const scrollPositions = useRef(null);
+  const currentKey = useRef(location.key);
+  const isInitialLoad = useRef(true);
+  const isProgrammaticScroll = useRef(false);
+  const settleTimeout = useRef(null);
+
+  if (scrollPositions.current === null) {
+    scrollPositions.current = typeof window === 'undefined' ? {} : loadScrollPositions();
+  }
+
+  /**
+   * Take over scroll restoration from the browser so it does not fight
+   * the section scrolling below
+   */
+  useEffect(() => {
+    if ('scrollRestoration' in window.history) {
+      window.history.scrollRestoration = 'manual';
+    }
+  }, []);
+
+  /**
+   * Suppresses URL syncing until the scroll started by a navigation settles
+   * Scroll events keep extending the timer while the smooth scroll runs
+   */
+  const beginProgrammaticScroll = useCallback(() => {
+    isProgrammaticScroll.current = true;
+    clearTimeout(settleTimeout.current);
+    settleTimeout.current = setTimeout(() => {
+      isProgrammaticScroll.current = false;
+    }, SCROLL_CONFIG.SETTLE_DELAY);
+  }, []);
+
+  /**
+   * Scroll to the section or saved position for each new history entry
+   */
+  useEffect(() => {
+    currentKey.current = location.key;
+    const isInitial = isInitialLoad.current;
+    isInitialLoad.current = false;
+
+    // URL was updated by scrolling or by page state; the page is already where it should be
+    if (!isInitial && (location.state?.fromScroll || location.state?.preserveScroll)) {
+      return;
+    }
+
+    const savedPosition = scrollPositions.current[location.key];
+    if (navigationType === 'POP' && savedPosition !== undefined) {
+      window.scrollTo(0, savedPosition);
+      return;
+    }
+
+    // In-page anchors such as blog table of contents links
+    if (location.hash) {
+      const target = document.getElementById(decodeURIComponent(location.hash.slice(1)));
+      if (target) {
+        target.scrollIntoView({ block: 'start' });
+        return;
+      }
+    }
+
+    const item = getSectionByPath(location.pathname);
+    const element = item && document.getElementById(item.sectionId);
+    if (!element) {
+      window.scrollTo(0, 0);
+      return;
+    }
+
+    beginProgrammaticScroll();
+    element.scrollIntoView({ behavior: isInitial ? 'auto' : 'smooth', block: 'start' });
+  }, [location.key, location.pathname, location.hash, location.state, navigationType, beginProgrammaticScroll]);
+
+  /**
+   * Record scroll positions and reflect the visible section in the URL
+   */
+  useEffect(() => {
+    let frame = null;
+
+    const syncScroll = () => {
+      frame = null;
+      scrollPositions.current[currentKey.current] = window.scrollY;
+
+      try {
+        sessionStorage.setItem(SCROLL_CONFIG.STORAGE_KEY, JSON.stringify(scrollPositions.current));
+      } catch {
+        // Storage may be unavailable (private mode); restoration is best-effort
+      }
+
+      // Leave the URL alone while a navigation-triggered smooth scroll is running
+      if (isProgrammaticScroll.current || !getSectionByPath(location.pathname)) {
+        return;
+      }
+
+      const activeItem = findActiveSection() || SECTION_NAVIGATION[0];
+      const activePath = localizePath(activeItem.href);
+      if (activePath !== location.pathname) {
+        navigate(`${activePath}${location.search}`, { replace: true, state: { fromScroll: true } });
+      }
+    };
+
+    const handleScroll = () => {
+      // Mark programmatic scrolling as finished once scroll events settle
+      if (isProgrammaticScroll.current) {
+        beginProgrammaticScroll();
+      }
+
+      if (frame === null) {
+        frame = requestAnimationFrame(syncScroll);
+      }
+    };
+
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      if (frame !== null) {
+        cancelAnimationFrame(frame);
+      }
+    };
+  }, [location.pathname, location.search, navigate, localizePath, beginProgrammaticScroll]);
+
+  /**
+   * Clear any pending settle timer on unmount
+   */
+  useEffect(() => {
+    return () => clearTimeout(settleTimeout.current);
+  }, []);
+};
@@ -1,27 +1,66 @@
 /**
  * Application entry point with React 18 root configuration
  * 
- * Modern React application bootstrap utilizing React 18's new root API
+ * Modern React application bootstrap utilizing React 18's root API
  * for optimal performance, concurrent features, and development tooling
- * integration. Demonstrates production-ready setup patterns for
- * professional web applications.
+ * integration. Hydrates the static HTML produced by the build-time
+ * prerender step, or renders from scratch when the page was served
+ * without it (development server and SPA fallback).
  * 
- * Features React 18 root API, StrictMode integration, CSS-in-JS readiness,
+ * Features React 18 root API, StrictMode integration, browser routing,
  * and performance optimization through concurrent rendering capabilities.
  * 
  * @author Walter Magill
  */
 
 import { StrictMode } from 'react';
-import { createRoot } from 'react-dom/client';
+import { createRoot, hydrateRoot } from 'react-dom/client';
+import { BrowserRouter } from 'react-router-dom';
 import { Analytics } from '@vercel/analytics/react';
 import './styles/globals.css';
 import App from './App.jsx';
+import { HeadProvider } from './context/HeadProvider';
 
-// React 18 root creation with StrictMode for development safety and performance insights
-createRoot(document.getElementById('root')).render(
+const container = document.getElementById('root');
+
+// Report content problems (translations included) in development, again after
+// each content edit; production builds are validated by
+// scripts/validate-content.js before anything is bundled
+if (import.meta.env.DEV) {
+  const reportContentProblems = ({ validateLocalizedContent, formatValidationReport }) => {
+    const report = formatValidationReport(validateLocalizedContent());
+    if (report) console.error(report);
+  };
+
+  import('./utils/i18n').then(({ LOCALES, LOCALE_CONFIG, findMissingTranslations }) => {
+    LOCALES.filter(locale => locale !== LOCALE_CONFIG.DEFAULT).forEach((locale) => {
+      const missing = findMissingTranslations(locale);
+      if (missing.length > 0) console.warn(`[i18n] "${locale}" catalog is missing: ${missing.join(', ')}`);
+    });
+  });
+
+  import('./utils/contentSchema').then(reportContentProblems);
+  import.meta.hot?.accept('./utils/contentSchema', (module) => {
+    if (module) reportContentProblems(module);
+  });
+}
+
+// StrictMode for development safety; the head provider and router wrap App so the
+// server entry can swap in a head collector and a static router
+const app = (
   <StrictMode>
-    <App />
+    <HeadProvider>
+      <BrowserRouter>
+        <App />
+      </BrowserRouter>
+    </HeadProvider>
     <Analytics />
   </StrictMode>
 );
+
+// Prerendered pages arrive with markup in #root and only need hydrating
+if (container.hasChildNodes()) {
+  hydrateRoot(container, app);
+} else {
+  createRoot(container).render(app);
+}
@@ -0,0 +1,149 @@
+/**
+ * Blog index page listing published writing
+ * 
+ * Presents every published markdown post as a card with title, date,
+ * reading time, summary, and tags. Tags double as filters through the
+ * `?tag=` query parameter so filtered views can be shared as links.
+ * 
+ * Features scroll-in animations, tag filtering, and an empty state for
+ * filters that match nothing.
+ * 
+ * @author Walter Magill
+ */
+
+import { motion } from 'framer-motion';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Calendar, Clock, Tag, X } from 'lucide-react';
+import { useDocumentHead } from '../hooks/useDocumentHead';
+import { useLocale } from '../hooks/useLocale';
+import { POSTS, getAllTags, getPostsByTag } from '../utils/blogData';
+
+// Animation configuration for consistent entrance timing
+const ANIMATION_CONFIG = {
+  CONTAINER_DURATION: 0.6,
+  ITEM_STAGGER_DELAY: 0.1,
+  EASING: "easeOut"
+};
+
+// Tag chip styling shared by the filter bar and post cards
+const TAG_STYLES = {
+  BASE: "inline-flex items-center gap-1 px-3 py-1 rounded-full text-xs font-medium transition-colors",
+  IDLE: "bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 hover:bg-blue-200 dark:hover:bg-blue-800",
+  ACTIVE: "bg-blue-600 text-white"
+};
+
+const BlogIndex = () => {
+  const [searchParams] = useSearchParams();
+  const activeTag = searchParams.get('tag');
+  const posts = activeTag ? getPostsByTag(activeTag) : POSTS;
+  const { t, localizePath, formatDate } = useLocale();
+
+  useDocumentHead({
+    title: t('blog.title'),
+    description: t('blog.description')
+  });
+
+  return (
+    <div className="section-padding">
+      <div className="container">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: ANIMATION_CONFIG.CONTAINER_DURATION }}
+          className="max-w-4xl mx-auto"
+        >
+          {/* Page Header */}
+          <header className="mb-12 text-center">
+            <h1 className="text-4xl md:text-5xl font-bold text-gray-900 dark:text-white mb-4">
+              {t('blog.title')}
+            </h1>
+            <p className="text-lg text-gray-600 dark:text-gray-300">
+              {t('blog.description')}
+            </p>
+          </header>
+
+          {/* Tag Filters */}
+          <nav className="flex flex-wrap justify-center gap-2 mb-12" aria-label={t('blog.filterLabel')}>
+            {getAllTags().map((tag) => (
+              <Link
+                key={tag}
+                to={localizePath(tag === activeTag ? '/blog' : `/blog?tag=${encodeURIComponent(tag)}`)}
+                className={`${TAG_STYLES.BASE} ${tag === activeTag ? TAG_STYLES.ACTIVE : TAG_STYLES.IDLE}`}
+                aria-pressed={tag === activeTag}
+              >
+                {tag}
+                {tag === activeTag && <X className="w-3 h-3" aria-hidden="true" />}
+              </Link>
+            ))}
+          </nav>
+
+          {/* Post List */}
+          {posts.length === 0 ? (
+            <p className="text-center text-gray-600 dark:text-gray-300">
+              {activeTag ? t('blog.emptyTagged', { tag: activeTag }) : t('blog.empty')}
+            </p>
+          ) : (
+            <div className="space-y-8">
+              {posts.map((post, index) => (
+                <motion.article
+                  key={post.slug}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{
+                    duration: ANIMATION_CONFIG.CONTAINER_DURATION,
+                    delay: index * ANIMATION_CONFIG.ITEM_STAGGER_DELAY,
+                    ease: ANIMATION_CONFIG.EASING
+                  }}
+                  className="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-lg hover:shadow-xl transition-shadow duration-300"
+                  aria-labelledby={`post-title-${post.slug}`}
+                >
+                  <h2 id={`post-title-${post.slug}`} className="text-2xl font-semibold text-gray-900 dark:text-white mb-2">
+                    <Link
+                      to={localizePath(`/blog/${post.slug}`)}
+                      className="hover:text-blue-600 dark:hover:text-blue-400 transition-colors"
+                    >
+                      {post.title}
+                    </Link>
+                    {post.draft && (
+                      <span className="ml-3 align-middle px-2 py-0.5 text-xs font-medium rounded bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200">
+                        {t('blog.draft')}
+                      </span>
+                    )}
+                  </h2>
+
+                  {/* Post Metadata */}
+                  <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600 dark:text-gray-300 mb-4">
+                    <span className="flex items-center gap-1">
+                      <Calendar className="w-4 h-4" aria-hidden="true" />
+                      <time dateTime={post.date}>{formatDate(post.date)}</time>
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <Clock className="w-4 h-4" aria-hidden="true" />
+                      {t('blog.readingTime', { count: post.readingTime })}
+                    </span>
+                  </div>
+
+                  <p className="text-gray-600 dark:text-gray-300 leading-relaxed mb-4">
+                    {post.summary}
+                  </p>
+
+                  {/* Post Tags */}
+                  <div className="flex flex-wrap gap-2" role="list" aria-label={t('blog.tagsLabel')}>
+                    {post.tags.map((tag) => (
+                      <span key={tag} className={`${TAG_STYLES.BASE} ${TAG_STYLES.IDLE}`} role="listitem">
+                        <Tag className="w-3 h-3" aria-hidden="true" />
+                        {tag}
+                      </span>
+                    ))}
+                  </div>
+                </motion.article>
+              ))}
+            </div>
+          )}
+        </motion.div>
+      </div>
+    </div>
+  );
+};
+
+export default BlogIndex;
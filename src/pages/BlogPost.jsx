@@ -0,0 +1,201 @@
+/**
+ * Individual blog post page with table of contents and post navigation
+ *
+ * Renders a markdown post compiled at build time by the markdown Vite
+ * plugin. Shows post metadata and reading time, a sticky table of
+ * contents on wide screens, syntax-highlighted code blocks, and links to
+ * the previous and next posts.
+ *
+ * Features typography styling that follows the active theme and a
+ * graceful not-found state for unknown slugs.
+ *
+ * @author Walter Magill
+ */
+
+import { motion } from 'framer-motion';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, ArrowRight, Calendar, Clock, FileX } from 'lucide-react';
+import { useDocumentHead } from '../hooks/useDocumentHead';
+import { useLocale } from '../hooks/useLocale';
+import { getAdjacentPosts, getPostBySlug } from '../utils/blogData';
+import 'highlight.js/styles/github-dark.css';
+
+// Animation configuration for consistent entrance timing
+const ANIMATION_CONFIG = {
+  CONTAINER_DURATION: 0.6,
+  TOC_DELAY: 0.3
+};
+
+// Shared link styling for the back navigation
+const BACK_LINK_CLASSES = "inline-flex items-center text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 mb-8";
+
+const BlogPost = () => {
+  const { slug } = useParams();
+  const post = getPostBySlug(slug);
+  const { t, localizePath, formatDate } = useLocale();
+
+  // Posts are written in English only, so every locale shares the English canonical URL
+  useDocumentHead(post
+    ? { title: post.title, description: post.summary, type: 'article', localized: false }
+    : { title: t('blog.notFoundTitle'), noindex: true }
+  );
+
+  if (!post) {
+    return <PostNotFound />;
+  }
+
+  const { previous, next } = getAdjacentPosts(post.slug);
+
+  return (
+    <div className="section-padding">
+      <div className="container">
+        <div className="max-w-6xl mx-auto lg:grid lg:grid-cols-[1fr_16rem] lg:gap-12">
+          <motion.article
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: ANIMATION_CONFIG.CONTAINER_DURATION }}
+            className="min-w-0"
+            aria-labelledby="post-title"
+          >
+            {/* Navigation back to the blog index */}
+            <Link to={localizePath('/blog')} className={BACK_LINK_CLASSES}>
+              <ArrowLeft className="w-4 h-4 mr-2" aria-hidden="true" />
+              {t('blog.allPosts')}
+            </Link>
+
+            {/* Post Header */}
+            <header className="mb-10">
+              <h1 id="post-title" className="text-4xl md:text-5xl font-bold text-gray-900 dark:text-white mb-4">
+                {post.title}
+              </h1>
+              <div className="flex flex-wrap items-center gap-4 text-sm text-gray-600 dark:text-gray-300">
+                <span className="flex items-center gap-1">
+                  <Calendar className="w-4 h-4" aria-hidden="true" />
+                  <time dateTime={post.date}>{formatDate(post.date)}</time>
+                </span>
+                <span className="flex items-center gap-1">
+                  <Clock className="w-4 h-4" aria-hidden="true" />
+                  {t('blog.readingTime', { count: post.readingTime })}
+                </span>
+                {post.tags.map((tag) => (
+                  <Link
+                    key={tag}
+                    to={localizePath(`/blog?tag=${encodeURIComponent(tag)}`)}
+                    className="px-3 py-1 bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 text-xs rounded-full font-medium hover:bg-blue-200 dark:hover:bg-blue-800"
+                  >
+                    {tag}
+                  </Link>
+                ))}
+              </div>
+            </header>
+
+            {/* Post Body - HTML generated at build time from trusted markdown */}
+            <div
+              className="prose prose-lg dark:prose-invert max-w-none prose-pre:p-0 prose-pre:bg-transparent prose-code:before:content-none prose-code:after:content-none"
+              dangerouslySetInnerHTML={{ __html: post.html }}
+            />
+
+            {/* Previous / Next Navigation */}
+            <nav
+              className="grid grid-cols-1 sm:grid-cols-2 gap-4 mt-16 pt-8 border-t border-gray-200 dark:border-gray-700"
+              aria-label={t('blog.morePosts')}
+            >
+              {previous ? (
+                <Link
+                  to={localizePath(`/blog/${previous.slug}`)}
+                  className="group p-4 rounded-lg bg-gray-50 dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                >
+                  <span className="flex items-center gap-1 text-sm text-gray-500 dark:text-gray-400 mb-1">
+                    <ArrowLeft className="w-4 h-4" aria-hidden="true" />
+                    {t('blog.previous')}
+                  </span>
+                  <span className="font-medium text-gray-900 dark:text-white group-hover:text-blue-600 dark:group-hover:text-blue-400">
+                    {previous.title}
+                  </span>
+                </Link>
+              ) : <div />}
+              {next && (
+                <Link
+                  to={localizePath(`/blog/${next.slug}`)}
+                  className="group p-4 rounded-lg bg-gray-50 dark:bg-gray-800 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors sm:text-right"
+                >
+                  <span className="flex items-center sm:justify-end gap-1 text-sm text-gray-500 dark:text-gray-400 mb-1">
+                    {t('blog.next')}
+                    <ArrowRight className="w-4 h-4" aria-hidden="true" />
+                  </span>
+                  <span className="font-medium text-gray-900 dark:text-white group-hover:text-blue-600 dark:group-hover:text-blue-400">
+                    {next.title}
+                  </span>
+                </Link>
+              )}
+            </nav>
+          </motion.article>
+
+          {/* Table of Contents */}
+          {post.toc.length > 0 && (
+            <motion.aside
+              initial={{ opacity: 0, x: 20 }}
+              animate={{ opacity: 1, x: 0 }}
+              transition={{ duration: ANIMATION_CONFIG.CONTAINER_DURATION, delay: ANIMATION_CONFIG.TOC_DELAY }}
+              className="hidden lg:block"
+            >
+              <nav className="sticky top-24" aria-label={t('blog.tocLabel')}>
+                <h2 className="text-sm font-semibold uppercase tracking-wide text-gray-900 dark:text-white mb-4">
+                  {t('blog.toc')}
+                </h2>
+                <ul className="space-y-2 text-sm">
+                  {post.toc.map((entry) => (
+                    <li key={entry.id} className={entry.depth === 3 ? 'pl-4' : ''}>
+                      <a
+                        href={`#${entry.id}`}
+                        className="text-gray-600 dark:text-gray-300 hover:text-blue-600 dark:hover:text-blue-400 transition-colors"
+                      >
+                        {entry.text}
+                      </a>
+                    </li>
+                  ))}
+                </ul>
+              </nav>
+            </motion.aside>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Not-found state for unknown post slugs
+ *
+ * @returns {JSX.Element} Not-found message with navigation back to the blog
+ */
+const PostNotFound = () => {
+  const { t, localizePath } = useLocale();
+
+  return (
+    <div className="section-padding">
+      <div className="container">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: ANIMATION_CONFIG.CONTAINER_DURATION }}
+          className="max-w-2xl mx-auto text-center"
+        >
+          <FileX className="w-12 h-12 mx-auto mb-6 text-gray-400" aria-hidden="true" />
+          <h1 className="text-4xl md:text-5xl font-bold text-gray-900 dark:text-white mb-6">
+            {t('blog.notFoundTitle')}
+          </h1>
+          <p className="text-gray-600 dark:text-gray-300 mb-8">
+            {t('blog.notFoundBody')}
+          </p>
+          <Link to={localizePath('/blog')} className={BACK_LINK_CLASSES}>
+            <ArrowLeft className="w-4 h-4 mr-2" aria-hidden="true" />
+            {t('blog.allPosts')}
+          </Link>
+        </motion.div>
+      </div>
+    </div>
+  );
+};
+
+export default BlogPost;
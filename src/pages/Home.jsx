@@ -12,6 +12,12 @@
  * @author Walter Magill
  */
 
+import { useLocation } from 'react-router-dom';
+import { useContent } from '../hooks/useContent';
+import { useDocumentHead } from '../hooks/useDocumentHead';
+import { useLocale } from '../hooks/useLocale';
+import { getSectionByPath } from '../utils/constants';
+import { buildHomeStructuredData } from '../utils/structuredData';
 import HeroSection from '../components/sections/HeroSection';
 import AboutSection from '../components/sections/AboutSection';
 import TechStackSection from '../components/sections/TechStackSection';
@@ -21,6 +27,19 @@ import CommunitySection from '../components/sections/CommunitySection';
 import ContactSection from '../components/sections/ContactSection';
 
 const Home = () => {
+  const location = useLocation();
+  const section = getSectionByPath(location.pathname);
+  const content = useContent();
+  const { t } = useLocale();
+
+  // Section routes are views of the same page: share its canonical URL but
+  // name the section in the title so shared links like /experience read well
+  useDocumentHead({
+    title: section && section.href !== '/' ? t(section.labelKey) : undefined,
+    canonicalPath: '/',
+    structuredData: buildHomeStructuredData(content)
+  });
+
   return (
     <div className="min-h-screen">
       <HeroSection />
@@ -0,0 +1,60 @@
+/**
+ * Not-found page for unknown URLs
+ *
+ * Rendered by the catch-all route for any path the route table does not
+ * declare, in whichever language the URL prefix selects, with a link back
+ * to the home page. The page asks search engines not to index it.
+ *
+ * @author Walter Magill
+ */
+
+import { motion } from 'framer-motion';
+import { Link, useLocation } from 'react-router-dom';
+import { ArrowLeft, SearchX } from 'lucide-react';
+import { useDocumentHead } from '../hooks/useDocumentHead';
+import { useLocale } from '../hooks/useLocale';
+
+// Animation configuration for consistent entrance timing
+const ANIMATION_CONFIG = {
+  CONTAINER_DURATION: 0.6
+};
+
+// Shared link styling for the navigation home
+const BACK_LINK_CLASSES = "inline-flex items-center text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 mb-8";
+
+/**
+ * @returns {JSX.Element} Not-found message with navigation back home
+ */
+const NotFound = () => {
+  const { pathname } = useLocation();
+  const { t, localizePath } = useLocale();
+
+  useDocumentHead({ title: t('notFound.title'), noindex: true });
+
+  return (
+    <div className="section-padding">
+      <div className="container">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: ANIMATION_CONFIG.CONTAINER_DURATION }}
+          className="max-w-2xl mx-auto text-center"
+        >
+          <SearchX className="w-12 h-12 mx-auto mb-6 text-gray-400" aria-hidden="true" />
+          <h1 className="text-4xl md:text-5xl font-bold text-gray-900 dark:text-white mb-6">
+            {t('notFound.title')}
+          </h1>
+          <p className="text-gray-600 dark:text-gray-300 mb-8">
+            {t('notFound.body', { path: pathname })}
+          </p>
+          <Link to={localizePath('/')} className={BACK_LINK_CLASSES}>
+            <ArrowLeft className="w-4 h-4 mr-2" aria-hidden="true" />
+            {t('notFound.home')}
+          </Link>
+        </motion.div>
+      </div>
+    </div>
+  );
+};
+
+export default NotFound;
@@ -0,0 +1,168 @@
+/**
+ * Print-optimized portfolio page
+ *
+ * Lays out the About, Experience, Projects, Tech Stack, and Community
+ * content from the content store as one compact document meant for paper
+ * or "Save as PDF". Unlike the home page it has no animations, canvas, or
+ * forms, so every section is fully rendered the moment the browser prints.
+ *
+ * The print stylesheet in globals.css does the rest: black on white, page
+ * break control, the site chrome hidden, and the URL written out after
+ * every external link. Project case study links are absolute so they stay
+ * useful on paper.
+ *
+ * @author Walter Magill
+ */
+
+import { Link } from 'react-router-dom';
+import { Printer, ArrowLeft } from 'lucide-react';
+import { useContent } from '../hooks/useContent';
+import { useDocumentHead } from '../hooks/useDocumentHead';
+import { useLocale } from '../hooks/useLocale';
+import { SITE_CONFIG } from '../utils/constants';
+import { toAbsoluteUrl } from '../utils/head';
+
+// Shared typography for the printed document
+const PRINT_STYLES = {
+  SECTION: "print-section mt-8 print:mt-5",
+  HEADING: "text-lg font-bold uppercase tracking-wide text-gray-900 dark:text-white border-b border-gray-300 dark:border-gray-600 pb-1 mb-3",
+  ENTRY: "print-entry mb-4 print:mb-3",
+  ENTRY_TITLE: "font-semibold text-gray-900 dark:text-white",
+  META: "text-sm text-gray-600 dark:text-gray-400",
+  BODY: "text-sm text-gray-700 dark:text-gray-300 leading-relaxed",
+  LINK: "text-blue-600 dark:text-blue-400 hover:underline"
+};
+
+/**
+ * Section of the printed document with a ruled heading
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.title - Section heading
+ * @param {React.ReactNode} props.children - Section entries
+ * @returns {JSX.Element} Printable section
+ */
+const PrintSection = ({ title, children }) => (
+  <section className={PRINT_STYLES.SECTION}>
+    <h2 className={PRINT_STYLES.HEADING}>{title}</h2>
+    {children}
+  </section>
+);
+
+/**
+ * Printable portfolio page
+ *
+ * @returns {JSX.Element} Compact document of the portfolio content
+ */
+const Print = () => {
+  const { about, experience, projects, techStack, community } = useContent();
+  const { t, localizePath, formatPeriod, formatPeriodWithDuration } = useLocale();
+
+  // A view of the home page content, so it shares the home page's canonical URL
+  useDocumentHead({
+    title: t('print.title'),
+    canonicalPath: '/'
+  });
+
+  return (
+    <div className="container py-12 print:p-0">
+      <article className="max-w-3xl mx-auto">
+        {/* Screen-only controls */}
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-10 print:hidden">
+          <Link
+            to={localizePath('/')}
+            className={`inline-flex items-center gap-2 ${PRINT_STYLES.LINK}`}
+          >
+            <ArrowLeft className="w-4 h-4" aria-hidden="true" />
+            {t('print.back')}
+          </Link>
+          <button
+            type="button"
+            onClick={() => window.print()}
+            className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium focus:outline-none focus:ring-2 focus:ring-blue-400"
+          >
+            <Printer className="w-4 h-4" aria-hidden="true" />
+            {t('print.print')}
+          </button>
+        </div>
+
+        {/* Document Header */}
+        <header className="print-entry">
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white">{SITE_CONFIG.name}</h1>
+          <p className="text-lg text-gray-700 dark:text-gray-300">{SITE_CONFIG.title}</p>
+          <p className={`${PRINT_STYLES.META} mt-2 flex flex-wrap gap-x-4 gap-y-1`}>
+            <a href={`mailto:${SITE_CONFIG.email}`} className={PRINT_STYLES.LINK}>{SITE_CONFIG.email}</a>
+            <a href={SITE_CONFIG.url} className={PRINT_STYLES.LINK}>{SITE_CONFIG.url}</a>
+            <a href={SITE_CONFIG.github} className={PRINT_STYLES.LINK}>GitHub</a>
+            <a href={SITE_CONFIG.linkedin} className={PRINT_STYLES.LINK}>LinkedIn</a>
+          </p>
+        </header>
+
+        <PrintSection title={about.title}>
+          {Object.entries(about.sections).map(([key, section]) => (
+            <div key={key} className={PRINT_STYLES.ENTRY}>
+              <h3 className={PRINT_STYLES.ENTRY_TITLE}>{section.heading}</h3>
+              {section.content.split('\n\n').map((paragraph, index) => (
+                <p key={index} className={`${PRINT_STYLES.BODY} mb-2 last:mb-0`}>{paragraph}</p>
+              ))}
+            </div>
+          ))}
+        </PrintSection>
+
+        <PrintSection title={t('experience.title')}>
+          {experience.all.map((role) => (
+            <div key={role.id} className={PRINT_STYLES.ENTRY}>
+              <h3 className={PRINT_STYLES.ENTRY_TITLE}>{role.title}, {role.company}</h3>
+              <p className={PRINT_STYLES.META}>{role.location} · {formatPeriodWithDuration(role.period)}</p>
+              <p className={PRINT_STYLES.BODY}>{role.description}</p>
+              <p className={PRINT_STYLES.META}>
+                {t('experience.technologies')} {role.technologies.map(tech => tech.name).join(', ')}
+              </p>
+            </div>
+          ))}
+        </PrintSection>
+
+        <PrintSection title={t('nav.projects')}>
+          {projects.all.map((project) => (
+            <div key={project.id} className={PRINT_STYLES.ENTRY}>
+              <h3 className={PRINT_STYLES.ENTRY_TITLE}>
+                <a href={toAbsoluteUrl(localizePath(`/projects/${project.id}`))} className={PRINT_STYLES.LINK}>
+                  {project.title}
+                </a>
+              </h3>
+              {project.role && <p className={PRINT_STYLES.META}>{t('projects.role')} {project.role}</p>}
+              <p className={PRINT_STYLES.BODY}>{project.description}</p>
+              <p className={PRINT_STYLES.META}>{project.technologies.map(tech => tech.name).join(', ')}</p>
+              <p className={`${PRINT_STYLES.META} flex flex-wrap gap-x-4`}>
+                <a href={project.github} className={PRINT_STYLES.LINK}>{t('print.source')}</a>
+                {project.live && <a href={project.live} className={PRINT_STYLES.LINK}>{t('print.live')}</a>}
+              </p>
+            </div>
+          ))}
+        </PrintSection>
+
+        <PrintSection title={t('print.techStack')}>
+          <dl className={PRINT_STYLES.BODY}>
+            {techStack.categories.map((category) => (
+              <div key={category.key} className="print-entry mb-1">
+                <dt className="inline font-semibold text-gray-900 dark:text-white">{category.title}: </dt>
+                <dd className="inline">{category.technologies.map(tech => tech.name).join(', ')}</dd>
+              </div>
+            ))}
+          </dl>
+        </PrintSection>
+
+        <PrintSection title={t('community.title')}>
+          {community.all.map((involvement) => (
+            <div key={involvement.id} className={PRINT_STYLES.ENTRY}>
+              <h3 className={PRINT_STYLES.ENTRY_TITLE}>{involvement.title}, {involvement.organization}</h3>
+              <p className={PRINT_STYLES.META}>{involvement.location} · {formatPeriod(involvement.period)}</p>
+              <p className={PRINT_STYLES.BODY}>{involvement.description}</p>
+            </div>
+          ))}
+        </PrintSection>
+      </article>
+    </div>
+  );
+};
+
+export default Print;
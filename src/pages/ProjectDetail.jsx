@@ -1,23 +1,84 @@
 /**
  * Individual project showcase component with dynamic routing
- * 
- * Dedicated project detail page component that provides comprehensive
- * project information through dynamic routing and professional presentation.
- * Currently serves as a foundation for detailed project showcases while
- * maintaining responsive design and navigation patterns.
- * 
- * Features React Router integration, animation-ready components, and
- * scalable architecture for rich project detail implementation.
- * 
+ *
+ * Dedicated project detail page that turns a project entry from the
+ * centralized project data into a full case study: the problem, the
+ * approach taken, architecture overview, an embedded preview of the live
+ * site, a gallery of screenshots and diagrams that open in a fullscreen
+ * lightbox, role and team attribution, technology stack, and outbound links.
+ *
+ * Features React Router integration, scroll-in animations, and a
+ * graceful not-found state for unknown project IDs.
+ *
  * @author Walter Magill
  */
 
-import { useParams } from 'react-router-dom';
-import { ArrowLeft } from 'lucide-react';
+import { useState } from 'react';
+import { motion } from 'framer-motion';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, ExternalLink, Github, Users, SearchX, Maximize2 } from 'lucide-react';
+import { useContent } from '../hooks/useContent';
+import { useDocumentHead } from '../hooks/useDocumentHead';
+import { useLocale } from '../hooks/useLocale';
+import { getShareImagePath } from '../utils/head';
+import { buildProjectStructuredData } from '../utils/structuredData';
+import Lightbox from '../components/ui/Lightbox';
+import LivePreview from '../components/ui/LivePreview';
+import OptimizedImage from '../components/ui/OptimizedImage';
 
+// Animation configuration for consistent entrance timing
+const ANIMATION_CONFIG = {
+  CONTAINER_DURATION: 0.6,
+  SECTION_DELAY_BASE: 0.1,
+  EASING: "easeOut"
+};
+
+// Shared link styling for the back navigation
+const BACK_LINK_CLASSES = "inline-flex items-center text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 mb-8";
+
+/**
+ * Project case study page
+ *
+ * Looks up the project referenced by the `:id` route parameter and renders
+ * its case study content. Falls back to a not-found state when the ID does
+ * not match any project.
+ *
+ * @returns {JSX.Element} Project case study or not-found message
+ */
 const ProjectDetail = () => {
   // Extract project ID from URL parameters for dynamic content loading
   const { id } = useParams();
+  const project = useContent().projects.getById(id);
+  const { t, localizePath } = useLocale();
+
+  // Project pages unfurl with their own title, summary, and generated social card
+  useDocumentHead(project
+    ? {
+        title: project.title,
+        description: project.description,
+        image: getShareImagePath(`projects/${project.id}`),
+        imageAlt: t('projectDetail.cardAlt', { title: project.title }),
+        type: 'article',
+        structuredData: buildProjectStructuredData(project)
+      }
+    : { title: t('projectDetail.notFoundTitle'), noindex: true }
+  );
+
+  if (!project) {
+    return <ProjectNotFound id={id} />;
+  }
+
+  const { caseStudy } = project;
+
+  /**
+   * Calculates staggered delay for each case study section
+   *
+   * @param {number} index - Position of the section on the page
+   * @returns {number} Animation delay in seconds
+   */
+  const calculateSectionDelay = (index) => {
+    return index * ANIMATION_CONFIG.SECTION_DELAY_BASE;
+  };
 
   return (
     <div className="section-padding">
@@ -25,29 +86,263 @@ const ProjectDetail = () => {
         <motion.div
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
-          transition={{ duration: 0.6 }}
+          transition={{ duration: ANIMATION_CONFIG.CONTAINER_DURATION }}
           className="max-w-4xl mx-auto"
         >
           {/* Navigation back to projects with visual feedback */}
-          <a
-            href="/projects"
-            className="inline-flex items-center text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 mb-8"
-          >
-            <ArrowLeft className="w-4 h-4 mr-2" />
-            Back to Projects
-          </a>
-
-          {/* Dynamic project title with responsive typography */}
-          <h1 className="text-4xl md:text-5xl font-bold text-gray-900 dark:text-white mb-8">
-            Project {id}
-          </h1>
+          <Link to={localizePath('/projects')} className={BACK_LINK_CLASSES}>
+            <ArrowLeft className="w-4 h-4 mr-2" aria-hidden="true" />
+            {t('projectDetail.back')}
+          </Link>
 
-          {/* Content placeholder with consistent styling */}
-          <div className="bg-gray-50 dark:bg-gray-800 rounded-lg p-8 mb-8">
-            <p className="text-gray-600 dark:text-gray-300">
-              Project details coming soon...
+          {/* Project Title and Summary */}
+          <header className="mb-12">
+            <h1 className="text-4xl md:text-5xl font-bold text-gray-900 dark:text-white mb-6">
+              {project.title}
+            </h1>
+            <p className="text-lg text-gray-600 dark:text-gray-300 leading-relaxed">
+              {project.description}
             </p>
-          </div>
+
+            {/* Outbound Links */}
+            <ul className="flex flex-wrap gap-4 mt-8" aria-label={t('projects.linksLabel')}>
+              <li>
+                <a
+                  href={project.github}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center gap-2 px-6 py-3 bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors font-medium focus:outline-none focus:ring-2 focus:ring-gray-400"
+                  aria-label={t('projects.codeLabel', { title: project.title })}
+                >
+                  <Github className="w-5 h-5" aria-hidden="true" />
+                  {t('projectDetail.viewSource')}
+                </a>
+              </li>
+              {project.live && (
+                <li>
+                  <a
+                    href={project.live}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="inline-flex items-center gap-2 px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium shadow-md focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2"
+                    aria-label={t('projects.liveDemoLabel', { title: project.title })}
+                  >
+                    <ExternalLink className="w-5 h-5" aria-hidden="true" />
+                    {t('projects.liveDemo')}
+                  </a>
+                </li>
+              )}
+            </ul>
+          </header>
+
+          {/* Live Demo Preview */}
+          {project.live && (
+            <CaseStudySection title={t('projectDetail.livePreview')} delay={calculateSectionDelay(0)}>
+              <LivePreview
+                url={project.live}
+                title={project.title}
+                image={project.image}
+                isEmbeddable={project.preview}
+              />
+            </CaseStudySection>
+          )}
+
+          {/* Screenshots and Diagrams */}
+          {project.media.length > 0 && (
+            <CaseStudySection title={t('projectDetail.screenshots')} delay={calculateSectionDelay(1)}>
+              <ProjectGallery project={project} />
+            </CaseStudySection>
+          )}
+
+          {/* The Problem */}
+          {caseStudy?.problem && (
+            <CaseStudySection title={t('projectDetail.problem')} delay={calculateSectionDelay(2)}>
+              <p className="text-gray-600 dark:text-gray-300 leading-relaxed">
+                {caseStudy.problem}
+              </p>
+            </CaseStudySection>
+          )}
+
+          {/* The Approach */}
+          {caseStudy?.approach && (
+            <CaseStudySection title={t('projectDetail.approach')} delay={calculateSectionDelay(3)}>
+              <p className="text-gray-600 dark:text-gray-300 leading-relaxed">
+                {caseStudy.approach}
+              </p>
+            </CaseStudySection>
+          )}
+
+          {/* Architecture Overview */}
+          {caseStudy?.architecture && caseStudy.architecture.length > 0 && (
+            <CaseStudySection title={t('projectDetail.architecture')} delay={calculateSectionDelay(4)}>
+              <ul className="list-disc pl-6 space-y-2 text-gray-600 dark:text-gray-300">
+                {caseStudy.architecture.map((component) => (
+                  <li key={component}>{component}</li>
+                ))}
+              </ul>
+            </CaseStudySection>
+          )}
+
+          {/* Role and Team */}
+          <CaseStudySection title={t('projectDetail.roleAndTeam')} delay={calculateSectionDelay(5)}>
+            <div className="bg-gray-50 dark:bg-gray-800 rounded-lg p-6 space-y-4">
+              <p className="text-gray-600 dark:text-gray-300">
+                <span className="font-semibold text-gray-900 dark:text-white">{t('projects.role')}</span>{' '}
+                {project.role || t('projectDetail.soloRole')}
+              </p>
+              {project.team && project.team.length > 0 && (
+                <div>
+                  <div className="flex items-center gap-2 mb-2">
+                    <Users className="w-4 h-4 text-gray-500 dark:text-gray-400" aria-hidden="true" />
+                    <span className="font-semibold text-gray-900 dark:text-white">{t('projects.team')}</span>
+                  </div>
+                  <ul className="text-gray-600 dark:text-gray-300 space-y-1">
+                    {project.team.map((member) => (
+                      <li key={member}>{member}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          </CaseStudySection>
+
+          {/* Technology Stack */}
+          <CaseStudySection title={t('projectDetail.technologies')} delay={calculateSectionDelay(6)}>
+            <div className="flex flex-wrap gap-2" role="list" aria-label={t('projects.technologiesLabel')}>
+              {project.technologies.map((tech) => (
+                <span
+                  key={tech.id}
+                  className="px-3 py-1 bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200 text-sm rounded-full font-medium"
+                  role="listitem"
+                >
+                  {tech.name}
+                </span>
+              ))}
+            </div>
+          </CaseStudySection>
+        </motion.div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Case study section wrapper with heading and entrance animation
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.title - Section heading
+ * @param {number} props.delay - Animation delay in seconds
+ * @param {React.ReactNode} props.children - Section content
+ * @returns {JSX.Element} Animated case study section
+ */
+const CaseStudySection = ({ title, delay, children }) => (
+  <motion.section
+    initial={{ opacity: 0, y: 20 }}
+    animate={{ opacity: 1, y: 0 }}
+    transition={{
+      duration: ANIMATION_CONFIG.CONTAINER_DURATION,
+      delay,
+      ease: ANIMATION_CONFIG.EASING
+    }}
+    className="mb-12"
+  >
+    <h2 className="text-2xl md:text-3xl font-semibold text-gray-900 dark:text-white mb-4">
+      {title}
+    </h2>
+    {children}
+  </motion.section>
+);
+
+/**
+ * Gallery of a project's screenshots and diagrams
+ *
+ * Shows every media item with its caption; a single item spans the full
+ * width and several form a two-column grid. Each image opens the lightbox
+ * at that item, and the lightbox returns focus to it on close.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.project - Project with a non-empty `media` list
+ * @returns {JSX.Element} Gallery with its lightbox
+ */
+const ProjectGallery = ({ project }) => {
+  const { t } = useLocale();
+  const [openIndex, setOpenIndex] = useState(null);
+  const items = project.media.map(item => ({
+    ...item,
+    alt: item.caption || t('projects.screenshotAlt', { title: project.title })
+  }));
+
+  return (
+    <>
+      <div className={`grid gap-6 ${items.length > 1 ? 'sm:grid-cols-2' : ''}`}>
+        {items.map((item, index) => (
+          <figure key={`${item.image.src}-${index}`}>
+            <button
+              type="button"
+              onClick={() => setOpenIndex(index)}
+              className="print-media relative block w-full rounded-lg overflow-hidden shadow-lg bg-gray-200 dark:bg-gray-700 group cursor-zoom-in focus:outline-none focus:ring-2 focus:ring-blue-400"
+              aria-label={t('lightbox.open', { alt: item.alt })}
+            >
+              <OptimizedImage
+                image={item.image}
+                alt=""
+                sizes={items.length > 1 ? '(min-width: 56rem) 28rem, (min-width: 640px) 50vw, 100vw' : '(min-width: 56rem) 56rem, 100vw'}
+                className="w-full h-auto group-hover:scale-[1.02] transition-transform duration-300"
+              />
+              <span className="absolute top-3 right-3 p-2 rounded-full bg-black/50 text-white opacity-0 group-hover:opacity-100 group-focus:opacity-100 transition-opacity print:hidden" aria-hidden="true">
+                <Maximize2 className="w-4 h-4" />
+              </span>
+            </button>
+            {item.caption && (
+              <figcaption className="mt-2 text-sm text-gray-600 dark:text-gray-400">
+                {item.caption}
+              </figcaption>
+            )}
+          </figure>
+        ))}
+      </div>
+
+      <Lightbox
+        items={items}
+        index={openIndex}
+        onIndexChange={setOpenIndex}
+        onClose={() => setOpenIndex(null)}
+        label={t('lightbox.label', { title: project.title })}
+      />
+    </>
+  );
+};
+
+/**
+ * Not-found state for unknown project IDs
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.id - The requested project ID
+ * @returns {JSX.Element} Not-found message with navigation back to projects
+ */
+const ProjectNotFound = ({ id }) => {
+  const { t, localizePath } = useLocale();
+
+  return (
+    <div className="section-padding">
+      <div className="container">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: ANIMATION_CONFIG.CONTAINER_DURATION }}
+          className="max-w-2xl mx-auto text-center"
+        >
+          <SearchX className="w-12 h-12 mx-auto mb-6 text-gray-400" aria-hidden="true" />
+          <h1 className="text-4xl md:text-5xl font-bold text-gray-900 dark:text-white mb-6">
+            {t('projectDetail.notFoundTitle')}
+          </h1>
+          <p className="text-gray-600 dark:text-gray-300 mb-8">
+            {t('projectDetail.notFoundBody', { id })}
+          </p>
+          <Link to={localizePath('/projects')} className={BACK_LINK_CLASSES}>
+            <ArrowLeft className="w-4 h-4 mr-2" aria-hidden="true" />
+            {t('projectDetail.back')}
+          </Link>
         </motion.div>
       </div>
     </div>
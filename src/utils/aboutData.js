@@ -1,54 +0,0 @@
-/**
- * Personal narrative and professional story content management
- * 
- * Centralized content repository for the About section containing comprehensive
- * personal and professional narrative. Strategically crafted for recruiter
- * evaluation, cultural fit assessment, and personal brand establishment.
- * 
- * Features modular content structure, progressive disclosure from personal
- * foundation to professional goals, and balanced professional tone.
- * 
- * @author Walter Magill
- */
-
-/**
- * Complete personal and professional narrative structure for About section
- * 
- * @constant {Object} ABOUT_ME
- * @property {string} title - Section heading for About component
- * @property {Object} sections - Organized content sections for modular rendering
- * 
- * Section Organization:
- * - Background: Geographic roots, athletic foundation, educational journey
- * - What I Do: Technical expertise, academic focus, current learning activities
- * - Beyond Code: Athletic accomplishments, lifestyle values, creative pursuits
- * - How I Work: Professional working style, collaboration preferences, values
- * - Now & Next: Current status, location, immediate availability for opportunities
- */
-// Content management for portfolio site
-// This file centralizes all content that gets imported into React components
-export const ABOUT_ME = {
-  title: "About Me",
-  sections: {
-    background: {
-      heading: "Background",
-      content: "I grew up in Steamboat Springs, Colorado, where the outdoors were practically part of the school curriculum. Trail running, mountain biking, and skiing weren't just hobbies — they were daily life. Eventually, I found my stride (literally) in cross-country skiing, which led me to compete as an NCAA Division I athlete for Dartmouth College.\n\nAt Dartmouth, I learned how to balance a rigorous academic load with the demands of high-level athletics — and somewhere between training sessions and late-night study halls, I discovered a love for computer science. What started as curiosity turned into a full-fledged major (modified with Economics), giving me both technical and analytical foundations. I graduated in June 2025, and after a brief post-surgery recovery, I'm excitedly diving into the next chapter: finding a full-time role in tech."
-    },
-    whatIDo: {
-      heading: "What I Do",
-      content: "During college and beyond, I've explored a wide range of CS interests — from full-stack web development to game design to AI-powered tools. Some of my favorite classes were Algorithms, Object-Oriented Programming, Software Design, and Full-Stack Web Development. I especially enjoyed courses that combined building things with thinking deeply about how and why they work.\n\nI've also been drawn to the intersection of tech and finance, which led me to modify my CS major with a focus in Economics. That background gives me an edge when thinking about fintech or data-driven projects. These days, I spend my time working on personal projects, sharpening my coding and design skills, and exploring new technologies — often with coffee in one hand and VS Code open in the other."
-    },
-    beyondCode: {
-      heading: "Beyond Code",
-      content: "I've been an athlete my whole life — first as a competitive Nordic skier, and now as a dedicated runner and lifetime Strava enthusiast. I've had the honor of representing Team USA internationally and competing for Dartmouth at the NCAA Championships. Through those experiences, I've developed a deep appreciation for discipline, long-term health, and systems that promote peak performance — lessons that translate surprisingly well into tech.\n\nWhen I'm not writing code or logging miles, I love to cook. It started as a way to make up for missing my mom's meals in college, but quickly became one of my favorite ways to unwind and connect with others. From weekly dinner parties with friends to experimenting with new recipes, cooking has become my creative outlet — and a great reminder that some of the best moments happen around a table."
-    },
-    howIWork: {
-      heading: "How I Work",
-      content: "What I love most about computer science isn't just building things — it's the process: the problem-solving, the creative debugging, and especially the collaboration. I've found that the best tech projects happen when people share ideas, ask thoughtful questions, and challenge each other to find better solutions.\n\nI thrive in environments where learning is constant, feedback is welcomed, and the tools are always evolving. Whether it's exploring a new framework or revisiting fundamentals, I'm always excited by the chance to grow — and help others grow too."
-    },
-    nowAndNext: {
-      heading: "Now & Next",
-      content: "Right now, I'm living in Stowe, Vermont, recovering from surgery and focusing full-time on job searching, building personal projects, and staying sharp technically. I spend part of my day coding and applying, and part of it running, hiking, or enjoying time in the woods.\n\nI'm actively looking for full-time roles starting Fall 2025 (or earlier) in software engineering, data science, fintech, or startups — ideally with a team that's smart, motivated, and excited to build things that matter. If that sounds like your team, I'd love to chat."
-    }
-  }
-};
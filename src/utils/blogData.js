@@ -0,0 +1,108 @@
+/**
+ * Blog and writing content management
+ *
+ * Collects markdown posts from the content/blog directory, which the
+ * markdown Vite plugin compiles at build time into ready-to-render data
+ * objects. Provides ordering, draft filtering, and lookup helpers for the
+ * blog index and individual post pages.
+ *
+ * Features date-based ordering, tag filtering, and previous/next
+ * navigation between posts.
+ *
+ * @author Walter Magill
+ */
+
+// Eagerly import every post so the content ships with the page that renders it
+const postModules = import.meta.glob('/content/blog/*.md', { eager: true });
+
+/**
+ * Published blog posts sorted by date (newest first)
+ *
+ * Each post object contains:
+ * @property {string} slug - URL segment derived from the markdown filename
+ * @property {string} title - Post title from frontmatter
+ * @property {string} date - Publication date in YYYY-MM-DD format
+ * @property {string} updated - Last revision date (frontmatter `updated`, defaults to `date`)
+ * @property {Array<string>} tags - Topic tags from frontmatter
+ * @property {string} summary - Short description for the index page and metadata
+ * @property {boolean} draft - Drafts are visible in development only
+ * @property {number} readingTime - Estimated reading time in minutes
+ * @property {Array<Object>} toc - Table of contents entries ({ id, text, depth })
+ * @property {string} html - Rendered, syntax-highlighted post body
+ */
+export const POSTS = Object.values(postModules)
+  .map(module => module.default)
+  .filter(post => import.meta.env.DEV || !post.draft)
+  .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+
+/**
+ * Helper function to look up a single post by its slug
+ *
+ * @param {string} slug - Post slug from the URL
+ * @returns {Object|null} Matching post or null if not found
+ * @usage const post = getPostBySlug('building-a-particle-system-from-scratch');
+ */
+export const getPostBySlug = (slug) => {
+  return POSTS.find(post => post.slug === slug) || null;
+};
+
+/**
+ * Helper function to get the chronological neighbours of a post
+ *
+ * @param {string} slug - Slug of the current post
+ * @returns {Object} `previous` (older) and `next` (newer) posts, or null at either end
+ * @usage const { previous, next } = getAdjacentPosts(post.slug);
+ */
+export const getAdjacentPosts = (slug) => {
+  const index = POSTS.findIndex(post => post.slug === slug);
+  if (index === -1) return { previous: null, next: null };
+
+  return {
+    previous: POSTS[index + 1] || null,
+    next: POSTS[index - 1] || null
+  };
+};
+
+/**
+ * Helper function to get posts with a given tag
+ *
+ * @param {string} tag - Tag to filter by (case-insensitive)
+ * @returns {Array} Posts that include the tag
+ * @usage const reactPosts = getPostsByTag('react');
+ */
+export const getPostsByTag = (tag) => {
+  return POSTS.filter(post =>
+    post.tags.some(postTag => postTag.toLowerCase() === tag.toLowerCase())
+  );
+};
+
+/**
+ * Helper function to get all unique tags across published posts
+ *
+ * @returns {Array} Alphabetically sorted unique tags
+ * @usage const tags = getAllTags();
+ */
+export const getAllTags = () => {
+  return [...new Set(POSTS.flatMap(post => post.tags))].sort();
+};
+
+/**
+ * Helper function to format a post date for display
+ * Parses as a calendar date so the day never shifts with the reader's timezone
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string} [locale='en-US'] - BCP 47 locale
+ * @returns {string} Human-readable date such as "July 14, 2025" or "14 de julio de 2025"
+ * @usage const label = formatPostDate(post.date);
+ */
+export const formatPostDate = (date, locale = 'en-US') => {
+  if (!date) return '';
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString(locale, {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+};
+
+export default POSTS;
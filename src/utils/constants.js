@@ -5,12 +5,15 @@
  * navigation structure, and content constants. Provides single source
  * of truth for site-wide information across deployment environments.
  * 
- * Features personal contact information, social media links, navigation
- * structure, and typewriter animation content configuration.
+ * Features personal contact information, social media links, and navigation
+ * structure. Display copy such as navigation labels and the typewriter
+ * words lives in the message catalogs under src/locales.
  * 
  * @author Walter Magill
  */
 
+import { stripLocalePrefix } from './i18n';
+
 /**
  * Core site configuration containing personal and professional information
  * Used across multiple components for consistent branding and contact details
@@ -23,6 +26,12 @@
  * @property {string} email - Professional contact email (publicly visible)
  * @property {string} github - GitHub profile URL for portfolio links
  * @property {string} linkedin - LinkedIn profile URL for professional networking
+ * @property {Object} education - Degree details for structured data and résumé output
+ * @property {string} education.institution - School name
+ * @property {string} education.url - School website
+ * @property {string} education.degree - Degree type
+ * @property {string} education.area - Field of study
+ * @property {string} education.graduated - Graduation date in YYYY-MM format
  */
 export const SITE_CONFIG = {
   name: 'Walter Magill',
@@ -32,51 +41,54 @@ export const SITE_CONFIG = {
   email: 'walter.g.magill@gmail.com',
   github: 'https://github.com/WallyMagill',
   linkedin: 'https://www.linkedin.com/in/walter-magill-40023a249/',
+  education: {
+    institution: 'Dartmouth College',
+    url: 'https://home.dartmouth.edu',
+    degree: 'Bachelor of Arts',
+    area: 'Computer Science modified with Economics',
+    graduated: '2025-06'
+  },
 };
 
 /**
  * Navigation structure configuration for consistent site navigation
- * Defines the main navigation items and their corresponding section IDs
+ * Single source of truth for the header menu, section routes, and scroll syncing
  * 
  * @constant {Array} NAVIGATION
- * @property {string} name - Display name for navigation item
- * @property {string} href - URL path or section ID for navigation target
+ * @property {string} labelKey - Message catalog key of the display name
+ * @property {string} href - Unprefixed URL path that routes to the section
+ * @property {string} [sectionId] - DOM id of the section the path scrolls to;
+ *   omitted for standalone pages such as the blog
  * 
- * Note: Currently configured for single-page application with section-based navigation
- * Can be easily modified for multi-page routing if site structure changes
+ * Note: Every section path renders the single-page Home layout and scrolls to its
+ * section, so links like /experience can be shared and land directly on that section.
+ * Localized routes prefix the same paths, e.g. /es/experience
  */
 export const NAVIGATION = [
-  { name: 'Home', href: '/' },
-  { name: 'About', href: '/about' },
-  { name: 'Projects', href: '/projects' },
-  { name: 'Experience', href: '/experience' },
-  { name: 'Contact', href: '/contact' },
+  { labelKey: 'nav.home', href: '/', sectionId: 'hero' },
+  { labelKey: 'nav.about', href: '/about', sectionId: 'about' },
+  { labelKey: 'nav.projects', href: '/projects', sectionId: 'projects' },
+  { labelKey: 'nav.experience', href: '/experience', sectionId: 'experience' },
+  { labelKey: 'nav.contact', href: '/contact', sectionId: 'contact' },
+  { labelKey: 'nav.blog', href: '/blog' },
 ];
 
 /**
- * Typewriter animation content for hero section engagement
- * Defines rotating words that appear in the terminal-style animation
- * 
- * @constant {Array<string>} TYPEWRITER_WORDS
+ * Navigation items that map to sections of the single-page Home layout
  * 
- * Content Strategy:
- * - Mix of professional roles and personal qualities
- * - Emphasizes both technical skills and character traits  
- * - Ordered to start with learning mindset and end with professional titles
- * - Includes athletic background to show well-rounded character
+ * @constant {Array} SECTION_NAVIGATION
+ */
+export const SECTION_NAVIGATION = NAVIGATION.filter(item => item.sectionId);
+
+/**
+ * Helper function to find the section navigation item for a URL path
  * 
- * Maintenance Notes:
- * - Update periodically to keep content fresh and relevant
- * - Consider A/B testing different word combinations
- * - Ensure words align with current career goals and positioning
+ * @param {string} pathname - URL path to look up (locale prefix and trailing slashes ignored)
+ * @returns {Object|null} Matching section item or null for non-section routes
+ * @usage const section = getSectionByPath('/es/experience');
  */
-export const TYPEWRITER_WORDS = [
-  'a Learner',
-  'a Coder', 
-  'an Athlete',
-  'a Problem Solver',
-  'a Creator',
-  'an Innovator',
-  'a Developer',
-  'an Analyst'
-];
+export const getSectionByPath = (pathname) => {
+  const unprefixedPath = stripLocalePrefix(pathname);
+  const normalizedPath = unprefixedPath.length > 1 ? unprefixedPath.replace(/\/+$/, '') : unprefixedPath;
+  return SECTION_NAVIGATION.find(item => item.href === normalizedPath) || null;
+};
@@ -0,0 +1,565 @@
+/**
+ * Content schema definitions and validation
+ *
+ * Enforces the shape of everything loaded from the content/ directory.
+ * Every project, role, community entry, the technology registry, the tech
+ * stack, and the about copy is checked for required fields, value types,
+ * duplicate IDs, date and period formats, allowed enum values such as
+ * project categories, community themes, and tech stack category keys, and technology references
+ * that are missing from the registry. Résumé variants may only pin projects
+ * and roles that exist. Translations in content/locales/ are
+ * validated after being merged over the English originals. Problems are
+ * reported against the file they came from so they can be fixed without
+ * reading any JavaScript.
+ *
+ * Runs in the browser during development (problems are logged to the
+ * console) and at build time through scripts/validate-content.js, which
+ * fails the build with a readable report.
+ *
+ * @author Walter Magill
+ */
+
+import RAW_CONTENT, { sources as CONTENT_SOURCES, translations as RAW_TRANSLATIONS } from 'virtual:content';
+import { MONTH_PATTERN, PRESENT, getDurationInMonths } from './dates';
+import { createTechnologyResolver, findTechnologyConflicts } from './technologies';
+
+/**
+ * Allowed thematic categories for community involvement
+ * Each theme has a matching tag color in CommunitySection
+ *
+ * @constant {Array<string>} COMMUNITY_THEMES
+ */
+export const COMMUNITY_THEMES = ['Environment', 'Education', 'Economic Empowerment', 'Children'];
+
+/**
+ * Project taxonomy: allowed values of each project classification field
+ * Each value has a label under projects.facets.values in the message catalogs,
+ * and ProjectsSection offers every field as a filter facet
+ *
+ * @constant {Object} PROJECT_TAXONOMY
+ * @property {Array<string>} category - Problem domain of the project
+ * @property {Array<string>} collaboration - Whether the project was built alone or with a team
+ * @property {Array<string>} origin - Whether the project was coursework or self-directed
+ */
+export const PROJECT_TAXONOMY = {
+  category: ['web', 'game', 'ml', 'systems'],
+  collaboration: ['solo', 'team'],
+  origin: ['course', 'personal']
+};
+
+/**
+ * Allowed category keys for the technology stack
+ * Each key has a matching icon and color scheme in TechStackSection
+ *
+ * @constant {Array<string>} TECH_CATEGORY_KEYS
+ */
+export const TECH_CATEGORY_KEYS = ['languages', 'frontend', 'backend', 'cloud', 'tools', 'practices'];
+
+/**
+ * Allowed categories in the technology registry
+ * The tech stack categories plus domains that only appear in projects and roles
+ *
+ * @constant {Array<string>} TECHNOLOGY_CATEGORIES
+ */
+export const TECHNOLOGY_CATEGORIES = [...TECH_CATEGORY_KEYS, 'data', 'game', 'engineering'];
+
+/**
+ * Shared value formats
+ *
+ * @constant {Object} CONTENT_FORMATS
+ * @property {Object} MONTH - Month in YYYY-MM format
+ * @property {Object} PERIOD_END - Month in YYYY-MM format or "present"
+ * @property {Object} DATE - Calendar date in YYYY-MM-DD format
+ * @property {Object} URL - Absolute http(s) URL
+ * @property {Object} SLUG - Lowercase words joined by hyphens, used for registry ids
+ */
+export const CONTENT_FORMATS = {
+  MONTH: {
+    pattern: MONTH_PATTERN,
+    description: 'YYYY-MM'
+  },
+  PERIOD_END: {
+    pattern: new RegExp(`${MONTH_PATTERN.source}|^${PRESENT}$`),
+    description: `YYYY-MM or "${PRESENT}"`
+  },
+  DATE: {
+    pattern: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+    description: 'YYYY-MM-DD'
+  },
+  URL: {
+    pattern: /^https?:\/\/\S+$/,
+    description: 'an absolute http(s) URL'
+  },
+  SLUG: {
+    pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/,
+    description: 'lowercase words joined by hyphens'
+  }
+};
+
+// Reusable field rules
+const TEXT = { type: 'string' };
+const STRING_LIST = { type: 'array', items: TEXT, minItems: 1 };
+const ID = { type: 'integer' };
+const TECHNOLOGY = { type: 'string', technology: true };
+const TECHNOLOGY_LIST = { type: 'array', items: TECHNOLOGY, minItems: 1 };
+const ID_LIST = { type: 'array', items: ID, minItems: 1 };
+// Image set from the responsive image pipeline (plugins/images.js)
+const RESPONSIVE_IMAGE = {
+  type: 'object',
+  fields: {
+    src: TEXT,
+    srcSet: TEXT,
+    sources: {
+      type: 'array',
+      items: { type: 'object', fields: { type: TEXT, srcSet: TEXT } }
+    },
+    width: { type: 'integer' },
+    height: { type: 'integer' },
+    placeholder: TEXT
+  }
+};
+// Repository details from the GitHub snapshot (scripts/github.js)
+const REPOSITORY = {
+  type: 'object',
+  fields: {
+    stars: { type: 'integer', min: 0 },
+    license: { type: 'string', nullable: true },
+    languages: {
+      type: 'array',
+      items: { type: 'object', fields: { name: TEXT, bytes: { type: 'integer' } } }
+    },
+    lastCommit: { type: 'string', format: CONTENT_FORMATS.DATE, nullable: true },
+    fetchedAt: { type: 'string', format: CONTENT_FORMATS.DATE }
+  }
+};
+const PERIOD = {
+  type: 'object',
+  fields: {
+    start: { type: 'string', format: CONTENT_FORMATS.MONTH },
+    end: { type: 'string', format: CONTENT_FORMATS.PERIOD_END }
+  },
+  check: (period) => getDurationInMonths(period) < 1 ? 'ends before it starts' : null
+};
+
+/**
+ * Schema for every content type, keyed as in the loaded content
+ * Collections are validated entry by entry so problems point at one file.
+ * Field rules: `type` (string, integer, boolean, array, object, record), `optional`,
+ * `nullable`, `format`, `enum`, `technology` (must resolve in the registry),
+ * `min` (smallest integer, 1 by default), `items`, `minItems`, `fields`,
+ * `keyRule`, `values`, and `check`, a custom test run once the value's own
+ * shape is valid that returns a message, a list of messages, or null
+ *
+ * @constant {Object} CONTENT_SCHEMAS
+ */
+export const CONTENT_SCHEMAS = {
+  technologies: {
+    rule: {
+      type: 'record',
+      keyRule: { type: 'string', format: CONTENT_FORMATS.SLUG },
+      values: {
+        type: 'object',
+        fields: {
+          name: TEXT,
+          category: { type: 'string', enum: TECHNOLOGY_CATEGORIES },
+          aliases: { ...STRING_LIST, optional: true }
+        }
+      },
+      // Each spelling must identify exactly one technology
+      check: (registry) => findTechnologyConflicts(registry)
+        .map(({ spelling, ids }) => `"${spelling}" refers to more than one technology (${ids.join(', ')})`)
+    }
+  },
+  projects: {
+    collection: true,
+    minItems: 1,
+    uniqueBy: 'id',
+    rule: {
+      type: 'object',
+      fields: {
+        id: ID,
+        title: TEXT,
+        description: TEXT,
+        category: { type: 'string', enum: PROJECT_TAXONOMY.category },
+        collaboration: { type: 'string', enum: PROJECT_TAXONOMY.collaboration },
+        origin: { type: 'string', enum: PROJECT_TAXONOMY.origin },
+        year: { type: 'integer' },
+        technologies: TECHNOLOGY_LIST,
+        image: { ...RESPONSIVE_IMAGE, nullable: true },
+        media: {
+          type: 'array',
+          items: {
+            type: 'object',
+            fields: {
+              image: RESPONSIVE_IMAGE,
+              caption: { type: 'string', nullable: true }
+            }
+          }
+        },
+        github: { type: 'string', format: CONTENT_FORMATS.URL },
+        live: { type: 'string', format: CONTENT_FORMATS.URL, nullable: true },
+        preview: { type: 'boolean' },
+        repository: { ...REPOSITORY, nullable: true },
+        role: { type: 'string', optional: true },
+        team: { ...STRING_LIST, optional: true },
+        updated: { type: 'string', format: CONTENT_FORMATS.DATE },
+        caseStudy: {
+          type: 'object',
+          fields: {
+            problem: TEXT,
+            approach: TEXT,
+            architecture: STRING_LIST
+          }
+        }
+      }
+    }
+  },
+  experience: {
+    collection: true,
+    uniqueBy: 'id',
+    rule: {
+      type: 'object',
+      fields: {
+        id: ID,
+        title: TEXT,
+        company: TEXT,
+        location: TEXT,
+        period: PERIOD,
+        description: TEXT,
+        technologies: TECHNOLOGY_LIST
+      }
+    }
+  },
+  community: {
+    collection: true,
+    uniqueBy: 'id',
+    rule: {
+      type: 'object',
+      fields: {
+        id: ID,
+        title: TEXT,
+        organization: TEXT,
+        location: TEXT,
+        period: PERIOD,
+        description: TEXT,
+        theme: { type: 'string', enum: COMMUNITY_THEMES }
+      }
+    }
+  },
+  techStack: {
+    rule: {
+      type: 'record',
+      keyRule: { type: 'string', enum: TECH_CATEGORY_KEYS },
+      values: {
+        type: 'object',
+        fields: {
+          title: TEXT,
+          technologies: {
+            type: 'record',
+            keyRule: TECHNOLOGY,
+            values: {
+              type: 'object',
+              fields: {
+                description: TEXT,
+                usage: TEXT
+              }
+            }
+          }
+        }
+      },
+      // Technologies are listed under the category they are registered in
+      check: (techStack, { registry, resolveTechnology }) => Object.entries(techStack)
+        .flatMap(([key, category]) => Object.keys(category.technologies)
+          .map(resolveTechnology)
+          .filter(id => id && registry[id].category !== key)
+          .map(id => `${key}.technologies["${id}"]: is registered under ${registry[id].category}, not ${key}`))
+    }
+  },
+  variants: {
+    rule: {
+      type: 'record',
+      keyRule: { type: 'string', format: CONTENT_FORMATS.SLUG },
+      values: {
+        type: 'object',
+        fields: {
+          label: TEXT,
+          headline: { ...TEXT, optional: true },
+          summary: { ...TEXT, optional: true },
+          technologies: TECHNOLOGY_LIST,
+          projects: { ...ID_LIST, optional: true },
+          experience: { ...ID_LIST, optional: true }
+        }
+      },
+      // Pinned entries must exist in their collection
+      check: (variants, { content }) => Object.entries(variants).flatMap(([key, variant]) =>
+        ['projects', 'experience'].flatMap(collection => (variant[collection] || [])
+          .filter(id => !(content[collection] || []).some(entry => entry?.id === id))
+          .map(id => `${key}.${collection}: no ${collection === 'projects' ? 'project' : 'role'} has id ${id}`)))
+    }
+  },
+  about: {
+    rule: {
+      type: 'object',
+      fields: {
+        title: TEXT,
+        sections: {
+          type: 'record',
+          values: {
+            type: 'object',
+            fields: {
+              heading: TEXT,
+              content: TEXT
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Describes a value for error messages
+ *
+ * @param {*} value - Any value
+ * @returns {string} Short human-readable description
+ */
+const describe = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'an array';
+  if (typeof value === 'string') return `"${value.length > 40 ? `${value.slice(0, 40)}…` : value}"`;
+  return typeof value === 'object' ? 'an object' : `${typeof value} ${String(value)}`;
+};
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// Joins a field onto a path; entries are validated from an empty root path
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+// Prefixes a problem with its location, when it has one
+const at = (path, message) => (path ? `${path}: ${message}` : message);
+
+/**
+ * Runs a rule's custom check once the value's own shape is valid
+ *
+ * @param {*} value - Value to check
+ * @param {Object} rule - Field rule
+ * @param {string} path - Location of the value for the report
+ * @param {Array<string>} problems - Problem list to append to
+ * @param {number} problemCount - Problem count before the value was validated
+ * @param {Object} context - Validation context
+ */
+const runCheck = (value, rule, path, problems, problemCount, context) => {
+  if (!rule.check || problems.length !== problemCount) return;
+  [].concat(rule.check(value, context) || []).forEach(message => problems.push(at(path, message)));
+};
+
+/**
+ * Validates a value against a field rule, collecting problems
+ *
+ * @param {*} value - Value to check
+ * @param {Object} rule - Field rule
+ * @param {string} path - Location of the value for the report, e.g. "caseStudy.problem"
+ * @param {Array<string>} problems - Problem list to append to
+ * @param {Object} context - Technology registry, resolver, and content for cross-references
+ */
+const validateValue = (value, rule, path, problems, context) => {
+  if (value === undefined) {
+    if (!rule.optional) problems.push(at(path, 'is required'));
+    return;
+  }
+  if (value === null) {
+    if (!rule.nullable) problems.push(at(path, 'must not be null'));
+    return;
+  }
+
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string' || value.trim() === '') {
+        problems.push(at(path, `expected a non-empty string, got ${describe(value)}`));
+      } else if (rule.enum && !rule.enum.includes(value)) {
+        problems.push(at(path, `${describe(value)} is not one of ${rule.enum.join(', ')}`));
+      } else if (rule.format && !rule.format.pattern.test(value)) {
+        problems.push(at(path, `${describe(value)} is not ${rule.format.description}`));
+      } else if (rule.technology && !context.resolveTechnology(value)) {
+        problems.push(at(path, `${describe(value)} is not in the technology registry (${context.registryFile})`));
+      }
+      break;
+
+    case 'integer': {
+      const { min = 1 } = rule;
+      if (!Number.isInteger(value) || value < min) {
+        const expected = min === 1 ? 'a positive integer' : `an integer of at least ${min}`;
+        problems.push(at(path, `expected ${expected}, got ${describe(value)}`));
+      }
+      break;
+    }
+
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        problems.push(at(path, `expected true or false, got ${describe(value)}`));
+      }
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) {
+        problems.push(at(path, `expected an array, got ${describe(value)}`));
+        return;
+      }
+      if (rule.minItems && value.length < rule.minItems) {
+        problems.push(at(path, `expected at least ${rule.minItems} item(s)`));
+      }
+      value.forEach((item, index) => validateValue(item, rule.items, `${path}[${index}]`, problems, context));
+      break;
+
+    case 'object': {
+      if (!isPlainObject(value)) {
+        problems.push(at(path, `expected an object, got ${describe(value)}`));
+        return;
+      }
+      const problemCount = problems.length;
+      Object.entries(rule.fields).forEach(([key, fieldRule]) => {
+        validateValue(value[key], fieldRule, joinPath(path, key), problems, context);
+      });
+      // Catch typos such as "technolgies" that would otherwise be ignored
+      Object.keys(value)
+        .filter(key => !(key in rule.fields))
+        .forEach(key => problems.push(at(joinPath(path, key), 'unknown field')));
+
+      runCheck(value, rule, path, problems, problemCount, context);
+      break;
+    }
+
+    case 'record': {
+      if (!isPlainObject(value)) {
+        problems.push(at(path, `expected an object, got ${describe(value)}`));
+        return;
+      }
+      const problemCount = problems.length;
+      Object.entries(value).forEach(([key, entry]) => {
+        const entryPath = path ? `${path}["${key}"]` : key;
+        if (rule.keyRule) validateValue(key, rule.keyRule, entryPath, problems, context);
+        validateValue(entry, rule.values, entryPath, problems, context);
+      });
+
+      runCheck(value, rule, path, problems, problemCount, context);
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown schema type "${rule.type}" at ${path}`);
+  }
+};
+
+/**
+ * Helper function to find duplicate identifiers in a collection
+ *
+ * @param {Array} items - Collection to check
+ * @param {string} key - Identifier field
+ * @param {Array<string>} files - Source file of each entry
+ * @returns {Array<string>} Problems, one per duplicated value
+ */
+const findDuplicates = (items, key, files) => {
+  const seen = new Map();
+  items.forEach((item, index) => {
+    const value = item?.[key];
+    if (value === undefined) return;
+    seen.set(value, [...(seen.get(value) || []), files[index]]);
+  });
+
+  return [...seen.entries()]
+    .filter(([, locations]) => locations.length > 1)
+    .map(([value, locations]) => `${key} ${JSON.stringify(value)} is used by ${locations.join(', ')}`);
+};
+
+/**
+ * Helper function to validate loaded content against its schemas
+ *
+ * @param {Object} [content] - Raw content keyed by type; defaults to the content/ directory
+ * @param {Object} [sources] - File each entry was loaded from, in the same shape as content
+ * @returns {Array<Object>} Problems grouped by file ({ file, problems }); empty when valid
+ * @usage const results = validateContent();
+ */
+export const validateContent = (content = RAW_CONTENT, sources = CONTENT_SOURCES) => {
+  const results = new Map();
+  const registry = isPlainObject(content.technologies) ? content.technologies : {};
+  const context = {
+    registry,
+    registryFile: sources?.technologies || 'technologies',
+    resolveTechnology: createTechnologyResolver(registry),
+    content
+  };
+  const report = (file, problems) => {
+    if (problems.length > 0) results.set(file, [...(results.get(file) || []), ...problems]);
+  };
+
+  Object.entries(CONTENT_SCHEMAS).forEach(([key, schema]) => {
+    const data = content[key];
+    const source = sources?.[key];
+
+    if (!schema.collection) {
+      const problems = [];
+      validateValue(data, schema.rule, '', problems, context);
+      report(source || key, problems);
+      return;
+    }
+
+    // Collection-wide problems are reported against the collection's directory
+    const directory = source?.length ? source[0].slice(0, source[0].lastIndexOf('/')) : key;
+    if (!Array.isArray(data)) {
+      report(directory, [`expected a list of entries, got ${describe(data)}`]);
+      return;
+    }
+    if (schema.minItems && data.length < schema.minItems) {
+      report(directory, [`expected at least ${schema.minItems} entr${schema.minItems === 1 ? 'y' : 'ies'}`]);
+    }
+
+    const files = data.map((_entry, index) => source?.[index] || `${key}[${index}]`);
+    data.forEach((entry, index) => {
+      const problems = [];
+      validateValue(entry, schema.rule, '', problems, context);
+      report(files[index], problems);
+    });
+    if (schema.uniqueBy) report(directory, findDuplicates(data, schema.uniqueBy, files));
+  });
+
+  return [...results.entries()].map(([file, problems]) => ({ file, problems }));
+};
+
+/**
+ * Helper function to validate the English content and every translation
+ * A problem in an English file is reported once, not again for each locale
+ * that inherits it
+ *
+ * @returns {Array<Object>} Problems grouped by file ({ file, problems }); empty when valid
+ * @usage const results = validateLocalizedContent();
+ */
+export const validateLocalizedContent = () => {
+  const results = new Map();
+  const collect = (fileResults) => fileResults.forEach(({ file, problems }) => {
+    results.set(file, [...new Set([...(results.get(file) || []), ...problems])]);
+  });
+
+  collect(validateContent());
+  Object.values(RAW_TRANSLATIONS).forEach(({ content, sources }) => collect(validateContent(content, sources)));
+
+  return [...results.entries()].map(([file, problems]) => ({ file, problems }));
+};
+
+/**
+ * Helper function to format validation results as a readable report
+ *
+ * @param {Array<Object>} results - Output of validateContent or validateLocalizedContent
+ * @returns {string} Multi-line report, or an empty string when there are no problems
+ * @usage console.error(formatValidationReport(validateContent()));
+ */
+export const formatValidationReport = (results) => {
+  const total = results.reduce((count, result) => count + result.problems.length, 0);
+  if (total === 0) return '';
+
+  const lines = [`Content validation failed with ${total} problem${total === 1 ? '' : 's'}:`];
+  results.forEach(({ file, problems }) => {
+    lines.push('', `  ${file}`);
+    problems.forEach(problem => lines.push(`    ✗ ${problem}`));
+  });
+  return lines.join('\n');
+};
@@ -0,0 +1,370 @@
+/**
+ * Memoized selectors over the content store
+ *
+ * Derived views of portfolio content such as featured projects, project
+ * filtering, totals, theme lists, technology usage, and technology search. Every selector takes the store as
+ * its first argument, so the same function works with the store from
+ * useContent inside components and with CONTENT in build-time code.
+ *
+ * Each selector caches its last result per store and freezes it, so
+ * repeated renders with the same arguments get the same immutable array
+ * back.
+ *
+ * @author Walter Magill
+ */
+
+import { getTotalMonths, getYearRange, periodsOverlap } from './dates';
+import { PROJECT_TAXONOMY } from './contentSchema';
+
+/**
+ * Wraps a selector so its last result is cached per store
+ * Only the most recent argument list is kept, so selectors fed free text,
+ * such as the project search query, do not hold a result for every keystroke
+ *
+ * @param {Function} selector - Function of (content, ...args)
+ * @returns {Function} Memoized selector with the same signature
+ */
+const memoizeSelector = (selector) => {
+  const cache = new WeakMap();
+
+  return (content, ...args) => {
+    const key = JSON.stringify(args);
+    const last = cache.get(content);
+    if (last?.key === key) return last.result;
+
+    const result = Object.freeze(selector(content, ...args));
+    cache.set(content, { key, result });
+    return result;
+  };
+};
+
+/**
+ * Converts a month count to years rounded to one decimal
+ *
+ * @param {number} months - Number of months
+ * @returns {number} Years, e.g. 2.4
+ */
+const monthsToYears = (months) => Math.round((months / 12) * 10) / 10;
+
+/**
+ * Selector for the most recent projects
+ * Useful for summary sections or landing page highlights
+ *
+ * @param {Object} content - Content store
+ * @param {number} [count=3] - Number of projects to return
+ * @returns {Array} Most recent projects limited by count
+ * @usage const featured = selectFeaturedProjects(content);
+ */
+export const selectFeaturedProjects = memoizeSelector((content, count = 3) => {
+  return content.projects.all.slice(0, count);
+});
+
+/**
+ * Selector for projects with live demos
+ *
+ * @param {Object} content - Content store
+ * @returns {Array} Projects that have live demo URLs
+ * @usage const demos = selectLiveDemoProjects(content);
+ */
+export const selectLiveDemoProjects = memoizeSelector((content) => {
+  return content.projects.all.filter(project => project.live !== null);
+});
+
+/**
+ * Sort orders for project listings, keyed by the value used in the URL
+ * `newest` keeps the store order
+ *
+ * @constant {Object} PROJECT_SORTS
+ */
+export const PROJECT_SORTS = {
+  newest: null,
+  oldest: (a, b) => a.id - b.id,
+  updated: (a, b) => b.updated.localeCompare(a.updated) || b.id - a.id,
+  title: (a, b) => a.title.localeCompare(b.title)
+};
+
+/**
+ * Project fields offered as facets, in display order
+ * Values come from PROJECT_TAXONOMY; years come from the projects themselves
+ *
+ * @constant {Array<string>} PROJECT_FACETS
+ */
+export const PROJECT_FACETS = ['category', 'year', 'collaboration', 'origin'];
+
+/**
+ * Selector for the technologies used across projects
+ *
+ * @param {Object} content - Content store
+ * @returns {Array<Object>} Technology references, most used first, ties in first-use order
+ * @usage const chips = selectProjectTechnologies(content);
+ */
+export const selectProjectTechnologies = memoizeSelector((content) => {
+  const usage = new Map();
+  content.projects.all.forEach(project => project.technologies.forEach((tech) => {
+    usage.set(tech.id, { tech, count: (usage.get(tech.id)?.count || 0) + 1 });
+  }));
+
+  return [...usage.values()]
+    .sort((a, b) => b.count - a.count)
+    .map(({ tech }) => tech);
+});
+
+/**
+ * Helper function to filter and sort projects
+ * Not memoized, so the facet counts can try each facet's alternatives
+ * without evicting the cached result of selectFilteredProjects
+ *
+ * @param {Object} content - Content store
+ * @param {Object} filters - Active filters, as for selectFilteredProjects
+ * @returns {Array} Matching projects in the requested order
+ * @usage const candidates = filterProjects(content, { ...filters, sort: null });
+ */
+const filterProjects = (content, { tech, live, query, facets = {}, sort } = {}) => {
+  const searchTerm = query?.trim().toLowerCase();
+  const technology = tech ? content.technologies.resolve(tech) : null;
+  const activeFacets = PROJECT_FACETS.filter(key => facets[key]?.length > 0);
+
+  const matches = content.projects.all.filter(project =>
+    (!technology || project.technologies.some(({ id }) => id === technology.id)) &&
+    (!live || project.live !== null) &&
+    (!searchTerm || [project.title, project.description].some(text => text.toLowerCase().includes(searchTerm))) &&
+    activeFacets.every(key => facets[key].includes(String(project[key])))
+  );
+
+  const compare = Object.hasOwn(PROJECT_SORTS, sort) ? PROJECT_SORTS[sort] : null;
+  return compare ? [...matches].sort(compare) : matches;
+};
+
+/**
+ * Selector for projects matching a set of filters
+ * Every filter is optional; unknown technologies and sort orders are ignored
+ *
+ * @param {Object} content - Content store
+ * @param {Object} filters - Active filters
+ * @param {string} [filters.tech] - Technology id, name, or alias the project must use
+ * @param {boolean} [filters.live] - Only projects with a live demo
+ * @param {string} [filters.query] - Text matched case-insensitively against title and description
+ * @param {Object} [filters.facets] - Selected values per facet in PROJECT_FACETS, such as
+ *   `{ category: ['web', 'game'] }`; a project must match one selected value of every facet
+ * @param {string} [filters.sort] - Key of PROJECT_SORTS
+ * @returns {Array} Matching projects in the requested order
+ * @usage const results = selectFilteredProjects(content, { tech: 'React', facets: { year: ['2025'] } });
+ */
+export const selectFilteredProjects = memoizeSelector(filterProjects);
+
+/**
+ * Selector for the project facets with a count for each value
+ * Each count applies every other active filter but ignores the facet's own
+ * selection, so it is the number of projects that selecting the value would
+ * add; values no project has are left out
+ *
+ * @param {Object} content - Content store
+ * @param {Object} [filters] - Active filters, as for selectFilteredProjects
+ * @returns {Array<Object>} Facets as `{ key, values }`, each value as `{ value, count, selected }`
+ * @usage const facets = selectProjectFacets(content, filters);
+ */
+export const selectProjectFacets = memoizeSelector((content, filters = {}) => {
+  const facets = filters.facets || {};
+
+  return PROJECT_FACETS.map((key) => {
+    const present = new Set(content.projects.all.map(project => String(project[key])));
+    const values = key === 'year'
+      ? [...present].sort((a, b) => b.localeCompare(a))
+      : PROJECT_TAXONOMY[key].filter(value => present.has(value));
+    const candidates = filterProjects(content, { ...filters, facets: { ...facets, [key]: [] }, sort: null });
+
+    return {
+      key,
+      values: values.map(value => ({
+        value,
+        count: candidates.filter(project => String(project[key]) === value).length,
+        selected: (facets[key] || []).includes(value)
+      }))
+    };
+  });
+});
+
+/**
+ * Selector for experiences within a range of years
+ *
+ * @param {Object} content - Content store
+ * @param {number} startYear - Starting year (inclusive)
+ * @param {number} endYear - Ending year (inclusive)
+ * @returns {Array} Experience entries with at least one month inside the range
+ * @usage const recent = selectExperiencesByTimeRange(content, 2022, 2024);
+ */
+export const selectExperiencesByTimeRange = memoizeSelector((content, startYear, endYear) => {
+  const range = getYearRange(startYear, endYear);
+  return content.experience.all.filter(experience => periodsOverlap(experience.period, range));
+});
+
+/**
+ * Selector for every technology mentioned across work experience
+ *
+ * @param {Object} content - Content store
+ * @returns {Array<string>} Unique technologies sorted alphabetically
+ * @usage const skills = selectExperienceTechnologies(content);
+ */
+export const selectExperienceTechnologies = memoizeSelector((content) => {
+  const allTech = content.experience.all.flatMap(experience => experience.technologies.map(tech => tech.name));
+  return [...new Set(allTech)].sort();
+});
+
+/**
+ * Selector for total years of professional experience
+ * Counts distinct months worked, so overlapping roles are not double counted
+ *
+ * @param {Object} content - Content store
+ * @returns {number} Years rounded to one decimal
+ * @usage const years = selectTotalYearsExperience(content);
+ */
+export const selectTotalYearsExperience = (content) => {
+  return monthsToYears(getTotalMonths(content.experience.all.map(experience => experience.period)));
+};
+
+/**
+ * Selector for community involvement in a theme
+ *
+ * @param {Object} content - Content store
+ * @param {string} theme - Theme to filter by (case-insensitive)
+ * @returns {Array} Matching community entries
+ * @usage const environmental = selectCommunityByTheme(content, 'Environment');
+ */
+export const selectCommunityByTheme = memoizeSelector((content, theme) => {
+  return content.community.all.filter(involvement =>
+    involvement.theme.toLowerCase() === theme.toLowerCase()
+  );
+});
+
+/**
+ * Selector for the themes represented in community involvement
+ *
+ * @param {Object} content - Content store
+ * @returns {Array<string>} Unique themes sorted alphabetically
+ * @usage const impactAreas = selectCommunityThemes(content);
+ */
+export const selectCommunityThemes = memoizeSelector((content) => {
+  return [...new Set(content.community.all.map(involvement => involvement.theme))].sort();
+});
+
+/**
+ * Selector for community roles with leadership titles
+ *
+ * @param {Object} content - Content store
+ * @returns {Array} Community entries whose title names a leadership position
+ * @usage const leadership = selectLeadershipRoles(content);
+ */
+export const selectLeadershipRoles = memoizeSelector((content) => {
+  const leadershipKeywords = ['chair', 'leader', 'president', 'director', 'coordinator', 'captain'];
+
+  return content.community.all.filter(involvement =>
+    leadershipKeywords.some(keyword => involvement.title.toLowerCase().includes(keyword))
+  );
+});
+
+/**
+ * Selector for community involvement within a range of years
+ *
+ * @param {Object} content - Content store
+ * @param {number} startYear - Starting year (inclusive)
+ * @param {number} endYear - Ending year (inclusive)
+ * @returns {Array} Community entries with at least one month inside the range
+ * @usage const college = selectCommunityByTimeRange(content, 2021, 2025);
+ */
+export const selectCommunityByTimeRange = memoizeSelector((content, startYear, endYear) => {
+  const range = getYearRange(startYear, endYear);
+  return content.community.all.filter(involvement => periodsOverlap(involvement.period, range));
+});
+
+/**
+ * Selector for total years of community involvement
+ * Counts distinct months, so concurrent roles are not double counted
+ *
+ * @param {Object} content - Content store
+ * @returns {number} Years rounded to one decimal
+ * @usage const years = selectTotalYearsInvolvement(content);
+ */
+export const selectTotalYearsInvolvement = (content) => {
+  return monthsToYears(getTotalMonths(content.community.all.map(involvement => involvement.period)));
+};
+
+/**
+ * Selector for a summary of community engagement breadth and depth
+ *
+ * @param {Object} content - Content store
+ * @returns {Object} Summary with counts, impact areas, and commitment flags
+ * @usage const summary = selectCommunityImpactSummary(content);
+ */
+export const selectCommunityImpactSummary = memoizeSelector((content) => {
+  const involvements = content.community.all;
+  const leadershipRoles = selectLeadershipRoles(content);
+  const totalYears = selectTotalYearsInvolvement(content);
+
+  return {
+    totalInvolvements: involvements.length,
+    impactAreas: selectCommunityThemes(content),
+    leadershipPositions: leadershipRoles.length,
+    yearsOfService: totalYears,
+    organizationsServed: new Set(involvements.map(involvement => involvement.organization)).size,
+    geographicReach: [...new Set(involvements.map(involvement => involvement.location))],
+    consistentCommitment: totalYears >= 3, // Indicates sustained engagement
+    leadershipProgression: leadershipRoles.length > 0 // Shows advancement to leadership roles
+  };
+});
+
+/**
+ * Selector for every technology name in the tech stack
+ *
+ * @param {Object} content - Content store
+ * @returns {Array<string>} Technology names in category order
+ * @usage const stack = selectStackTechnologies(content);
+ */
+export const selectStackTechnologies = memoizeSelector((content) => {
+  return content.techStack.categories.flatMap(category =>
+    category.technologies.map(technology => technology.name)
+  );
+});
+
+/**
+ * Selector for technologies used by at least one project or role
+ *
+ * @param {Object} content - Content store
+ * @returns {Array<Object>} Technologies from the graph, most used first, ties in registry order
+ * @usage const skills = selectUsedTechnologies(content);
+ */
+export const selectUsedTechnologies = memoizeSelector((content) => {
+  const usageCount = (technology) => technology.projects.length + technology.experience.length;
+
+  return content.technologies.all
+    .filter(technology => usageCount(technology) > 0)
+    .sort((a, b) => usageCount(b) - usageCount(a));
+});
+
+/**
+ * Selector for tech stack entries matching a search term
+ *
+ * @param {Object} content - Content store
+ * @param {string} query - Term matched against name, aliases, description, and usage
+ * @returns {Array<Object>} Matching technologies with `category` and `categoryTitle`
+ * @usage const results = searchTechnologies(content, 'react');
+ */
+export const searchTechnologies = memoizeSelector((content, query) => {
+  const searchTerm = query.toLowerCase();
+
+  return content.techStack.categories.flatMap(category =>
+    category.technologies
+      .filter(technology =>
+        [
+          technology.name,
+          ...(content.technologies.getById(technology.id)?.aliases || []),
+          technology.description,
+          technology.usage
+        ].some(text => text.toLowerCase().includes(searchTerm))
+      )
+      .map(technology => ({
+        ...technology,
+        category: category.key,
+        categoryTitle: category.title
+      }))
+  );
+});
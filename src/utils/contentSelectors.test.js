@@ -0,0 +1,39 @@
+/**
+ * Tests for the memoized content selectors
+ *
+ * Checks that repeated calls share one frozen result and that each selector
+ * keeps only its latest result, so a stream of search queries does not
+ * pile up cached results.
+ *
+ * @author Walter Magill
+ */
+
+import { describe, expect, it } from 'vitest';
+import { CONTENT } from './contentStore';
+import { selectFilteredProjects, selectProjectFacets } from './contentSelectors';
+
+describe('selectFilteredProjects', () => {
+  it('returns the same frozen result for the same filters', () => {
+    const first = selectFilteredProjects(CONTENT, { query: 'game' });
+
+    expect(selectFilteredProjects(CONTENT, { query: 'game' })).toBe(first);
+    expect(Object.isFrozen(first)).toBe(true);
+  });
+
+  it('keeps only the result for the latest filters', () => {
+    const first = selectFilteredProjects(CONTENT, { query: 'g' });
+    selectFilteredProjects(CONTENT, { query: 'ga' });
+
+    const again = selectFilteredProjects(CONTENT, { query: 'g' });
+    expect(again).not.toBe(first);
+    expect(again).toEqual(first);
+  });
+
+  it('keeps its result while the facet counts are computed', () => {
+    const filters = { facets: { category: ['web'] } };
+    const projects = selectFilteredProjects(CONTENT, filters);
+    selectProjectFacets(CONTENT, filters);
+
+    expect(selectFilteredProjects(CONTENT, filters)).toBe(projects);
+  });
+});
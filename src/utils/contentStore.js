@@ -0,0 +1,279 @@
+/**
+ * Unified content store for all portfolio data
+ *
+ * Single content layer between the content/ directory and the rest of the
+ * app. Raw content arrives from the content loader plugin (virtual:content).
+ * Builds immutable, pre-sorted, indexed collections for projects,
+ * experience, community involvement, the tech stack, and the about copy,
+ * so components never re-sort or mutate shared arrays themselves.
+ *
+ * Technology references in every entry are resolved against the registry
+ * in content/technologies.yaml into a cross-linked graph: each entry lists
+ * `{ id, name, category }` technologies, and each technology lists the
+ * projects and roles that used it.
+ *
+ * Components read the store through the useContent hook; build scripts and
+ * non-React helpers import CONTENT directly. Translated stores for other
+ * locales come from getContent, built from the translations in
+ * content/locales/. Swapping in a different content source only means
+ * passing other data to createContentStore.
+ *
+ * @author Walter Magill
+ */
+
+import RAW_CONTENT, { translations as RAW_TRANSLATIONS } from 'virtual:content';
+import { createTechnologyResolver, normalizeTechnology } from './technologies';
+import { LOCALE_CONFIG } from './i18n';
+
+/**
+ * Recursively freezes a value so shared content cannot be mutated in place
+ *
+ * @param {*} value - Value to freeze
+ * @returns {*} The same value, frozen
+ */
+const deepFreeze = (value) => {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.freeze(value);
+    Object.values(value).forEach(deepFreeze);
+  }
+  return value;
+};
+
+// Newest first: higher IDs are more recent across every collection
+const byNewest = (a, b) => b.id - a.id;
+
+/**
+ * Builds the shared reference object for each registered technology
+ * Entries point at these objects, so the same technology is always the same object
+ *
+ * @param {Object} registry - Technology registry keyed by id
+ * @returns {Map<string, Object>} Frozen `{ id, name, category }` references by id
+ */
+const createTechnologyRefs = (registry) => {
+  return new Map(Object.entries(registry).map(([id, technology]) => [
+    id,
+    Object.freeze({ id, name: technology.name, category: technology.category })
+  ]));
+};
+
+/**
+ * Replaces technology references in entries with registry references
+ * Unregistered references are kept by name so the page still renders;
+ * content validation reports them
+ *
+ * @param {Array<Object>} items - Source entries
+ * @param {Function} resolveTechnology - Reference to id resolver
+ * @param {Map<string, Object>} refs - Registry references by id
+ * @returns {Array<Object>} Entries with resolved `technologies`
+ */
+const linkTechnologies = (items, resolveTechnology, refs) => {
+  return items.map(item => (!item.technologies ? item : {
+    ...item,
+    technologies: item.technologies.map(reference =>
+      refs.get(resolveTechnology(reference)) || { id: normalizeTechnology(reference), name: reference, category: null }
+    )
+  }));
+};
+
+/**
+ * Builds a sorted, indexed collection with memoized lookups
+ *
+ * @param {Array<Object>} items - Source entries with `id` and resolved `technologies`
+ * @param {Function} compare - Sort comparator
+ * @param {Function} resolveTechnology - Reference to id resolver
+ * @returns {Object} Frozen collection
+ */
+const createCollection = (items, compare, resolveTechnology) => {
+  const all = deepFreeze([...items].sort(compare));
+  const byId = new Map(all.map(item => [String(item.id), item]));
+  const technologyCache = new Map();
+
+  return Object.freeze({
+    /** Every entry, pre-sorted */
+    all,
+
+    /**
+     * Looks up an entry by ID; accepts strings so route params can be passed directly
+     *
+     * @param {number|string} id - Entry identifier
+     * @returns {Object|null} Matching entry or null
+     */
+    getById: (id) => byId.get(String(id)) || null,
+
+    /**
+     * Lists entries that used a technology
+     *
+     * @param {string} technology - Registry id, name, or alias such as "react" or "React.js"
+     * @returns {Array<Object>} Matching entries in collection order; empty for unknown technologies
+     */
+    getByTechnology: (technology) => {
+      const id = resolveTechnology(technology);
+      if (!technologyCache.has(id)) {
+        technologyCache.set(id, Object.freeze(id === null ? [] : all.filter(item =>
+          (item.technologies || []).some(tech => tech.id === id)
+        )));
+      }
+      return technologyCache.get(id);
+    }
+  });
+};
+
+/**
+ * Builds the tech stack collection as an ordered list of categories
+ *
+ * @param {Object} techStack - Tech stack keyed by category, technologies keyed by registry id
+ * @param {Function} resolveTechnology - Reference to id resolver
+ * @param {Map<string, Object>} refs - Registry references by id
+ * @returns {Object} Frozen tech stack collection
+ */
+const createTechStack = (techStack, resolveTechnology, refs) => {
+  const categories = deepFreeze(Object.entries(techStack).map(([key, category]) => ({
+    key,
+    title: category.title,
+    technologies: Object.entries(category.technologies).map(([reference, details]) => ({
+      ...(refs.get(resolveTechnology(reference)) || { id: reference, name: reference, category: key }),
+      ...details
+    }))
+  })));
+  const byKey = new Map(categories.map(category => [category.key, category]));
+
+  return Object.freeze({
+    /** Categories in display order, each with a `technologies` list */
+    categories,
+
+    /**
+     * Looks up a category by key
+     *
+     * @param {string} key - Category key such as "frontend"
+     * @returns {Object|null} Matching category or null
+     */
+    getCategory: (key) => byKey.get(key) || null
+  });
+};
+
+/**
+ * Builds the technology graph linking each technology to where it was used
+ *
+ * @param {Object} registry - Technology registry keyed by id
+ * @param {Function} resolveTechnology - Reference to id resolver
+ * @param {Object} collections - Built `projects`, `experience`, and `techStack`
+ * @returns {Object} Frozen technology collection
+ */
+const createTechnologyGraph = (registry, resolveTechnology, { projects, experience, techStack }) => {
+  const stackEntries = new Map(techStack.categories.flatMap(category =>
+    category.technologies.map(({ id, description, usage }) => [id, { category: category.key, description, usage }])
+  ));
+
+  const all = Object.freeze(Object.entries(registry).map(([id, technology]) => Object.freeze({
+    id,
+    name: technology.name,
+    category: technology.category,
+    aliases: Object.freeze([...(technology.aliases || [])]),
+    projects: projects.getByTechnology(id),
+    experience: experience.getByTechnology(id),
+    stack: Object.freeze(stackEntries.get(id) || null)
+  })));
+  const byId = new Map(all.map(technology => [technology.id, technology]));
+  const categoryCache = new Map();
+
+  return Object.freeze({
+    /** Every registered technology in registry order */
+    all,
+
+    /**
+     * Looks up a technology by registry id
+     *
+     * @param {string} id - Registry id such as "react"
+     * @returns {Object|null} Technology with `projects`, `experience`, and `stack`, or null
+     */
+    getById: (id) => byId.get(id) || null,
+
+    /**
+     * Looks up a technology by any spelling
+     *
+     * @param {string} reference - Id, name, or alias such as "React.js"
+     * @returns {Object|null} Matching technology or null
+     */
+    resolve: (reference) => byId.get(resolveTechnology(reference)) || null,
+
+    /**
+     * Lists technologies in a category
+     *
+     * @param {string} category - Category such as "frontend"
+     * @returns {Array<Object>} Technologies in registry order
+     */
+    getByCategory: (category) => {
+      if (!categoryCache.has(category)) {
+        categoryCache.set(category, Object.freeze(all.filter(technology => technology.category === category)));
+      }
+      return categoryCache.get(category);
+    }
+  });
+};
+
+/**
+ * Helper function to build a content store from raw content
+ *
+ * @param {Object} source - Raw content
+ * @param {Object} source.technologies - Technology registry keyed by id (see content/technologies.yaml)
+ * @param {Array<Object>} source.projects - Project entries (see content/projects)
+ * @param {Array<Object>} source.experience - Experience entries (see content/experience)
+ * @param {Array<Object>} source.community - Community entries (see content/community)
+ * @param {Object} source.techStack - Tech stack keyed by category (see content/tech-stack.yaml)
+ * @param {Object} source.about - About section copy (see content/about)
+ * @returns {Object} Frozen store with `technologies`, `projects`, `experience`, `community`, `techStack`, and `about`
+ * @usage const store = createContentStore({ technologies, projects, experience, community, techStack, about });
+ */
+export const createContentStore = ({ technologies, projects, experience, community, techStack, about }) => {
+  const resolveTechnology = createTechnologyResolver(technologies);
+  const refs = createTechnologyRefs(technologies);
+
+  const collections = {
+    projects: createCollection(linkTechnologies(projects, resolveTechnology, refs), byNewest, resolveTechnology),
+    experience: createCollection(linkTechnologies(experience, resolveTechnology, refs), byNewest, resolveTechnology),
+    community: createCollection(community, byNewest, resolveTechnology),
+    techStack: createTechStack(techStack, resolveTechnology, refs)
+  };
+
+  return Object.freeze({
+    ...collections,
+    technologies: createTechnologyGraph(technologies, resolveTechnology, collections),
+    about: deepFreeze(about)
+  });
+};
+
+/**
+ * The site's content store, built from the content/ directory
+ *
+ * @constant {Object} CONTENT
+ */
+export const CONTENT = createContentStore(RAW_CONTENT);
+
+// Translated stores, built the first time each locale is requested
+const localizedStores = new Map([[LOCALE_CONFIG.DEFAULT, CONTENT]]);
+
+/**
+ * Helper function to get the content store for a locale
+ * Files without a translation keep their English content; in development
+ * each one is reported once so gaps are easy to spot
+ *
+ * @param {string} locale - Locale code such as "es"
+ * @returns {Object} Content store in that locale; CONTENT for English or locales without translations
+ * @usage const content = getContent(locale);
+ */
+export const getContent = (locale) => {
+  if (localizedStores.has(locale)) return localizedStores.get(locale);
+
+  const translation = RAW_TRANSLATIONS[locale];
+  if (!translation) return CONTENT;
+
+  if (import.meta.env.DEV && translation.missing.length > 0) {
+    console.warn(`[i18n] No "${locale}" translation for ${translation.missing.join(', ')}; using English`);
+  }
+
+  const store = createContentStore(translation.content);
+  localizedStores.set(locale, store);
+  return store;
+};
+
+export default CONTENT;
@@ -0,0 +1,289 @@
+/**
+ * Month-precision date model for experience and community periods
+ *
+ * Periods are stored as structured start/end months rather than display
+ * strings, so helpers can compute durations, date ranges, and overlaps
+ * without re-parsing text. Ongoing roles use PRESENT as their end and are
+ * measured up to the current month.
+ *
+ * Features inclusive month arithmetic (June – August is 3 months, matching
+ * how résumés and LinkedIn count), overlap-aware totals, and locale-aware
+ * formatting through Intl.DateTimeFormat and Intl.PluralRules. Calendar
+ * dates such as a repository's last commit are shown relative to a
+ * reference day ("3 months ago") through Intl.RelativeTimeFormat.
+ *
+ * @author Walter Magill
+ */
+
+/**
+ * End value for periods that are still ongoing
+ *
+ * @constant {string} PRESENT
+ */
+export const PRESENT = 'present';
+
+/**
+ * Month value format used by period start and end fields
+ *
+ * @constant {RegExp} MONTH_PATTERN
+ */
+export const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Display defaults; the locale and labels are overridable per call
+// Duration units are keyed by Intl.PluralRules category
+const DATE_FORMAT_DEFAULTS = {
+  LOCALE: 'en-US',
+  MONTH_STYLE: 'long',
+  PRESENT_LABEL: 'Present',
+  RANGE_SEPARATOR: ' – ',
+  DURATION_UNITS: {
+    year: { one: 'yr', other: 'yrs' },
+    month: { one: 'mo', other: 'mos' }
+  }
+};
+
+// Largest unit a relative date uses at each age, in days; older dates count years
+const RELATIVE_UNITS = [
+  { unit: 'day', days: 1, below: 30 },
+  { unit: 'month', days: 365.25 / 12, below: 365 },
+  { unit: 'year', days: 365.25, below: Infinity }
+];
+
+/**
+ * Converts a month value to a sequential month number for arithmetic
+ *
+ * @param {string} value - Month in YYYY-MM format, or PRESENT
+ * @param {Date} now - Reference date used for PRESENT
+ * @returns {number} Months since year 0
+ */
+const toMonthIndex = (value, now) => {
+  if (value === PRESENT) {
+    return now.getFullYear() * 12 + now.getMonth();
+  }
+  const [year, month] = value.split('-').map(Number);
+  return year * 12 + (month - 1);
+};
+
+/**
+ * Converts a sequential month number back to YYYY-MM
+ *
+ * @param {number} index - Months since year 0
+ * @returns {string} Month in YYYY-MM format
+ */
+const fromMonthIndex = (index) => {
+  const year = Math.floor(index / 12);
+  const month = (index % 12) + 1;
+  return `${year}-${String(month).padStart(2, '0')}`;
+};
+
+/**
+ * Helper function to check whether a period is still ongoing
+ *
+ * @param {Object} period - Period with `start` and `end`
+ * @returns {boolean} True when the period ends at PRESENT
+ * @usage const isCurrentRole = isOngoing(experience.period);
+ */
+export const isOngoing = (period) => period.end === PRESENT;
+
+/**
+ * Helper function to count the months a period covers, inclusive of both ends
+ *
+ * @param {Object} period - Period with `start` and `end`
+ * @param {Date} [now=new Date()] - Reference date for ongoing periods
+ * @returns {number} Number of months (0 or less when the end precedes the start)
+ * @usage const months = getDurationInMonths({ start: '2024-06', end: '2024-08' }); // 3
+ */
+export const getDurationInMonths = (period, now = new Date()) => {
+  return toMonthIndex(period.end, now) - toMonthIndex(period.start, now) + 1;
+};
+
+/**
+ * Helper function to format a month count as a compact duration
+ *
+ * @param {number} months - Number of months
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.locale='en-US'] - BCP 47 locale used to pick plural forms
+ * @param {Object} [options.units] - Year and month labels keyed by plural category,
+ *   e.g. `{ year: { one: 'año', other: 'años' }, month: { one: 'mes', other: 'meses' } }`
+ * @returns {string} Duration such as "3 mos", "1 yr", or "1 yr 4 mos"
+ * @usage const label = formatDuration(getDurationInMonths(experience.period));
+ */
+export const formatDuration = (months, {
+  locale = DATE_FORMAT_DEFAULTS.LOCALE,
+  units = DATE_FORMAT_DEFAULTS.DURATION_UNITS
+} = {}) => {
+  const pluralRules = new Intl.PluralRules(locale);
+  const label = (count, unit) => {
+    const forms = units[unit] || DATE_FORMAT_DEFAULTS.DURATION_UNITS[unit];
+    return `${count} ${forms[pluralRules.select(count)] ?? forms.other}`;
+  };
+
+  const years = Math.floor(months / 12);
+  const remainder = months % 12;
+  const parts = [];
+
+  if (years > 0) parts.push(label(years, 'year'));
+  if (remainder > 0 || years === 0) parts.push(label(remainder, 'month'));
+
+  return parts.join(' ');
+};
+
+/**
+ * Helper function to check whether two periods share at least one month
+ *
+ * @param {Object} a - First period
+ * @param {Object} b - Second period
+ * @param {Date} [now=new Date()] - Reference date for ongoing periods
+ * @returns {boolean} True when the periods overlap
+ * @usage const concurrent = periodsOverlap(roleA.period, roleB.period);
+ */
+export const periodsOverlap = (a, b, now = new Date()) => {
+  return toMonthIndex(a.start, now) <= toMonthIndex(b.end, now)
+    && toMonthIndex(b.start, now) <= toMonthIndex(a.end, now);
+};
+
+/**
+ * Helper function to get the overall range spanned by several periods
+ *
+ * @param {Array<Object>} periods - Periods to combine
+ * @param {Date} [now=new Date()] - Reference date for ongoing periods
+ * @returns {Object|null} Period from the earliest start to the latest end, or null when empty
+ * @usage const range = getPeriodRange(content.experience.all.map(experience => experience.period));
+ */
+export const getPeriodRange = (periods, now = new Date()) => {
+  if (periods.length === 0) return null;
+
+  const start = Math.min(...periods.map(period => toMonthIndex(period.start, now)));
+  const end = periods.some(isOngoing)
+    ? PRESENT
+    : fromMonthIndex(Math.max(...periods.map(period => toMonthIndex(period.end, now))));
+
+  return { start: fromMonthIndex(start), end };
+};
+
+/**
+ * Helper function to count the distinct months covered by several periods
+ * Overlapping periods are merged first so concurrent roles are not double counted
+ *
+ * @param {Array<Object>} periods - Periods to total
+ * @param {Date} [now=new Date()] - Reference date for ongoing periods
+ * @returns {number} Number of distinct months
+ * @usage const months = getTotalMonths(content.community.all.map(involvement => involvement.period));
+ */
+export const getTotalMonths = (periods, now = new Date()) => {
+  const spans = periods
+    .map(period => [toMonthIndex(period.start, now), toMonthIndex(period.end, now)])
+    .sort((a, b) => a[0] - b[0]);
+
+  let total = 0;
+  let current = null;
+
+  spans.forEach(([start, end]) => {
+    if (current && start <= current[1] + 1) {
+      current[1] = Math.max(current[1], end);
+      return;
+    }
+    if (current) total += current[1] - current[0] + 1;
+    current = [start, end];
+  });
+
+  return current ? total + current[1] - current[0] + 1 : total;
+};
+
+/**
+ * Helper function to build a period covering whole calendar years
+ *
+ * @param {number} startYear - First year (inclusive)
+ * @param {number} endYear - Last year (inclusive)
+ * @returns {Object} Period from January of startYear to December of endYear
+ * @usage const college = getYearRange(2021, 2025);
+ */
+export const getYearRange = (startYear, endYear) => ({
+  start: `${startYear}-01`,
+  end: `${endYear}-12`
+});
+
+/**
+ * Helper function to format a single month for display
+ * Builds the date from local components so the month never shifts with timezone
+ *
+ * @param {string} value - Month in YYYY-MM format
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.locale='en-US'] - BCP 47 locale
+ * @param {string} [options.month='long'] - Intl month style ("long", "short", "numeric")
+ * @returns {string} Localized month such as "June 2024" or "juin 2024"
+ * @usage const label = formatMonth('2024-06', { month: 'short' }); // "Jun 2024"
+ */
+export const formatMonth = (value, {
+  locale = DATE_FORMAT_DEFAULTS.LOCALE,
+  month = DATE_FORMAT_DEFAULTS.MONTH_STYLE
+} = {}) => {
+  const [year, monthNumber] = value.split('-').map(Number);
+  return new Intl.DateTimeFormat(locale, { year: 'numeric', month })
+    .format(new Date(year, monthNumber - 1, 1));
+};
+
+/**
+ * Helper function to format a period for display
+ *
+ * @param {Object} period - Period with `start` and `end`
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.locale='en-US'] - BCP 47 locale
+ * @param {string} [options.month='long'] - Intl month style
+ * @param {string} [options.presentLabel='Present'] - Label shown for ongoing periods
+ * @returns {string} Range such as "June 2024 – August 2024" or "May 2021 – Present"
+ * @usage const label = formatPeriod(experience.period);
+ */
+export const formatPeriod = (period, {
+  locale = DATE_FORMAT_DEFAULTS.LOCALE,
+  month = DATE_FORMAT_DEFAULTS.MONTH_STYLE,
+  presentLabel = DATE_FORMAT_DEFAULTS.PRESENT_LABEL
+} = {}) => {
+  const start = formatMonth(period.start, { locale, month });
+  if (period.end === period.start) return start;
+
+  const end = isOngoing(period) ? presentLabel : formatMonth(period.end, { locale, month });
+  return `${start}${DATE_FORMAT_DEFAULTS.RANGE_SEPARATOR}${end}`;
+};
+
+/**
+ * Helper function to format a period followed by its length
+ *
+ * @param {Object} period - Period with `start` and `end`
+ * @param {Object} [options] - Formatting options accepted by formatPeriod and formatDuration
+ * @returns {string} Label such as "May 2021 – August 2022 · 1 yr 4 mos"
+ * @usage renderMetadataItem(Calendar, formatPeriodWithDuration(experience.period));
+ */
+export const formatPeriodWithDuration = (period, options) => {
+  return `${formatPeriod(period, options)} · ${formatDuration(getDurationInMonths(period), options)}`;
+};
+
+/**
+ * Helper function to format a calendar date relative to a reference day
+ * Both days are read as local calendar dates, so the result never shifts with timezone
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.locale='en-US'] - BCP 47 locale
+ * @param {Date|string} [options.now=new Date()] - Reference day, as a Date or YYYY-MM-DD
+ * @returns {string} Label such as "today", "12 days ago", or "2 years ago"
+ * @usage const label = formatRelativeDate(repository.lastCommit, { now: repository.fetchedAt });
+ */
+export const formatRelativeDate = (date, {
+  locale = DATE_FORMAT_DEFAULTS.LOCALE,
+  now = new Date()
+} = {}) => {
+  const toDay = (value) => {
+    if (typeof value !== 'string') return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  };
+  // Rounded, as daylight saving time makes some days 23 or 25 hours long
+  const days = Math.max(0, Math.round((toDay(now) - toDay(date)) / 86400000));
+  const { unit, days: unitDays } = RELATIVE_UNITS.find(({ below }) => days < below);
+
+  // "auto" only for days, where "yesterday" reads better than "1 day ago";
+  // "last year" would suggest the previous calendar year
+  return new Intl.RelativeTimeFormat(locale, { numeric: unit === 'day' ? 'auto' : 'always' })
+    .format(-Math.max(unit === 'day' ? 0 : 1, Math.round(days / unitDays)), unit);
+};
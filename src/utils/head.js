@@ -0,0 +1,211 @@
+/**
+ * Document head configuration and tag building
+ *
+ * Turns a page's head description (title, description, canonical path,
+ * share image) into the full set of tags needed for search engines and
+ * link unfurlers: title template, meta description, canonical URL,
+ * alternate-language links, Open Graph, Twitter card, and theme-color. The same tag list is applied
+ * to the live document on the client and serialized into prerendered HTML.
+ *
+ * Share images are the social cards rendered at build time by
+ * scripts/og-images.js; this module owns where they live.
+ *
+ * @author Walter Magill
+ */
+
+import { SITE_CONFIG } from './constants';
+import headshotImage from '../assets/headshot-1x1.jpg';
+
+/**
+ * Generated social card configuration
+ *
+ * @constant {Object} SHARE_IMAGE_CONFIG
+ * @property {number} WIDTH - Card width in pixels (Open Graph recommended size)
+ * @property {number} HEIGHT - Card height in pixels
+ * @property {string} DIR - URL directory the build writes cards into
+ * @property {string} PORTRAIT - Headshot shown on the home card
+ */
+export const SHARE_IMAGE_CONFIG = {
+  WIDTH: 1200,
+  HEIGHT: 630,
+  DIR: '/og',
+  PORTRAIT: headshotImage
+};
+
+/**
+ * Helper function to get the URL of a generated social card
+ *
+ * @param {string} key - Card key: "home" or "projects/<id>"
+ * @returns {string} Root-relative PNG URL
+ * @usage const image = getShareImagePath(`projects/${project.id}`);
+ */
+export const getShareImagePath = (key) => {
+  return `${SHARE_IMAGE_CONFIG.DIR}/${key}.png`;
+};
+
+/**
+ * Site-wide head defaults
+ *
+ * @constant {Object} HEAD_DEFAULTS
+ * @property {string} title - Title used when a page does not set its own
+ * @property {string} titleTemplate - Template for page titles; %s is replaced by the page title
+ * @property {string} description - Fallback meta description
+ * @property {string} image - Fallback share image URL
+ * @property {string} imageAlt - Alt text for the fallback share image
+ * @property {Object} themeColors - Browser UI colors for light and dark color schemes
+ */
+export const HEAD_DEFAULTS = {
+  title: `${SITE_CONFIG.name} | ${SITE_CONFIG.title}`,
+  titleTemplate: `%s | ${SITE_CONFIG.name}`,
+  description: SITE_CONFIG.description,
+  image: getShareImagePath('home'),
+  imageAlt: `${SITE_CONFIG.name}, ${SITE_CONFIG.title}`,
+  themeColors: {
+    light: '#ffffff',
+    dark: '#111827'
+  }
+};
+
+/**
+ * Resolves a root-relative URL against the canonical site origin
+ *
+ * @param {string} url - Absolute or root-relative URL
+ * @returns {string} Absolute URL
+ */
+export const toAbsoluteUrl = (url) => {
+  if (/^https?:\/\//.test(url)) return url;
+  const origin = SITE_CONFIG.url.replace(/\/+$/, '');
+  return `${origin}${url.startsWith('/') ? '' : '/'}${url}`;
+};
+
+/**
+ * Builds the complete head for a page
+ *
+ * @param {Object} options - Page head options
+ * @param {string} [options.title] - Page title, inserted into the title template
+ * @param {string} [options.description] - Meta description
+ * @param {string} options.canonicalPath - Path of the canonical URL for this page
+ * @param {Array<Object>} [options.alternates] - Translations of the page as `{ hreflang, path }`
+ * @param {string} [options.ogLocale] - Open Graph locale of the page, e.g. "es_ES"
+ * @param {string} [options.image] - Share image URL (imported asset or absolute URL)
+ * @param {string} [options.imageAlt] - Alt text for the share image
+ * @param {number} [options.imageWidth] - Share image width in pixels
+ * @param {number} [options.imageHeight] - Share image height in pixels
+ * @param {string} [options.type] - Open Graph type ("website" or "article")
+ * @param {string} [options.themeColor] - Single theme color overriding the light/dark pair
+ * @param {boolean} [options.noindex] - Ask search engines not to index the page
+ * @param {Object} [options.structuredData] - Schema.org JSON-LD document (see structuredData.js)
+ * @returns {Object} Head object with `title` and a `tags` array of { tag, attrs, content? }
+ * @usage const head = buildHead({ title: 'LessonLink', canonicalPath: '/projects/4' });
+ */
+export const buildHead = ({
+  title,
+  description = HEAD_DEFAULTS.description,
+  canonicalPath,
+  alternates = [],
+  ogLocale,
+  image = HEAD_DEFAULTS.image,
+  imageAlt = HEAD_DEFAULTS.imageAlt,
+  imageWidth = SHARE_IMAGE_CONFIG.WIDTH,
+  imageHeight = SHARE_IMAGE_CONFIG.HEIGHT,
+  type = 'website',
+  themeColor,
+  noindex = false,
+  structuredData
+}) => {
+  const fullTitle = title ? HEAD_DEFAULTS.titleTemplate.replace('%s', title) : HEAD_DEFAULTS.title;
+  const canonicalUrl = toAbsoluteUrl(canonicalPath);
+  const imageUrl = image ? toAbsoluteUrl(image) : null;
+
+  const tags = [
+    { tag: 'meta', attrs: { name: 'description', content: description } },
+    { tag: 'link', attrs: { rel: 'canonical', href: canonicalUrl } },
+    ...alternates.map(({ hreflang, path }) => ({
+      tag: 'link',
+      attrs: { rel: 'alternate', hreflang, href: toAbsoluteUrl(path) }
+    })),
+
+    // Open Graph (Slack, LinkedIn, Facebook, iMessage)
+    { tag: 'meta', attrs: { property: 'og:site_name', content: SITE_CONFIG.name } },
+    { tag: 'meta', attrs: { property: 'og:type', content: type } },
+    { tag: 'meta', attrs: { property: 'og:title', content: title || HEAD_DEFAULTS.title } },
+    { tag: 'meta', attrs: { property: 'og:description', content: description } },
+    { tag: 'meta', attrs: { property: 'og:url', content: canonicalUrl } },
+    ...(ogLocale ? [{ tag: 'meta', attrs: { property: 'og:locale', content: ogLocale } }] : []),
+
+    // Twitter / X card
+    { tag: 'meta', attrs: { name: 'twitter:card', content: imageUrl ? 'summary_large_image' : 'summary' } },
+    { tag: 'meta', attrs: { name: 'twitter:title', content: title || HEAD_DEFAULTS.title } },
+    { tag: 'meta', attrs: { name: 'twitter:description', content: description } }
+  ];
+
+  if (imageUrl) {
+    tags.push(
+      { tag: 'meta', attrs: { property: 'og:image', content: imageUrl } },
+      { tag: 'meta', attrs: { property: 'og:image:width', content: String(imageWidth) } },
+      { tag: 'meta', attrs: { property: 'og:image:height', content: String(imageHeight) } },
+      { tag: 'meta', attrs: { property: 'og:image:alt', content: imageAlt } },
+      { tag: 'meta', attrs: { name: 'twitter:image', content: imageUrl } }
+    );
+  }
+
+  if (themeColor) {
+    tags.push({ tag: 'meta', attrs: { name: 'theme-color', content: themeColor } });
+  } else {
+    tags.push(
+      { tag: 'meta', attrs: { name: 'theme-color', media: '(prefers-color-scheme: light)', content: HEAD_DEFAULTS.themeColors.light } },
+      { tag: 'meta', attrs: { name: 'theme-color', media: '(prefers-color-scheme: dark)', content: HEAD_DEFAULTS.themeColors.dark } }
+    );
+  }
+
+  if (noindex) {
+    tags.push({ tag: 'meta', attrs: { name: 'robots', content: 'noindex' } });
+  }
+
+  if (structuredData) {
+    tags.push({
+      tag: 'script',
+      attrs: { type: 'application/ld+json' },
+      content: JSON.stringify(structuredData)
+    });
+  }
+
+  return { title: fullTitle, tags };
+};
+
+/**
+ * Escapes text for use inside HTML attribute values and text content
+ *
+ * @param {string} value - Raw text
+ * @returns {string} HTML-escaped text
+ */
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Serializes a head object to HTML for prerendered pages
+ * Tags carry a data-head attribute so the client can recognise and update them
+ *
+ * @param {Object} head - Head object from buildHead
+ * @returns {string} HTML for insertion into <head>
+ */
+export const renderHeadToString = (head) => {
+  const tags = head.tags.map(({ tag, attrs, content }) => {
+    const attributes = Object.entries(attrs)
+      .map(([name, value]) => `${name}="${escapeHtml(value)}"`)
+      .join(' ');
+
+    if (content !== undefined) {
+      // Escape "<" so text such as "</script>" cannot end the element early
+      return `<${tag} data-head ${attributes}>${content.replace(/</g, '\\u003c')}</${tag}>`;
+    }
+    return `<${tag} data-head ${attributes} />`;
+  });
+
+  return [`<title>${escapeHtml(head.title)}</title>`, ...tags].join('\n    ');
+};
@@ -0,0 +1,196 @@
+/**
+ * Internationalization configuration, locale-aware paths, and message lookup
+ *
+ * Every UI string lives in a message catalog under src/locales, one JSON
+ * file per locale with the same nested keys. English is the default locale
+ * and is served from unprefixed URLs (/projects/4); every other locale is
+ * served under its own prefix (/es/projects/4), so each language has real,
+ * shareable, prerendered pages.
+ *
+ * Features `{name}` interpolation, plural forms chosen with
+ * Intl.PluralRules, and an English fallback for any key a catalog is
+ * missing, with a one-time console warning during development.
+ *
+ * @author Walter Magill
+ */
+
+import en from '../locales/en.json';
+import es from '../locales/es.json';
+
+/**
+ * Supported locales and how they are presented
+ *
+ * @constant {Object} LOCALE_CONFIG
+ * @property {string} DEFAULT - Locale served from unprefixed URLs and used as the fallback
+ * @property {Object} LOCALES - Locale settings keyed by URL code
+ * @property {string} LOCALES.*.name - Language name in that language, for the switcher
+ * @property {string} LOCALES.*.intl - BCP 47 tag for Intl date and plural formatting
+ * @property {string} LOCALES.*.ogLocale - Open Graph locale code
+ * @property {string} STORAGE_KEY - localStorage key of the saved language choice
+ *
+ * Note: index.html redirects to the saved locale before first paint; keep its
+ * list of prefixed locales in step with this object
+ */
+export const LOCALE_CONFIG = {
+  DEFAULT: 'en',
+  LOCALES: {
+    en: { name: 'English', intl: 'en-US', ogLocale: 'en_US' },
+    es: { name: 'Español', intl: 'es-ES', ogLocale: 'es_ES' }
+  },
+  STORAGE_KEY: 'locale'
+};
+
+/**
+ * Every supported locale code, default first
+ *
+ * @constant {Array<string>} LOCALES
+ */
+export const LOCALES = Object.keys(LOCALE_CONFIG.LOCALES);
+
+// Message catalogs keyed by locale code
+const CATALOGS = { en, es };
+
+// Keys already reported as missing, so each warning is logged once
+const reportedMissing = new Set();
+
+/**
+ * Helper function to check whether a value is a supported locale code
+ *
+ * @param {string} locale - Candidate locale code
+ * @returns {boolean} True for supported locales
+ * @usage if (isSupportedLocale(saved)) setLocale(saved);
+ */
+export const isSupportedLocale = (locale) => Object.hasOwn(LOCALE_CONFIG.LOCALES, locale);
+
+/**
+ * Helper function to read the locale from a URL path
+ *
+ * @param {string} pathname - URL path such as "/es/projects/4"
+ * @returns {string} Locale code; the default locale for unprefixed paths
+ * @usage const locale = getLocaleFromPath(location.pathname); // "es"
+ */
+export const getLocaleFromPath = (pathname) => {
+  const [, segment] = pathname.split('/');
+  return segment !== LOCALE_CONFIG.DEFAULT && isSupportedLocale(segment) ? segment : LOCALE_CONFIG.DEFAULT;
+};
+
+/**
+ * Helper function to remove the locale prefix from a URL path
+ *
+ * @param {string} pathname - URL path, with or without a locale prefix
+ * @returns {string} Path as the default locale would serve it
+ * @usage const path = stripLocalePrefix('/es/experience'); // "/experience"
+ */
+export const stripLocalePrefix = (pathname) => {
+  const locale = getLocaleFromPath(pathname);
+  if (locale === LOCALE_CONFIG.DEFAULT) return pathname;
+  return pathname.slice(locale.length + 1) || '/';
+};
+
+/**
+ * Helper function to build the URL of a page in a given locale
+ *
+ * @param {string} path - Unprefixed path, optionally with a query or hash
+ * @param {string} locale - Target locale code
+ * @returns {string} Locale-prefixed path; unchanged for the default locale
+ * @usage navigate(localizePath('/projects', 'es')); // "/es/projects"
+ */
+export const localizePath = (path, locale) => {
+  if (locale === LOCALE_CONFIG.DEFAULT || !isSupportedLocale(locale)) return path;
+  return path === '/' || /^\/[?#]/.test(path) ? `/${locale}${path.slice(1)}` : `/${locale}${path}`;
+};
+
+/**
+ * Looks up a dotted key such as "nav.home" in a catalog
+ *
+ * @param {Object} catalog - Message catalog
+ * @param {string} key - Dotted message key
+ * @returns {*} Message, or undefined when the catalog lacks the key
+ */
+const lookup = (catalog, key) => {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), catalog);
+};
+
+/**
+ * Logs a missing translation once per locale and key during development
+ *
+ * @param {string} locale - Locale that is missing the key
+ * @param {string} key - Dotted message key
+ */
+const warnMissingTranslation = (locale, key) => {
+  if (!import.meta.env.DEV || reportedMissing.has(`${locale}:${key}`)) return;
+  reportedMissing.add(`${locale}:${key}`);
+  console.warn(`[i18n] Missing "${locale}" translation for "${key}"; using English`);
+};
+
+/**
+ * Fills `{name}` placeholders with values
+ *
+ * @param {string} message - Message template
+ * @param {Object} values - Placeholder values
+ * @returns {string} Interpolated message; unknown placeholders are left as written
+ */
+const interpolate = (message, values) => {
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? String(values[name]) : placeholder));
+};
+
+/**
+ * Helper function to create a translation function for a locale
+ *
+ * Messages may be strings, lists (returned as-is), or plural objects keyed
+ * by Intl.PluralRules category ("one", "other", ...), which are resolved
+ * with the `count` value. Keys missing from the locale fall back to English.
+ *
+ * @param {string} locale - Locale code
+ * @returns {Function} `t(key, values)` returning the translated message
+ * @usage const t = createTranslator('es'); t('blog.readingTime', { count: 5 }); // "5 min de lectura"
+ */
+export const createTranslator = (locale) => {
+  const catalog = CATALOGS[locale] || CATALOGS[LOCALE_CONFIG.DEFAULT];
+  const pluralRules = new Intl.PluralRules(LOCALE_CONFIG.LOCALES[locale]?.intl || LOCALE_CONFIG.LOCALES[LOCALE_CONFIG.DEFAULT].intl);
+
+  return (key, values = {}) => {
+    let message = lookup(catalog, key);
+
+    if (message === undefined && locale !== LOCALE_CONFIG.DEFAULT) {
+      warnMissingTranslation(locale, key);
+      message = lookup(CATALOGS[LOCALE_CONFIG.DEFAULT], key);
+    }
+    if (message === undefined) {
+      warnMissingTranslation(LOCALE_CONFIG.DEFAULT, key);
+      return key;
+    }
+
+    // Plural forms: pick the category for `count`, falling back to "other"
+    if (message && typeof message === 'object' && !Array.isArray(message) && typeof values.count === 'number') {
+      message = message[pluralRules.select(values.count)] ?? message.other;
+    }
+    return typeof message === 'string' ? interpolate(message, values) : message;
+  };
+};
+
+/**
+ * Lists the dotted keys of every string or list in a catalog
+ *
+ * @param {Object} catalog - Message catalog
+ * @param {string} [prefix=''] - Key prefix for nested objects
+ * @returns {Array<string>} Message keys
+ */
+const listKeys = (catalog, prefix = '') => {
+  return Object.entries(catalog).flatMap(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    return value && typeof value === 'object' && !Array.isArray(value) ? listKeys(value, path) : [path];
+  });
+};
+
+/**
+ * Helper function to list English messages a locale has not translated
+ *
+ * @param {string} locale - Locale code to check
+ * @returns {Array<string>} Missing dotted keys; empty when the catalog is complete
+ * @usage const missing = findMissingTranslations('es');
+ */
+export const findMissingTranslations = (locale) => {
+  const catalog = CATALOGS[locale] || {};
+  return listKeys(CATALOGS[LOCALE_CONFIG.DEFAULT]).filter(key => lookup(catalog, key) === undefined);
+};
@@ -0,0 +1,226 @@
+/**
+ * Résumé data model built from the content store
+ *
+ * Collects the parts of the site that belong on a résumé (contact details,
+ * education, roles, projects, skills, and leadership) into one plain
+ * object, so every résumé format is generated from the same content as the
+ * pages and can never drift from them. scripts/resume-pdf.js lays this
+ * object out as the downloadable PDF at build time.
+ *
+ * The same content is also exported in the JSON Resume format
+ * (https://jsonresume.org/schema) by scripts/resume-json.js, for applicant
+ * tracking systems and résumé themes.
+ *
+ * Passing a store tailored by applyVariant (src/utils/variants.js) builds
+ * the résumé for that role: its projects, roles, and skills in ranked order
+ * under the variant's headline and summary. Each variant's PDF is
+ * published beside the default one (see getResumeFile).
+ *
+ * The model is deterministic: it never reads the clock, so the same content
+ * always produces the same résumé.
+ *
+ * @author Walter Magill
+ */
+
+import { SITE_CONFIG } from './constants';
+import { CONTENT } from './contentStore';
+import { PRESENT, formatMonth, formatPeriod, isOngoing } from './dates';
+import { SHARE_IMAGE_CONFIG, toAbsoluteUrl } from './head';
+
+/**
+ * Résumé publishing settings
+ *
+ * @constant {Object} RESUME_CONFIG
+ * @property {string} FILE_NAME - Download file name of the PDF
+ * @property {string} PDF_PATH - URL path the build writes the PDF to
+ * @property {string} JSON_PATH - URL path the build writes the JSON Resume document to
+ * @property {string} JSON_RESUME_VERSION - JSON Resume schema version the export follows
+ * @property {string} SUMMARY_SECTION - About section (file name in content/about) that extends the summary
+ * @property {number} MAX_PROJECTS - Most recent projects listed
+ * @property {number} MAX_LEADERSHIP - Most recent community roles listed
+ * @property {string} MONTH_STYLE - Intl month style for dates ("Jun 2024")
+ */
+export const RESUME_CONFIG = {
+  FILE_NAME: 'Walter_Magill_Resume.pdf',
+  PDF_PATH: '/Walter_Magill_Resume.pdf',
+  JSON_PATH: '/resume.json',
+  JSON_RESUME_VERSION: 'v1.0.0',
+  SUMMARY_SECTION: 'what-i-do',
+  MAX_PROJECTS: 3,
+  MAX_LEADERSHIP: 2,
+  MONTH_STYLE: 'short'
+};
+
+/**
+ * Helper function to strip the protocol and trailing slash from a URL for display
+ *
+ * @param {string} url - Absolute URL
+ * @returns {string} Short form such as "github.com/WallyMagill"
+ * @usage const label = toDisplayUrl(SITE_CONFIG.github);
+ */
+export const toDisplayUrl = (url) => url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '');
+
+/**
+ * Helper function to get the published PDF of a résumé variant
+ *
+ * @param {string|null} [variant] - Variant key such as "fintech"; the default résumé when empty
+ * @returns {Object} `{ fileName, path }`, e.g. Walter_Magill_Resume_fintech.pdf
+ * @usage const { path, fileName } = getResumeFile(content.variant?.key);
+ */
+export const getResumeFile = (variant) => {
+  if (!variant) return { fileName: RESUME_CONFIG.FILE_NAME, path: RESUME_CONFIG.PDF_PATH };
+
+  const fileName = RESUME_CONFIG.FILE_NAME.replace(/\.pdf$/, `_${variant}.pdf`);
+  return { fileName, path: `/${fileName}` };
+};
+
+/**
+ * Finds the most recent date the résumé content mentions
+ * Used as the document date so regenerating unchanged content yields an
+ * identical file
+ *
+ * @param {Object} content - Content store
+ * @returns {string} ISO date (YYYY-MM-DD)
+ */
+const getLatestContentDate = (content) => {
+  const dates = [
+    ...content.projects.all.map(project => project.updated),
+    ...content.experience.all.flatMap(({ period }) => [period.start, period.end]),
+    SITE_CONFIG.education.graduated
+  ].filter(date => date && date !== PRESENT)
+    .map(date => (date.length === 7 ? `${date}-01` : date));
+
+  return dates.sort().at(-1);
+};
+
+/**
+ * Helper function to build the résumé from the content store
+ *
+ * @param {Object} [content=CONTENT] - Content store to read from, optionally tailored by applyVariant
+ * @returns {Object} Résumé with `basics`, `education`, `experience`, `projects`, `skills`, `leadership`, and `updated`
+ * @usage const resume = buildResume(applyVariant(CONTENT, 'fintech'));
+ */
+export const buildResume = (content = CONTENT) => {
+  const { education } = SITE_CONFIG;
+  const dateOptions = { month: RESUME_CONFIG.MONTH_STYLE };
+
+  return {
+    basics: {
+      name: SITE_CONFIG.name,
+      label: content.variant?.headline || SITE_CONFIG.title,
+      summary: content.variant?.summary || SITE_CONFIG.description,
+      email: SITE_CONFIG.email,
+      url: SITE_CONFIG.url,
+      profiles: [
+        { network: 'GitHub', url: SITE_CONFIG.github },
+        { network: 'LinkedIn', url: SITE_CONFIG.linkedin }
+      ]
+    },
+    education: {
+      institution: education.institution,
+      degree: education.degree,
+      area: education.area,
+      graduated: formatMonth(education.graduated, dateOptions)
+    },
+    experience: content.experience.all.map(experience => ({
+      title: experience.title,
+      company: experience.company,
+      location: experience.location,
+      period: formatPeriod(experience.period, dateOptions),
+      description: experience.description
+    })),
+    projects: content.projects.all.slice(0, RESUME_CONFIG.MAX_PROJECTS).map(project => ({
+      title: project.title,
+      description: project.description,
+      url: project.live || project.github,
+      technologies: project.technologies.map(tech => tech.name)
+    })),
+    skills: content.techStack.categories.map(category => ({
+      title: category.title,
+      items: category.technologies.map(tech => tech.name)
+    })),
+    leadership: content.community.all.slice(0, RESUME_CONFIG.MAX_LEADERSHIP).map(involvement => ({
+      title: involvement.title,
+      organization: involvement.organization,
+      period: formatPeriod(involvement.period, dateOptions)
+    })),
+    updated: getLatestContentDate(content)
+  };
+};
+
+/**
+ * Builds the start and end dates of a JSON Resume entry
+ * Ongoing periods leave out `endDate`, as the schema expects
+ *
+ * @param {Object} period - Period with `start` and `end` months
+ * @returns {Object} `{ startDate, endDate }` in YYYY-MM format
+ */
+const toJsonResumeDates = (period) => ({
+  startDate: period.start,
+  ...(!isOngoing(period) && { endDate: period.end })
+});
+
+/**
+ * Helper function to build a JSON Resume document from the content store
+ * Unlike the one-page PDF, the export lists every project and community role
+ *
+ * @param {Object} [content=CONTENT] - Content store to read from
+ * @returns {Object} Document following the JSON Resume schema
+ * @usage const document = buildJsonResume();
+ */
+export const buildJsonResume = (content = CONTENT) => {
+  const { education } = SITE_CONFIG;
+  const summarySection = content.about.sections[RESUME_CONFIG.SUMMARY_SECTION];
+
+  return {
+    $schema: `https://raw.githubusercontent.com/jsonresume/resume-schema/${RESUME_CONFIG.JSON_RESUME_VERSION}/schema.json`,
+    basics: {
+      name: SITE_CONFIG.name,
+      label: SITE_CONFIG.title,
+      image: toAbsoluteUrl(SHARE_IMAGE_CONFIG.PORTRAIT),
+      email: SITE_CONFIG.email,
+      url: SITE_CONFIG.url,
+      summary: [SITE_CONFIG.description, summarySection?.content].filter(Boolean).join('\n\n'),
+      profiles: [
+        { network: 'GitHub', url: SITE_CONFIG.github },
+        { network: 'LinkedIn', url: SITE_CONFIG.linkedin }
+      ].map(profile => ({ ...profile, username: new URL(profile.url).pathname.split('/').filter(Boolean).at(-1) }))
+    },
+    work: content.experience.all.map(experience => ({
+      name: experience.company,
+      position: experience.title,
+      location: experience.location,
+      ...toJsonResumeDates(experience.period),
+      summary: experience.description
+    })),
+    volunteer: content.community.all.map(involvement => ({
+      organization: involvement.organization,
+      position: involvement.title,
+      ...toJsonResumeDates(involvement.period),
+      summary: involvement.description
+    })),
+    education: [{
+      institution: education.institution,
+      url: education.url,
+      area: education.area,
+      studyType: education.degree,
+      endDate: education.graduated
+    }],
+    projects: content.projects.all.map(project => ({
+      name: project.title,
+      description: project.description,
+      keywords: project.technologies.map(tech => tech.name),
+      url: project.live || project.github,
+      ...(project.role && { roles: [project.role] })
+    })),
+    skills: content.techStack.categories.map(category => ({
+      name: category.title,
+      keywords: category.technologies.map(tech => tech.name)
+    })),
+    meta: {
+      canonical: toAbsoluteUrl(RESUME_CONFIG.JSON_PATH),
+      version: RESUME_CONFIG.JSON_RESUME_VERSION,
+      lastModified: `${getLatestContentDate(content)}T00:00:00`
+    }
+  };
+};
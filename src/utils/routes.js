@@ -0,0 +1,88 @@
+/**
+ * Static route table for build-time rendering
+ * 
+ * Enumerates every concrete URL the site can serve by combining the section
+ * navigation with the content modules, once per supported locale. Consumed
+ * by the prerender and sitemap steps so each page ships as static HTML and
+ * is announced to search engines, and kept in one place so new projects or
+ * posts are picked up without touching the build scripts.
+ * 
+ * @author Walter Magill
+ */
+
+import { SECTION_NAVIGATION } from './constants';
+import { CONTENT } from './contentStore';
+import { POSTS } from './blogData';
+import { LOCALES, LOCALE_CONFIG, localizePath } from './i18n';
+
+/**
+ * Returns the most recent of a list of YYYY-MM-DD dates
+ * 
+ * @param {Array<string|null>} dates - Candidate dates (nulls ignored)
+ * @returns {string|null} Latest date or null when none are available
+ */
+const latestDate = (dates) => {
+  const validDates = dates.filter(Boolean).sort();
+  return validDates.length > 0 ? validDates[validDates.length - 1] : null;
+};
+
+/**
+ * Helper function to list every prerenderable route
+ * 
+ * Every page is listed once per locale. Blog posts are written in English
+ * only, so their localized copies point to the English post as canonical.
+ * 
+ * Each route object contains:
+ * @property {string} path - Absolute URL path, e.g. "/projects/4" or "/es/projects/4"
+ * @property {string} canonicalPath - Path of the canonical page; section routes
+ *   such as "/experience" and the printable "/print" are views of the home page and
+ *   point to "/" (or "/es")
+ * @property {string} locale - Locale the route renders in
+ * @property {string|null} lastmod - Date the route's content last changed (YYYY-MM-DD)
+ * 
+ * @returns {Array<Object>} Route objects for sections, project pages, blog pages, and the print view
+ * @usage const paths = getStaticRoutes().map(route => route.path);
+ */
+export const getStaticRoutes = () => {
+  const postsLastmod = latestDate(POSTS.map(post => post.updated));
+  const homeLastmod = latestDate(CONTENT.projects.all.map(project => project.updated));
+
+  return LOCALES.flatMap((locale) => {
+    const localize = (path) => localizePath(path, locale);
+
+    return [
+      ...SECTION_NAVIGATION.map(item => ({
+        path: localize(item.href),
+        canonicalPath: localize('/'),
+        locale,
+        lastmod: homeLastmod
+      })),
+      ...CONTENT.projects.all.map(project => ({
+        path: localize(`/projects/${project.id}`),
+        canonicalPath: localize(`/projects/${project.id}`),
+        locale,
+        lastmod: project.updated || null
+      })),
+      { path: localize('/blog'), canonicalPath: localize('/blog'), locale, lastmod: postsLastmod },
+      ...POSTS.map(post => ({
+        path: localize(`/blog/${post.slug}`),
+        canonicalPath: localizePath(`/blog/${post.slug}`, LOCALE_CONFIG.DEFAULT),
+        locale,
+        lastmod: post.updated
+      })),
+      { path: localize('/print'), canonicalPath: localize('/'), locale, lastmod: homeLastmod }
+    ];
+  });
+};
+
+/**
+ * Helper function to list only canonical routes (one per distinct page)
+ * 
+ * @returns {Array<Object>} Routes whose path is their own canonical path
+ * @usage const sitemapRoutes = getCanonicalRoutes();
+ */
+export const getCanonicalRoutes = () => {
+  return getStaticRoutes().filter(route => route.path === route.canonicalPath);
+};
+
+export default getStaticRoutes;
@@ -0,0 +1,156 @@
+/**
+ * Schema.org structured data (JSON-LD) builders
+ *
+ * Builds machine-readable descriptions of the site owner, projects, and
+ * work history from the content store so search engines can show
+ * rich profile results. Pages pass the output to useDocumentHead, which
+ * emits it as an application/ld+json script in the document head.
+ *
+ * All entities link back to a single Person node by @id, so the profile
+ * is described once and referenced everywhere else.
+ *
+ * @author Walter Magill
+ */
+
+import { SITE_CONFIG } from './constants';
+import { isOngoing } from './dates';
+import { CONTENT } from './contentStore';
+import { SHARE_IMAGE_CONFIG, getShareImagePath, toAbsoluteUrl } from './head';
+
+const SCHEMA_CONTEXT = 'https://schema.org';
+
+// Stable node identifiers so entities can reference each other
+const SCHEMA_IDS = {
+  PERSON: `${toAbsoluteUrl('/')}#person`,
+  WEBSITE: `${toAbsoluteUrl('/')}#website`
+};
+
+/**
+ * Helper function to build an employment role from an experience entry
+ * Uses the schema.org Role pattern: the role wraps the organization and
+ * carries the title and dates of the position
+ *
+ * @param {Object} experience - Entry from the experience collection
+ * @returns {Object} EmployeeRole node
+ * @usage const role = buildWorkRoleSchema(CONTENT.experience.all[0]);
+ */
+export const buildWorkRoleSchema = (experience) => {
+  const { period } = experience;
+
+  return {
+    '@type': 'EmployeeRole',
+    roleName: experience.title,
+    description: experience.description,
+    startDate: period.start,
+    // Ongoing roles have no end date
+    ...(!isOngoing(period) && { endDate: period.end }),
+    worksFor: {
+      '@type': 'Organization',
+      name: experience.company,
+      address: experience.location
+    }
+  };
+};
+
+/**
+ * Helper function to build the Person node for the site owner
+ *
+ * @param {Object} [options] - Build options
+ * @param {boolean} [options.includeWorkHistory=true] - Attach every role from the experience collection
+ * @param {Object} [options.content=CONTENT] - Content store to read the work history from, for translated pages
+ * @returns {Object} Person node
+ * @usage const person = buildPersonSchema();
+ */
+export const buildPersonSchema = ({ includeWorkHistory = true, content = CONTENT } = {}) => {
+  const { education } = SITE_CONFIG;
+
+  return {
+    '@type': 'Person',
+    '@id': SCHEMA_IDS.PERSON,
+    name: SITE_CONFIG.name,
+    jobTitle: SITE_CONFIG.title,
+    description: SITE_CONFIG.description,
+    url: toAbsoluteUrl('/'),
+    image: toAbsoluteUrl(SHARE_IMAGE_CONFIG.PORTRAIT),
+    email: `mailto:${SITE_CONFIG.email}`,
+    sameAs: [SITE_CONFIG.github, SITE_CONFIG.linkedin],
+    alumniOf: {
+      '@type': 'CollegeOrUniversity',
+      name: education.institution,
+      url: education.url
+    },
+    ...(includeWorkHistory && { worksFor: content.experience.all.map(buildWorkRoleSchema) })
+  };
+};
+
+/**
+ * Helper function to build a SoftwareSourceCode node for a project
+ *
+ * @param {Object} project - Entry from the projects collection
+ * @returns {Object} SoftwareSourceCode node authored by the site owner
+ * @usage const node = buildProjectSchema(CONTENT.projects.getById(4));
+ */
+export const buildProjectSchema = (project) => {
+  const pageUrl = toAbsoluteUrl(`/projects/${project.id}`);
+
+  return {
+    '@type': 'SoftwareSourceCode',
+    '@id': `${pageUrl}#project`,
+    name: project.title,
+    description: project.description,
+    url: pageUrl,
+    codeRepository: project.github,
+    ...(project.live && { sameAs: project.live }),
+    image: toAbsoluteUrl(getShareImagePath(`projects/${project.id}`)),
+    keywords: project.technologies.map(tech => tech.name).join(', '),
+    dateModified: project.updated,
+    author: { '@id': SCHEMA_IDS.PERSON }
+  };
+};
+
+/**
+ * Wraps nodes in a single JSON-LD document
+ *
+ * @param {Array<Object>} nodes - Schema.org nodes without @context
+ * @returns {Object} JSON-LD document with a shared @context and @graph
+ */
+const toGraph = (nodes) => ({
+  '@context': SCHEMA_CONTEXT,
+  '@graph': nodes
+});
+
+/**
+ * Helper function to build structured data for the home page
+ * Describes the website, its owner with full work history, and every project
+ *
+ * @param {Object} [content=CONTENT] - Content store for the page's locale
+ * @returns {Object} JSON-LD document
+ * @usage useDocumentHead({ structuredData: buildHomeStructuredData(useContent()) });
+ */
+export const buildHomeStructuredData = (content = CONTENT) => {
+  return toGraph([
+    {
+      '@type': 'WebSite',
+      '@id': SCHEMA_IDS.WEBSITE,
+      name: SITE_CONFIG.name,
+      url: toAbsoluteUrl('/'),
+      author: { '@id': SCHEMA_IDS.PERSON }
+    },
+    buildPersonSchema({ content }),
+    ...content.projects.all.map(buildProjectSchema)
+  ]);
+};
+
+/**
+ * Helper function to build structured data for a project page
+ *
+ * @param {Object} project - Entry from the projects collection
+ * @returns {Object} JSON-LD document with the project and its author
+ * @usage useDocumentHead({ structuredData: buildProjectStructuredData(project) });
+ */
+export const buildProjectStructuredData = (project) => {
+  return toGraph([
+    buildProjectSchema(project),
+    buildPersonSchema({ includeWorkHistory: false })
+  ]);
+};
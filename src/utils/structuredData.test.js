@@ -0,0 +1,158 @@
+/**
+ * Tests for the schema.org structured data builders
+ *
+ * Checks every node the site emits against the properties schema.org and
+ * Google's rich result guidelines expect of its type, using the real
+ * content store, and that every @id reference in a document resolves to a
+ * node in the same graph.
+ *
+ * @author Walter Magill
+ */
+
+import { describe, expect, it } from 'vitest';
+import { CONTENT, getContent } from './contentStore';
+import {
+  buildHomeStructuredData,
+  buildPersonSchema,
+  buildProjectSchema,
+  buildProjectStructuredData,
+  buildWorkRoleSchema
+} from './structuredData';
+
+// Value shapes shared by the node checks
+const ABSOLUTE_URL = /^https?:\/\/\S+$/;
+const ISO_MONTH_OR_DATE = /^\d{4}-\d{2}(-\d{2})?$/;
+
+/**
+ * Checks a Person node for the site owner
+ *
+ * @param {Object} node - Node to check
+ */
+const expectPerson = (node) => {
+  expect(node).toMatchObject({
+    '@type': 'Person',
+    '@id': expect.stringMatching(/#person$/),
+    name: expect.any(String),
+    jobTitle: expect.any(String),
+    url: expect.stringMatching(ABSOLUTE_URL),
+    image: expect.stringMatching(ABSOLUTE_URL),
+    email: expect.stringMatching(/^mailto:\S+@\S+$/),
+    alumniOf: {
+      '@type': 'CollegeOrUniversity',
+      name: expect.any(String),
+      url: expect.stringMatching(ABSOLUTE_URL)
+    }
+  });
+  expect(node.sameAs.length).toBeGreaterThan(0);
+  node.sameAs.forEach(url => expect(url).toMatch(ABSOLUTE_URL));
+};
+
+/**
+ * Checks a SoftwareSourceCode node for a project
+ *
+ * @param {Object} node - Node to check
+ */
+const expectSourceCode = (node) => {
+  expect(node).toMatchObject({
+    '@type': 'SoftwareSourceCode',
+    '@id': expect.stringMatching(/#project$/),
+    name: expect.any(String),
+    description: expect.any(String),
+    url: expect.stringMatching(ABSOLUTE_URL),
+    codeRepository: expect.stringMatching(ABSOLUTE_URL),
+    image: expect.stringMatching(ABSOLUTE_URL),
+    keywords: expect.any(String),
+    dateModified: expect.stringMatching(ISO_MONTH_OR_DATE),
+    author: { '@id': expect.stringMatching(/#person$/) }
+  });
+  if (node.sameAs !== undefined) expect(node.sameAs).toMatch(ABSOLUTE_URL);
+};
+
+/**
+ * Checks an EmployeeRole node for a position
+ *
+ * @param {Object} node - Node to check
+ */
+const expectEmployeeRole = (node) => {
+  expect(node).toMatchObject({
+    '@type': 'EmployeeRole',
+    roleName: expect.any(String),
+    startDate: expect.stringMatching(ISO_MONTH_OR_DATE),
+    worksFor: { '@type': 'Organization', name: expect.any(String) }
+  });
+  if (node.endDate !== undefined) {
+    expect(node.endDate).toMatch(ISO_MONTH_OR_DATE);
+    expect(node.endDate >= node.startDate).toBe(true);
+  }
+};
+
+/**
+ * Collects every { "@id" } reference in a value
+ *
+ * @param {*} value - Node or document
+ * @returns {Array<string>} Referenced ids
+ */
+const collectReferences = (value) => {
+  if (Array.isArray(value)) return value.flatMap(collectReferences);
+  if (!value || typeof value !== 'object') return [];
+  if (Object.keys(value).length === 1 && value['@id']) return [value['@id']];
+  return Object.values(value).flatMap(collectReferences);
+};
+
+describe('buildPersonSchema', () => {
+  it('describes the site owner', () => {
+    expectPerson(buildPersonSchema());
+  });
+
+  it('lists every role as an EmployeeRole', () => {
+    const person = buildPersonSchema();
+    expect(person.worksFor).toHaveLength(CONTENT.experience.all.length);
+    person.worksFor.forEach(expectEmployeeRole);
+  });
+
+  it('leaves out the work history when asked', () => {
+    expect(buildPersonSchema({ includeWorkHistory: false })).not.toHaveProperty('worksFor');
+  });
+});
+
+describe('buildWorkRoleSchema', () => {
+  it('omits the end date of an ongoing role', () => {
+    const role = buildWorkRoleSchema({
+      title: 'Engineer',
+      company: 'Acme',
+      location: 'Remote',
+      description: 'Builds things.',
+      period: { start: '2024-06', end: 'present' }
+    });
+    expectEmployeeRole(role);
+    expect(role).not.toHaveProperty('endDate');
+  });
+});
+
+describe('buildProjectSchema', () => {
+  it.each(CONTENT.projects.all.map(project => [project.title, project]))('describes %s', (title, project) => {
+    expectSourceCode(buildProjectSchema(project));
+  });
+});
+
+describe('documents', () => {
+  const documents = {
+    home: buildHomeStructuredData(),
+    'translated home': buildHomeStructuredData(getContent('es')),
+    project: buildProjectStructuredData(CONTENT.projects.all[0])
+  };
+
+  it.each(Object.entries(documents))('%s has a schema.org graph whose references resolve', (name, document) => {
+    expect(document['@context']).toBe('https://schema.org');
+    const ids = new Set(document['@graph'].map(node => node['@id']).filter(Boolean));
+    collectReferences(document['@graph']).forEach(id => expect(ids).toContain(id));
+  });
+
+  it('the home page describes the website, its owner, and every project', () => {
+    const graph = documents.home['@graph'];
+    expect(graph.filter(node => node['@type'] === 'WebSite')).toHaveLength(1);
+    graph.filter(node => node['@type'] === 'Person').forEach(expectPerson);
+    graph.filter(node => node['@type'] === 'SoftwareSourceCode').forEach(expectSourceCode);
+    expect(graph.filter(node => node['@type'] === 'SoftwareSourceCode')).toHaveLength(CONTENT.projects.all.length);
+  });
+});
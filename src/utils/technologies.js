@@ -0,0 +1,78 @@
+/**
+ * Technology registry lookups
+ *
+ * Every technology the site mentions is registered once in
+ * content/technologies.yaml under a stable id, with a display name, a
+ * category, and alternative spellings. These helpers turn any of those
+ * spellings back into the canonical id, so "React.js", "react", and
+ * "React" all refer to the same technology and never to "React Native".
+ *
+ * Shared by the content store, which builds the technology graph, and the
+ * content schema, which rejects references to unregistered technologies.
+ *
+ * @author Walter Magill
+ */
+
+/**
+ * Helper function to normalize a technology reference for comparison
+ *
+ * @param {string} reference - Id, name, or alias
+ * @returns {string} Trimmed, lowercased reference
+ * @usage const key = normalizeTechnology(' React.js '); // "react.js"
+ */
+export const normalizeTechnology = (reference) => String(reference).trim().toLowerCase();
+
+/**
+ * Helper function to list every spelling that refers to a registry entry
+ *
+ * @param {string} id - Registry id
+ * @param {Object} technology - Registry entry with `name` and optional `aliases`
+ * @returns {Array<string>} Id, name, and aliases
+ * @usage const spellings = getTechnologySpellings('react', registry.react);
+ */
+export const getTechnologySpellings = (id, technology) => {
+  return [id, technology?.name, ...(technology?.aliases || [])].filter(spelling => typeof spelling === 'string');
+};
+
+/**
+ * Helper function to build a resolver from references to registry ids
+ * Matching is exact after normalization: "C" resolves to C, never to C# or CSS
+ *
+ * @param {Object} registry - Technology registry keyed by id
+ * @returns {Function} Resolver returning the id for a reference, or null when unknown
+ * @usage const resolveTechnology = createTechnologyResolver(registry);
+ */
+export const createTechnologyResolver = (registry) => {
+  const ids = new Map();
+
+  Object.entries(registry || {}).forEach(([id, technology]) => {
+    getTechnologySpellings(id, technology).forEach((spelling) => {
+      const key = normalizeTechnology(spelling);
+      // First registration wins; conflicts are reported by content validation
+      if (!ids.has(key)) ids.set(key, id);
+    });
+  });
+
+  return (reference) => (typeof reference === 'string' ? ids.get(normalizeTechnology(reference)) ?? null : null);
+};
+
+/**
+ * Helper function to find spellings claimed by more than one registry entry
+ *
+ * @param {Object} registry - Technology registry keyed by id
+ * @returns {Array<Object>} Conflicts as `{ spelling, ids }`
+ * @usage const conflicts = findTechnologyConflicts(registry);
+ */
+export const findTechnologyConflicts = (registry) => {
+  const claims = new Map();
+
+  Object.entries(registry || {}).forEach(([id, technology]) => {
+    new Set(getTechnologySpellings(id, technology).map(normalizeTechnology)).forEach((key) => {
+      claims.set(key, [...(claims.get(key) || []), id]);
+    });
+  });
+
+  return [...claims.entries()]
+    .filter(([, ids]) => ids.length > 1)
+    .map(([spelling, ids]) => ({ spelling, ids }));
+};
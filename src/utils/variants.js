@@ -0,0 +1,160 @@
+/**
+ * Résumé variants tailoring the content store to a target role
+ *
+ * Each variant in content/variants.yaml names the technologies that matter
+ * for one kind of role. Applying a variant ranks projects, roles, and tech
+ * stack items by how many of those technologies they use: projects that use
+ * none are left out, roles and tech stack items are only reordered, and
+ * pinned entries always come first. The result has the same shape as the
+ * content store, so sections, selectors, and the résumé builders work on it
+ * unchanged.
+ *
+ * The site applies a variant from the ?for= query parameter (see
+ * ContentProvider), and scripts/resume-pdf.js writes one résumé per variant.
+ *
+ * @author Walter Magill
+ */
+
+import { variants as RAW_VARIANTS } from 'virtual:content';
+
+/**
+ * Variant settings
+ *
+ * @constant {Object} VARIANT_CONFIG
+ * @property {string} QUERY_PARAM - Query parameter that selects a variant, as in /?for=fintech
+ */
+export const VARIANT_CONFIG = {
+  QUERY_PARAM: 'for'
+};
+
+/**
+ * Every variant keyed by slug, as defined in content/variants.yaml
+ *
+ * @constant {Object} VARIANTS
+ */
+export const VARIANTS = Object.freeze(Object.fromEntries(
+  Object.entries(RAW_VARIANTS).map(([key, variant]) => [key, Object.freeze({ key, ...variant })])
+));
+
+/**
+ * Helper function to check whether a key names a variant
+ *
+ * @param {string} key - Candidate variant key
+ * @returns {boolean} True for keys defined in content/variants.yaml
+ * @usage if (isVariant(params.get('for'))) { ... }
+ */
+export const isVariant = (key) => Object.hasOwn(VARIANTS, key);
+
+/**
+ * Builds a comparator that ranks entries for a variant
+ * Pinned entries come first in the order given, then entries using more of
+ * the variant's technologies; ties keep their original order
+ *
+ * @param {Array<number>} pinned - Pinned entry ids
+ * @param {Function} score - Relevance of an entry
+ * @returns {Function} Comparator over `{ item, index }` pairs
+ */
+const byRelevance = (pinned, score) => (a, b) => {
+  const pinA = pinned.indexOf(a.item.id);
+  const pinB = pinned.indexOf(b.item.id);
+  if (pinA !== pinB) return (pinA === -1 ? Infinity : pinA) - (pinB === -1 ? Infinity : pinB);
+  return score(b.item) - score(a.item) || a.index - b.index;
+};
+
+/**
+ * Ranks a list for a variant without changing the original
+ *
+ * @param {Array<Object>} items - Entries in their default order
+ * @param {Function} compare - Comparator from byRelevance
+ * @returns {Array<Object>} Entries in ranked order
+ */
+const rank = (items, compare) => items
+  .map((item, index) => ({ item, index }))
+  .sort(compare)
+  .map(({ item }) => item);
+
+/**
+ * Builds a collection view over ranked entries
+ * Lookups by id still reach every entry, so detail pages keep working for
+ * projects the variant leaves out of the list
+ *
+ * @param {Object} collection - Collection from the content store
+ * @param {Array<Object>} all - Entries the variant shows, in ranked order
+ * @returns {Object} Frozen collection with the store's collection interface
+ */
+const createVariantCollection = (collection, all) => {
+  const technologyCache = new Map();
+
+  return Object.freeze({
+    all: Object.freeze(all),
+    getById: collection.getById,
+    getByTechnology: (technology) => {
+      if (!technologyCache.has(technology)) {
+        const matches = collection.getByTechnology(technology);
+        technologyCache.set(technology, Object.freeze(all.filter(item => matches.includes(item))));
+      }
+      return technologyCache.get(technology);
+    }
+  });
+};
+
+/**
+ * Builds the variant-specific store
+ *
+ * @param {Object} content - Content store
+ * @param {Object} variant - Variant from VARIANTS
+ * @returns {Object} Frozen store with ranked collections and `variant`
+ */
+const createVariantStore = (content, variant) => {
+  const relevant = new Set(variant.technologies.map(reference => content.technologies.resolve(reference)?.id).filter(Boolean));
+  const score = (item) => (item.technologies || []).filter(tech => relevant.has(tech.id)).length;
+
+  const projectPins = variant.projects || [];
+  const projects = rank(content.projects.all, byRelevance(projectPins, score));
+  // A variant that matches no project still shows every project rather than none
+  const relevantProjects = projects.filter(project => projectPins.includes(project.id) || score(project) > 0);
+
+  const experience = rank(content.experience.all, byRelevance(variant.experience || [], score));
+
+  const techScore = (tech) => (relevant.has(tech.id) ? 1 : 0);
+  const categories = rank(
+    content.techStack.categories.map(category => Object.freeze({
+      ...category,
+      technologies: Object.freeze(rank(category.technologies, byRelevance([], techScore)))
+    })),
+    byRelevance([], category => category.technologies.filter(tech => relevant.has(tech.id)).length)
+  );
+  const categoriesByKey = new Map(categories.map(category => [category.key, category]));
+
+  return Object.freeze({
+    ...content,
+    projects: createVariantCollection(content.projects, relevantProjects.length > 0 ? relevantProjects : projects),
+    experience: createVariantCollection(content.experience, experience),
+    techStack: Object.freeze({
+      categories: Object.freeze(categories),
+      getCategory: (key) => categoriesByKey.get(key) || null
+    }),
+    variant
+  });
+};
+
+// Variant stores per content store and variant key, built the first time each is requested
+const variantStores = new WeakMap();
+
+/**
+ * Helper function to tailor a content store to a variant
+ *
+ * @param {Object} content - Content store, in any locale
+ * @param {string|null} key - Variant key such as "fintech"
+ * @returns {Object} Store ranked for the variant, with a `variant` field; the
+ *   original store when the key is empty or unknown
+ * @usage const tailored = applyVariant(CONTENT, 'fintech');
+ */
+export const applyVariant = (content, key) => {
+  if (!isVariant(key)) return content;
+
+  if (!variantStores.has(content)) variantStores.set(content, new Map());
+  const stores = variantStores.get(content);
+  if (!stores.has(key)) stores.set(key, createVariantStore(content, VARIANTS[key]));
+  return stores.get(key);
+};
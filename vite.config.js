@@ -1,7 +1,11 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import content from './plugins/content.js'
+import images from './plugins/images.js'
+import markdown from './plugins/markdown.js'
+import resume from './plugins/resume.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [images(), content(), markdown(), resume(), react()],
 })